@@ -4,75 +4,433 @@
  * 
  * Features:
  * - Multiple drawing tools (pencil, brush, eraser, shapes)
+ * - Brush engine with stamped dabs, texture, smoothing, blend modes and presets
+ * - Editable shape objects with move, resize and rotate handles
+ * - Ellipses, rounded rectangles, polygons, stars, arrows and curves, stroked or filled
+ * - On-canvas rich text with outline and shadow, editable until rasterized
+ * - Marquee and lasso selections with cut/copy/paste and move
+ * - Layers with visibility, locking, opacity, ordering and merging
+ * - Scanline flood fill with tolerance, global mode and soft edges
+ * - Linear, radial, conic and diamond gradients and pattern fills
+ * - HSV color wheel with alpha, recent colors and importable palettes
+ * - Adjustments and filters with live preview, processed in a worker
+ * - New document presets, white, colored or transparent backgrounds, canvas and image size, crop, rotate and flip
  * - Color palette with custom color picker
  * - Adjustable brush size and opacity
- * - Undo/Redo functionality
- * - Project save/load with gallery
- * - Export to PNG/JPEG
- * - Keyboard shortcuts
- * - Mobile touch support
+ * - Memory-efficient undo/redo with a History panel
+ * - Project save/load with gallery, named versions and autosave with crash recovery
+ * - Export to PNG, JPEG or WebP with quality, scale and crop, copy to clipboard and print
+ * - Zoom and pan viewport
+ * - Grid, rulers, draggable guides and snapping
+ * - Mirror and radial (kaleidoscope) symmetry for painting and shapes
+ * - Time-lapse recording with replay and WebM video export
+ * - Frame-by-frame animation with onion skinning and GIF/sprite sheet export
+ * - Real-time collaboration over WebSocket with remote cursors and per-user undo
+ * - Customizable keyboard shortcuts and a command palette
+ * - Pluggable tools: registerTool() adds a button, cursor, options and undo
+ * - Pointer input with pen pressure, tilt and touch gestures
  * - Responsive design
  */
 
 class DrawingMaster {
-    // Clear the canvas and save state
+    // Clear the active layer and save state
     clearCanvas() {
-        this.clearCanvasToWhite();
-        this.saveState();
-        this.showNotification('Canvas cleared', 'info');
+        const layer = this.getActiveLayer();
+        this.beginPixelEdit(layer);
+        layer.ctx.clearRect(0, 0, layer.canvas.width, layer.canvas.height);
+        layer.objects = [];
+        if (this.selectedShape && !this.findShapeById(this.selectedShape.id)) {
+            this.selectShape(null);
+        }
+        this.requestRender();
+        this.saveState('Clear layer');
+        this.showNotification(`${layer.name} cleared`, 'info');
     }
 
-    // Export the canvas as PNG or JPEG
+    // Quick export of the whole canvas at full size
     exportImage(type = 'png') {
-        let mimeType = 'image/png';
-        let ext = 'png';
-        if (type === 'jpeg' || type === 'jpg') {
-            mimeType = 'image/jpeg';
-            ext = 'jpg';
-        }
-        const dataURL = this.canvas.toDataURL(mimeType);
-        const link = document.createElement('a');
-        link.href = dataURL;
-        link.download = `${this.currentProject.name || 'drawing'}.${ext}`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        this.showNotification(`Exported as ${ext.toUpperCase()}`,'success');
+        const format = type === 'jpg' ? 'jpeg' : type;
+        return this.exportWithSettings({ ...this.exportSettings, format, region: 'canvas', sizeMode: 'scale', scale: 1 });
     }
     constructor() {
-        // Canvas setup
+        // Canvas setup: #drawingCanvas only displays the composited layers,
+        // tools draw through this.ctx, which is the active layer's context
         this.canvas = document.getElementById('drawingCanvas');
-        this.ctx = this.canvas.getContext('2d');
+        this.displayCtx = this.canvas.getContext('2d');
+        this.ctx = null;
+        
+        // Document size in image pixels (taken from the canvas attributes)
+        // and the viewport mapping screen = document * zoom + pan (CSS pixels)
+        this.docWidth = this.canvas.width;
+        this.docHeight = this.canvas.height;
+        this.view = { zoom: 1, panX: 0, panY: 0 };
+        this.docDpi = 72;
+        // Drawn under the layers rather than into them: a color or 'transparent'
+        this.docBackground = '#ffffff';
+        // Formats without alpha flatten a transparent background onto the matte;
+        // the rest is what the Export dialog last used, for Export Again
+        this.exportSettings = {
+            matte: '#ffffff', format: 'png', quality: 0.92, region: 'canvas',
+            sizeMode: 'scale', scale: 1, width: null, height: null, keepRatio: true
+        };
+        this.exportFormats = {
+            png: { mime: 'image/png', ext: 'png', label: 'PNG' },
+            jpeg: { mime: 'image/jpeg', ext: 'jpg', label: 'JPEG' },
+            webp: { mime: 'image/webp', ext: 'webp', label: 'WebP' }
+        };
+        this.exportRegionBounds = null; // region the open Export dialog sizes against
+        this.exportPreviewToken = 0;
+        this.maxDocSize = 8192;
+        this.maxExportSize = 16384;
+        this.canvasAnchor = '1,1';
+
+        // Grid, rulers and guides are drawn on the display only; guides
+        // ({ axis: 'x' | 'y', position }) are saved with the document
+        this.viewSettings = { grid: false, gridSpacing: 50, gridSubdivisions: 5, rulers: true, guides: true, snap: true };
+        this.guides = [];
+        // Symmetry mode for painting and shape tools; a null center is the document center
+        this.symmetry = { mode: 'off', segments: 6, mirror: false, center: null };
+        this.overlayDrag = null; // { update(e), end(e) } while a guide or the symmetry center is dragged
+        this.snapLines = null;
+        this.rulerSize = 20;
+        this.snapDistance = 8; // screen pixels
+        // New Document presets; print sizes (mm) are converted at the chosen DPI
+        this.documentPresets = [
+            { name: 'Screen 800 × 600', width: 800, height: 600 },
+            { name: 'HD 720p', width: 1280, height: 720 },
+            { name: 'Full HD 1080p', width: 1920, height: 1080 },
+            { name: 'Instagram Square', width: 1080, height: 1080 },
+            { name: 'Instagram Portrait', width: 1080, height: 1350 },
+            { name: 'Instagram Story', width: 1080, height: 1920 },
+            { name: 'A4 Portrait', mm: [210, 297], dpi: 300 },
+            { name: 'A4 Landscape', mm: [297, 210], dpi: 300 },
+            { name: 'US Letter', mm: [215.9, 279.4], dpi: 300 },
+            { name: 'Icon 16 × 16', width: 16, height: 16 },
+            { name: 'Icon 32 × 32', width: 32, height: 32 },
+            { name: 'Icon 64 × 64', width: 64, height: 64 },
+            { name: 'Icon 128 × 128', width: 128, height: 128 },
+            { name: 'Icon 256 × 256', width: 256, height: 256 },
+            { name: 'Icon 512 × 512', width: 512, height: 512 }
+        ];
+        this.viewportWidth = 0;
+        this.viewportHeight = 0;
+        this.minZoom = 0.05;
+        this.maxZoom = 32;
+        this.isPanning = false;
+        this.panStart = null;
+        this.spacePressed = false;
+        
+        // Pointer input: which pointer draws, live touches, pen state
+        this.strokePointerId = null;
+        this.activeTouches = new Map();
+        this.gesture = null;
+        this.penDown = false;
+        this.lastPenTime = -Infinity;
+        this.palmRejectionDelay = 500;
+        this.tapSlop = 10;
+        this.tapMaxDuration = 300;
+        this.penSettings = { pressureCurve: 1, pressureSize: true, pressureOpacity: false, tilt: true };
+        this.lastPenSample = null;
+        this.lastEraserPoint = null;
+        this.zoomDisplay = document.getElementById('zoomLevel');
+        
+        // Layer stack, bottom to top
+        this.layers = [];
+        this.activeLayerIndex = 0;
+        this.layerCounter = 0;
+        this.renderPending = false;
+
+        // Animation frames ({ id, layers, activeLayerIndex, duration }); each
+        // frame has its own layer stack and this.layers is the current one's.
+        // A null duration plays at the document's frame rate.
+        this.frames = [];
+        this.currentFrameIndex = 0;
+        this.animation = { fps: 12, loop: true };
+        this.onionSkin = { enabled: false, before: 1, after: 1, opacity: 0.3 };
+        this.onionCache = new Map();
+        this.animationPlayback = null;
         
         // Drawing state
         this.isDrawing = false;
         this.currentTool = 'pencil';
         this.currentColor = '#000000';
+        this.colorAlpha = 1;
         this.brushSize = 5;
         this.opacity = 1;
         
+        // Brush engine: dab settings, cached dab stamps and the stroke in progress
+        this.brushSettings = { hardness: 0.8, spacing: 0.15, flow: 1, jitter: 0, smoothing: 0, texture: 'none', blendMode: 'source-over' };
+        this.builtInBrushPresets = [
+            { name: 'Default', size: 5, opacity: 1, settings: { ...this.brushSettings } },
+            { name: 'Hard Round', size: 8, opacity: 1, settings: { hardness: 0.95, spacing: 0.08, flow: 1, jitter: 0, smoothing: 0, texture: 'none' } },
+            { name: 'Soft Round', size: 24, opacity: 1, settings: { hardness: 0, spacing: 0.1, flow: 0.5, jitter: 0, smoothing: 0, texture: 'none' } },
+            { name: 'Airbrush', size: 40, opacity: 1, settings: { hardness: 0, spacing: 0.05, flow: 0.08, jitter: 0, smoothing: 0, texture: 'none' } },
+            { name: 'Ink', size: 4, opacity: 1, settings: { hardness: 1, spacing: 0.05, flow: 1, jitter: 0, smoothing: 20, texture: 'none' } },
+            { name: 'Chalk', size: 16, opacity: 0.9, settings: { hardness: 0.6, spacing: 0.2, flow: 0.8, jitter: 0.2, smoothing: 0, texture: 'grain' } },
+            { name: 'Oil on Canvas', size: 20, opacity: 1, settings: { hardness: 0.7, spacing: 0.12, flow: 0.7, jitter: 0.05, smoothing: 8, texture: 'canvas' } }
+        ];
+        this.brushPresets = [];
+        this.brushStamps = new Map();
+        this.brushTextures = {};
+        this.pencilSpans = new Map();
+        this.strokeBuffer = document.createElement('canvas');
+        this.strokePreview = document.createElement('canvas');
+        this.dabScratch = document.createElement('canvas');
+        this.activeStroke = null;
+        
+        // Text tool: style for new text, and the text box being edited
+        this.textSettings = {
+            fontFamily: 'Arial, sans-serif',
+            fontSize: 32,
+            bold: false,
+            italic: false,
+            align: 'left',
+            lineHeight: 1.2,
+            letterSpacing: 0,
+            outline: false,
+            outlineColor: '#ffffff',
+            outlineWidth: 2,
+            shadow: false,
+            shadowColor: '#000000',
+            shadowBlur: 6,
+            shadowOffset: 3
+        };
+        this.textEdit = null;
+        this.textEditor = document.getElementById('textEditor');
+        this.textMeasureCtx = document.createElement('canvas').getContext('2d');
+        
+        // Flood fill options; the worker is created on first use
+        this.fillSettings = { tolerance: 32, contiguous: true, expand: 1, feather: 0, source: 'color', pattern: 'checker' };
+        this.fillWorker = undefined;
+        this.fillInProgress = false;
+        this.customPattern = null;
+
+        // Gradient tool: the drag sets the direction, extent picks what gets filled
+        this.gradientSettings = {
+            type: 'linear',
+            extent: 'canvas',
+            stops: [
+                { offset: 0, color: '#000000', alpha: 1 },
+                { offset: 1, color: '#ffffff', alpha: 1 }
+            ]
+        };
+        this.selectedGradientStop = 0;
+        this.gradientDraft = null;
+        this.builtInGradientPresets = [
+            { name: 'Black to White', stops: [{ offset: 0, color: '#000000', alpha: 1 }, { offset: 1, color: '#ffffff', alpha: 1 }] },
+            { name: 'Fade Out', stops: [{ offset: 0, color: '#000000', alpha: 1 }, { offset: 1, color: '#000000', alpha: 0 }] },
+            { name: 'Sunset', stops: [{ offset: 0, color: '#2c3e50', alpha: 1 }, { offset: 0.55, color: '#fd746c', alpha: 1 }, { offset: 1, color: '#ffd200', alpha: 1 }] },
+            { name: 'Ocean', stops: [{ offset: 0, color: '#00c6ff', alpha: 1 }, { offset: 1, color: '#0072ff', alpha: 1 }] },
+            { name: 'Rainbow', stops: ['#ff0000', '#ff8800', '#ffff00', '#00ff00', '#0000ff', '#8800ff']
+                .map((color, i) => ({ offset: i / 5, color, alpha: 1 })) }
+        ];
+        this.gradientPresets = [];
+        this.activeGradientPreset = 'Black to White';
+
+        // Adjustments and filters: they run in a worker on the active layer's
+        // pixels and preview on the canvas until applied or cancelled
+        this.filterDefinitions = {
+            'brightness-contrast': { name: 'Brightness / Contrast', group: 'Adjustments', params: [
+                { key: 'brightness', label: 'Brightness', min: -100, max: 100, value: 0 },
+                { key: 'contrast', label: 'Contrast', min: -100, max: 100, value: 0 }
+            ] },
+            'hue-saturation': { name: 'Hue / Saturation', group: 'Adjustments', params: [
+                { key: 'hue', label: 'Hue', min: -180, max: 180, value: 0, unit: '°' },
+                { key: 'saturation', label: 'Saturation', min: -100, max: 100, value: 0 },
+                { key: 'lightness', label: 'Lightness', min: -100, max: 100, value: 0 }
+            ] },
+            levels: { name: 'Levels', group: 'Adjustments', params: [
+                { key: 'inputBlack', label: 'Input Black', min: 0, max: 254, value: 0 },
+                { key: 'inputWhite', label: 'Input White', min: 1, max: 255, value: 255 },
+                { key: 'gamma', label: 'Gamma', min: 10, max: 300, value: 100, scale: 100 },
+                { key: 'outputBlack', label: 'Output Black', min: 0, max: 255, value: 0 },
+                { key: 'outputWhite', label: 'Output White', min: 0, max: 255, value: 255 }
+            ] },
+            invert: { name: 'Invert', group: 'Adjustments', params: [] },
+            grayscale: { name: 'Grayscale', group: 'Adjustments', params: [] },
+            sepia: { name: 'Sepia', group: 'Adjustments', params: [
+                { key: 'amount', label: 'Amount', min: 0, max: 100, value: 100, unit: '%' }
+            ] },
+            posterize: { name: 'Posterize', group: 'Adjustments', params: [
+                { key: 'levels', label: 'Levels', min: 2, max: 32, value: 4 }
+            ] },
+            threshold: { name: 'Threshold', group: 'Adjustments', params: [
+                { key: 'level', label: 'Level', min: 0, max: 255, value: 128 }
+            ] },
+            'gaussian-blur': { name: 'Gaussian Blur', group: 'Filters', params: [
+                { key: 'radius', label: 'Radius', min: 1, max: 50, value: 4, unit: 'px' }
+            ] },
+            sharpen: { name: 'Sharpen', group: 'Filters', params: [
+                { key: 'amount', label: 'Amount', min: 0, max: 200, value: 50, unit: '%' }
+            ] },
+            pixelate: { name: 'Pixelate', group: 'Filters', params: [
+                { key: 'size', label: 'Cell Size', min: 2, max: 64, value: 8, unit: 'px' }
+            ] },
+            noise: { name: 'Add Noise', group: 'Filters', params: [
+                { key: 'amount', label: 'Amount', min: 0, max: 100, value: 20, unit: '%' },
+                { key: 'monochrome', label: 'Monochrome', type: 'checkbox', value: false }
+            ] },
+            'edge-detect': { name: 'Edge Detect', group: 'Filters', params: [
+                { key: 'strength', label: 'Strength', min: 10, max: 300, value: 100, unit: '%' }
+            ] }
+        };
+        this.filterWorker = undefined;
+        this.filterJobs = new Map();
+        this.filterJobId = 0;
+        this.filterSession = null;
+        this.scheduleFilterPreview = this.debounce(() => this.updateFilterPreview(), 150);
+        this.scheduleExportPreview = this.debounce(() => this.updateExportPreview(), 250);
+
+        // Color picker, recent colors and palettes
+        this.pickerHsv = { h: 0, s: 0, v: 0 };
+        this.colorWheelRing = null;
+        this.recentColors = [];
+        this.maxRecentColors = 16;
+        this.eyedropperSize = 1;
+        this.builtInPalettes = [
+            {
+                name: 'Default',
+                colors: [
+                    { color: '#000000', name: 'Black' },
+                    { color: '#ffffff', name: 'White' },
+                    { color: '#ff0000', name: 'Red' },
+                    { color: '#00ff00', name: 'Green' },
+                    { color: '#0000ff', name: 'Blue' },
+                    { color: '#ffff00', name: 'Yellow' },
+                    { color: '#ff8800', name: 'Orange' },
+                    { color: '#8800ff', name: 'Purple' },
+                    { color: '#ff0080', name: 'Magenta' },
+                    { color: '#00ffff', name: 'Cyan' },
+                    { color: '#80ff00', name: 'Lime' },
+                    { color: '#ff8080', name: 'Pink' },
+                    { color: '#808080', name: 'Gray' },
+                    { color: '#800000', name: 'Maroon' },
+                    { color: '#008000', name: 'Dark Green' },
+                    { color: '#000080', name: 'Navy' },
+                    { color: '#800080', name: 'Dark Purple' },
+                    { color: '#008080', name: 'Teal' }
+                ]
+            },
+            {
+                name: 'Grayscale',
+                colors: [0, 32, 64, 96, 128, 160, 192, 224, 255].map(level => ({ color: this.rgbaToHex(level, level, level) }))
+            },
+            {
+                name: 'Pastel',
+                colors: ['#ffd1dc', '#ffe5b4', '#fffacd', '#d0f0c0', '#b5e3f5', '#e0bbe4'].map(color => ({ color }))
+            }
+        ];
+        this.palettes = [];
+        this.activePaletteName = 'Default';
+        
         // Shape drawing state
         this.startX = 0;
         this.startY = 0;
         this.endX = 0;
         this.endY = 0;
         
-        // History management for undo/redo
+        // Editable shape objects
+        this.shapeTools = ['line', 'arrow', 'rectangle', 'rounded-rect', 'circle', 'ellipse', 'polygon', 'star'];
+        this.shapeSettings = {
+            fillMode: 'stroke',
+            fill: '#3498db',
+            cornerRadius: 16,
+            sides: 5,
+            innerRatio: 0.5,
+            headStyle: 'triangle',
+            smooth: true
+        };
+        this.curveDraft = null;
+        this.draftShape = null;
+        this.selectedShape = null;
+        this.shapeDrag = null;
+        this.layerScratch = document.createElement('canvas');
+        this.blendScratch = document.createElement('canvas');
+        
+        // Pixel selection (marquee / lasso) and clipboard
+        this.selectionTools = ['rect-select', 'ellipse-select', 'lasso'];
+        this.selection = null;
+        this.selectionDraft = null;
+        this.selectionDrag = null;
+        this.floatingSelection = null;
+        this.selectionClipActive = false;
+        this.clipboard = null;
+        this.clipboardSynced = false;
+        this.antsOffset = 0;
+        this.antsTimer = null;
+        
+        // History management for undo/redo: named steps holding layer state
+        // and changed-region pixel diffs (see saveState)
         this.history = [];
         this.historyIndex = -1;
+        this.historyBaseName = 'New drawing';
         this.maxHistorySteps = 50;
+        this.maxHistoryBytes = 256 * 1024 * 1024;
+        this.pendingPixelEdits = [];
+        this.committedLayerState = null;
+        // Time-lapse: the recording stored with the project, the live
+        // recorder state and the replay in progress (see startRecording)
+        this.recording = null;
+        // images maps layers to the id of their last recorded image while their
+        // pixels stay unchanged, so snapshots can point at it (see serializeRecordedDocument)
+        this.recorder = { active: false, startedAt: 0, stroke: null, fill: null, changeTimer: null, images: new WeakMap(), imagesOf: null };
+        this.replaySession = null;
+        this.replaySpeed = 5;
+        this.replayMaxPause = 500;
+        // Collaboration: the live session (see joinSession) and the Collaborate
+        // dialog's remembered server, room, name and color
+        this.collab = null;
+        this.collabSettings = { url: '', room: 'drawing', name: '', color: '#e67e22' };
+        this.collabUndoWindow = 100;
+        this.collabAction = null;
+        // Brush jitter comes from a generator seeded per stroke, so replays
+        // and other people's copies draw the same dabs
+        this.strokeSeed = 1;
+        this.strokeRandom = Math.random;
+        // Keyboard commands: everything the shortcuts and the command palette
+        // can run (see registerCommands), with the current key bindings and
+        // the ones the user changed from the defaults
+        this.commands = new Map();
+        this.keyBindings = {};
+        this.customKeyBindings = {};
+        this.reservedKeys = ['Escape', 'Space', 'Enter', 'Tab', 'Ctrl+W', 'Ctrl+T', 'Ctrl+N', 'Ctrl+Shift+N', 'Ctrl+Shift+T', 'Ctrl+Tab'];
+        this.shortcutRecording = null;
+        this.commandPalette = { query: '', results: [], active: 0 };
+        this.recentCommands = [];
+        // Tools: the built-in ones and any added with registerTool, by id.
+        // A stroke being replayed brings the tool settings it was drawn with.
+        this.tools = new Map();
+        this.replayToolSettings = null;
         
         // Current project information
         this.currentProject = {
+            id: null,
             name: 'Untitled Project',
             created: new Date(),
             modified: new Date(),
             saved: false
         };
+        // Whether the drawing has changes that would be lost, apart from the
+        // history: a recovered or restored drawing starts with none
+        this.dirty = false;
         
         // UI elements
         this.coordinatesDisplay = document.getElementById('coordinates');
         this.loadingSpinner = document.getElementById('loadingSpinner');
+        this.canvasTitle = document.querySelector('.canvas-title');
+        this.lastSavedDisplay = document.querySelector('.last-saved');
+        
+        // Persistent project storage (IndexedDB)
+        this.projectStore = new ProjectStore();
+        // Autosave writes a few seconds after changes stop, and at least
+        // every autosaveMaxWait while they keep coming. Each session has its
+        // own record, so it never overwrites one waiting to be recovered.
+        // savedRecording notes which recording (and how many events of it) the
+        // autosave holds, so it is only written again when it changed
+        this.autosave = { id: this.generateId(), generation: 0, timer: null, pendingSince: 0, saving: false, savedAt: null, savedRecording: null, recovery: null };
+        this.autosaveDelay = 2000;
+        this.autosaveMaxWait = 30000;
+        this.versionPreview = null;
         
         // Initialize the application
         this.initializeApp();
@@ -86,18 +444,37 @@ class DrawingMaster {
             // Show loading spinner
             this.showLoadingSpinner();
             
+            // Tools first: the canvas cursor comes from the current tool
+            this.loadKeyBindings();
+            this.registerBuiltInTools();
+
             // Setup canvas
             this.setupCanvas();
             
             // Bind all event listeners
             this.bindEvents();
+            this.loadPenSettings();
+            this.loadViewSettings();
+            this.loadOnionSkin();
+            this.loadCollabSettings();
+            this.loadBrushPresets();
+            this.loadGradientPresets();
+            this.loadColorSettings();
+            this.loadExportSettings();
+            this.renderFiltersMenu();
+            this.registerCommands();
             
             // Load any existing projects
             this.loadProjectsCount();
             
-            // Initialize with a clean canvas
-            this.clearCanvasToWhite();
-            this.saveState(); // Save initial state
+            // Initialize with a clean background layer
+            this.initLayers();
+            this.updateDocumentInfo();
+            this.resetView();
+            this.resetHistory(); // Initial history state
+            this.updateProjectInfo();
+            this.holdAutosaveLock();
+            this.offerRecovery();
             
             // Hide loading spinner after everything is ready
             setTimeout(() => {
@@ -119,90 +496,99 @@ class DrawingMaster {
         // Set high DPI support
         this.setupHighDPICanvas();
         
-        // Set drawing properties
-        this.ctx.lineCap = 'round';
-        this.ctx.lineJoin = 'round';
-        this.ctx.imageSmoothingEnabled = true;
-        this.ctx.imageSmoothingQuality = 'high';
-        
         // Update cursor
         this.updateCanvasCursor();
     }
 
     /**
-     * Setup high DPI canvas for crisp rendering
+     * Setup high DPI canvas for crisp rendering.
+     * The display canvas fills the viewport; the document keeps its own size.
      */
     setupHighDPICanvas() {
         const devicePixelRatio = window.devicePixelRatio || 1;
         const rect = this.canvas.getBoundingClientRect();
-        // Save current image
-        let imageData = null;
-        try {
-            imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-        } catch (e) {}
 
-        // Set display size (css pixels)
-        this.canvas.style.width = rect.width + 'px';
-        this.canvas.style.height = rect.height + 'px';
+        this.viewportWidth = rect.width;
+        this.viewportHeight = rect.height;
         // Set actual size in memory (scaled to device pixels)
         this.canvas.width = Math.round(rect.width * devicePixelRatio);
         this.canvas.height = Math.round(rect.height * devicePixelRatio);
-
-        // Reset transform before scaling
-        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
-        this.ctx.scale(devicePixelRatio, devicePixelRatio);
-
-        // Restore image if available
-        if (imageData) {
-            this.ctx.putImageData(imageData, 0, 0);
-        }
+        this.requestRender();
     }
 
     /**
      * Bind all event listeners
      */
     bindEvents() {
-        // Canvas drawing events
-        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
-        this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
-        this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
-        this.canvas.addEventListener('mouseout', this.handleMouseUp.bind(this));
-        
-        // Touch events for mobile support
-        this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this));
-        this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this));
-        this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this));
+        // Canvas drawing events (mouse, pen and touch)
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown.bind(this));
+        this.canvas.addEventListener('pointermove', this.handlePointerMove.bind(this));
+        this.canvas.addEventListener('pointerup', this.handlePointerUp.bind(this));
+        this.canvas.addEventListener('pointercancel', this.handlePointerUp.bind(this));
         
+        // Viewport zoom and pan
+        this.canvas.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
+        document.addEventListener('keyup', (e) => {
+            if (e.code === 'Space') {
+                this.spacePressed = false;
+                if (!this.isPanning) this.updateCanvasCursor();
+            }
+        });
+
         // Prevent context menu on canvas
         this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
         
         // Mouse coordinate tracking
-        this.canvas.addEventListener('mousemove', this.updateCoordinates.bind(this));
-        this.canvas.addEventListener('mouseleave', () => {
+        this.canvas.addEventListener('pointermove', this.updateCoordinates.bind(this));
+        this.canvas.addEventListener('pointerleave', () => {
             this.coordinatesDisplay.style.opacity = '0';
+            if (this.collab) this.sendCollabCursor(null);
         });
-        this.canvas.addEventListener('mouseenter', () => {
+        this.canvas.addEventListener('pointerenter', () => {
             this.coordinatesDisplay.style.opacity = '1';
         });
 
-        // Tool selection
-        document.querySelectorAll('.tool-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.selectTool(btn.dataset.tool);
-            });
+        // Color picker: drag the wheel, or type into the fields; each finished
+        // change is added to the recent colors
+        const wheel = document.getElementById('colorWheel');
+        wheel.addEventListener('pointerdown', (e) => this.handleColorWheelPointer(e, 'start'));
+        wheel.addEventListener('pointermove', (e) => this.handleColorWheelPointer(e, 'move'));
+        wheel.addEventListener('pointerup', (e) => this.handleColorWheelPointer(e, 'end'));
+        wheel.addEventListener('pointercancel', (e) => this.handleColorWheelPointer(e, 'end'));
+        document.getElementById('colorHex').addEventListener('change', (e) => {
+            const color = this.parseHexColor(e.target.value);
+            if (color) {
+                this.selectColor(color);
+            } else {
+                this.showNotification('Enter a color as #rgb or #rrggbb', 'error');
+                this.updateColorPicker();
+            }
         });
-
-        // Color selection
-        document.querySelectorAll('.color-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.selectColor(btn.dataset.color);
-            });
+        ['colorR', 'colorG', 'colorB'].forEach(id => {
+            const input = document.getElementById(id);
+            input.addEventListener('input', () => this.applyColorFields('rgb'));
+            input.addEventListener('change', () => this.addRecentColor(this.currentColor, this.colorAlpha));
+        });
+        ['colorH', 'colorS', 'colorL'].forEach(id => {
+            const input = document.getElementById(id);
+            input.addEventListener('input', () => this.applyColorFields('hsl'));
+            input.addEventListener('change', () => this.addRecentColor(this.currentColor, this.colorAlpha));
+        });
+        const alphaInput = document.getElementById('colorAlpha');
+        alphaInput.addEventListener('input', (e) => this.applyColor(this.currentColor, parseInt(e.target.value) / 100, this.pickerHsv));
+        alphaInput.addEventListener('change', () => this.addRecentColor(this.currentColor, this.colorAlpha));
+        document.getElementById('eyedropperSize').addEventListener('change', (e) => {
+            this.eyedropperSize = parseInt(e.target.value);
         });
 
-        // Custom color picker
-        const customColorInput = document.getElementById('customColor');
-        customColorInput.addEventListener('change', (e) => {
-            this.selectColor(e.target.value);
+        // Palettes
+        document.getElementById('paletteSelect').addEventListener('change', (e) => {
+            this.switchPalette(e.target.value);
+        });
+        document.getElementById('paletteFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importPalette(file);
         });
 
         // Brush size control
@@ -219,639 +605,10274 @@ class DrawingMaster {
             document.getElementById('opacityValue').textContent = e.target.value;
         });
 
+        // Shape inspector: preview while editing, record once committed
+        const shapeInputs = {
+            shapeStroke: ['stroke', v => v],
+            shapeStrokeWidth: ['strokeWidth', v => parseInt(v)],
+            shapeOpacity: ['opacity', v => parseInt(v) / 100]
+        };
+        Object.entries(shapeInputs).forEach(([id, [property, parse]]) => {
+            const input = document.getElementById(id);
+            input.addEventListener('input', (e) => this.setShapeProperty(property, parse(e.target.value)));
+            input.addEventListener('change', () => this.selectedShape && this.saveState('Shape style'));
+        });
+
+        // Active layer opacity: preview while dragging, record once released
+        const layerOpacityInput = document.getElementById('layerOpacity');
+        layerOpacityInput.addEventListener('input', (e) => {
+            this.setLayerOpacity(parseInt(e.target.value) / 100);
+        });
+        layerOpacityInput.addEventListener('change', () => this.saveState('Layer opacity'));
+        document.getElementById('layerBlendMode').addEventListener('change', (e) => {
+            this.setLayerBlendMode(e.target.value);
+        });
+
+        // Brush engine settings
+        const brushInputs = {
+            brushHardness: ['hardness', 100],
+            brushSpacing: ['spacing', 100],
+            brushFlow: ['flow', 100],
+            brushJitter: ['jitter', 100],
+            brushSmoothing: ['smoothing', 1]
+        };
+        Object.entries(brushInputs).forEach(([id, [key, scale]]) => {
+            document.getElementById(id).addEventListener('input', (e) => {
+                this.setBrushSetting(key, parseInt(e.target.value) / scale);
+            });
+        });
+        document.getElementById('brushTexture').addEventListener('change', (e) => {
+            this.setBrushSetting('texture', e.target.value);
+        });
+        document.getElementById('brushBlendMode').addEventListener('change', (e) => {
+            this.setBrushSetting('blendMode', e.target.value);
+        });
+        document.getElementById('brushPreset').addEventListener('change', (e) => {
+            this.applyBrushPreset(e.target.value);
+        });
+
+        // Text settings apply to new text and to the selected or edited text box
+        const textInputs = {
+            textFont: ['fontFamily', v => v],
+            textSize: ['fontSize', v => parseInt(v)],
+            textLineHeight: ['lineHeight', v => parseInt(v) / 10],
+            textLetterSpacing: ['letterSpacing', v => parseInt(v)],
+            textColor: ['color', v => v],
+            textOutline: ['outline', (v, input) => input.checked],
+            textOutlineColor: ['outlineColor', v => v],
+            textOutlineWidth: ['outlineWidth', v => parseInt(v)],
+            textShadow: ['shadow', (v, input) => input.checked],
+            textShadowColor: ['shadowColor', v => v],
+            textShadowBlur: ['shadowBlur', v => parseInt(v)],
+            textShadowOffset: ['shadowOffset', v => parseInt(v)]
+        };
+        Object.entries(textInputs).forEach(([id, [property, parse]]) => {
+            const input = document.getElementById(id);
+            input.addEventListener('input', (e) => this.setTextProperty(property, parse(e.target.value, e.target)));
+            input.addEventListener('change', () => this.commitTextStyle());
+        });
+
+        // Inline text editor: Ctrl+Enter or clicking away commits, Escape cancels
+        this.textEditor.addEventListener('input', () => this.updateEditedText());
+        this.textEditor.addEventListener('blur', (e) => {
+            // Using the Text panel keeps the box open
+            if (!document.getElementById('textSettings').contains(e.relatedTarget)) this.commitTextEdit();
+        });
+        this.textEditor.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.cancelTextEdit();
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.commitTextEdit();
+            }
+        });
+        this.canvas.addEventListener('dblclick', this.handleCanvasDoubleClick.bind(this));
+
+        // Shape options apply to new shapes and to the selected shape
+        const shapeOptionInputs = {
+            shapeFillMode: ['fillMode', v => v],
+            shapeFill: ['fill', v => v],
+            shapeCornerRadius: ['cornerRadius', v => parseInt(v)],
+            shapeSides: ['sides', v => parseInt(v)],
+            shapeInnerRatio: ['innerRatio', v => parseInt(v) / 100],
+            shapeHeadStyle: ['headStyle', v => v],
+            shapeCurveStyle: ['smooth', v => v === 'smooth']
+        };
+        Object.entries(shapeOptionInputs).forEach(([id, [property, parse]]) => {
+            const input = document.getElementById(id);
+            input.addEventListener('input', (e) => this.setShapeOption(property, parse(e.target.value)));
+            input.addEventListener('change', (e) => {
+                this.setShapeOption(property, parse(e.target.value));
+                if (this.getShapeOptionsTarget()) this.saveState('Shape style');
+            });
+        });
+        this.canvas.addEventListener('dblclick', () => this.finishCurve());
+
+        // Fill settings
+        const fillInputs = { fillTolerance: 'tolerance', fillExpand: 'expand', fillFeather: 'feather' };
+        Object.entries(fillInputs).forEach(([id, key]) => {
+            document.getElementById(id).addEventListener('input', (e) => {
+                this.fillSettings[key] = parseInt(e.target.value);
+                document.getElementById(`${id}Value`).textContent = e.target.value;
+            });
+        });
+        document.getElementById('fillMode').addEventListener('change', (e) => {
+            this.fillSettings.contiguous = e.target.value === 'contiguous';
+        });
+        document.getElementById('fillSource').addEventListener('change', (e) => {
+            this.fillSettings.source = e.target.value;
+            document.getElementById('fillPatternOptions').hidden = e.target.value !== 'pattern';
+        });
+        document.getElementById('fillPattern').addEventListener('change', (e) => {
+            this.fillSettings.pattern = e.target.value;
+        });
+
+        // Gradient settings and stop editor
+        document.getElementById('gradientType').addEventListener('change', (e) => {
+            this.gradientSettings.type = e.target.value;
+        });
+        document.getElementById('gradientExtent').addEventListener('change', (e) => {
+            this.gradientSettings.extent = e.target.value;
+        });
+        document.getElementById('gradientBar').addEventListener('pointerdown', (e) => this.handleGradientBarPointerDown(e));
+        document.getElementById('gradientStopColor').addEventListener('input', (e) => {
+            this.setGradientStop({ color: e.target.value });
+        });
+        document.getElementById('gradientStopAlpha').addEventListener('input', (e) => {
+            this.setGradientStop({ alpha: parseInt(e.target.value) / 100 });
+        });
+
+        // Pen input settings
+        document.getElementById('pressureCurve').addEventListener('input', (e) => {
+            const curve = parseInt(e.target.value) / 10;
+            document.getElementById('pressureCurveValue').textContent = curve.toFixed(1);
+            this.setPenSetting('pressureCurve', curve);
+        });
+        const penToggles = { pressureSize: 'pressureSize', pressureOpacity: 'pressureOpacity', penTilt: 'tilt' };
+        Object.entries(penToggles).forEach(([id, key]) => {
+            document.getElementById(id).addEventListener('change', (e) => this.setPenSetting(key, e.target.checked));
+        });
+
+        // Animation
+        document.getElementById('animationFps').addEventListener('change', (e) => {
+            const fps = parseInt(e.target.value, 10);
+            this.setAnimationSetting('fps', fps > 0 ? Math.min(60, fps) : this.animation.fps);
+        });
+        document.getElementById('animationLoop').addEventListener('change', (e) => this.setAnimationSetting('loop', e.target.checked));
+        document.getElementById('frameDuration').addEventListener('change', (e) => this.setFrameDuration(e.target.value));
+        document.getElementById('onionSkin').addEventListener('change', (e) => this.setOnionSkin('enabled', e.target.checked));
+        ['onionBefore', 'onionAfter'].forEach(id => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                const key = id === 'onionBefore' ? 'before' : 'after';
+                this.setOnionSkin(key, Math.max(0, Math.min(5, parseInt(e.target.value, 10) || 0)));
+            });
+        });
+        document.getElementById('onionOpacity').addEventListener('input', (e) => this.setOnionSkin('opacity', e.target.value / 100));
+
+        // Time-lapse replay
+        document.getElementById('replaySpeed').addEventListener('change', (e) => {
+            this.replaySpeed = parseFloat(e.target.value);
+        });
+
+        // Symmetry
+        document.getElementById('symmetryMode').addEventListener('change', (e) => this.setSymmetry('mode', e.target.value));
+        document.getElementById('symmetrySegments').addEventListener('input', (e) => this.setSymmetry('segments', parseInt(e.target.value)));
+        document.getElementById('symmetryMirror').addEventListener('change', (e) => this.setSymmetry('mirror', e.target.checked));
+
+        // Grid, rulers, guides and snapping
+        const viewToggles = { showGrid: 'grid', showRulers: 'rulers', showGuides: 'guides', snapEnabled: 'snap' };
+        Object.entries(viewToggles).forEach(([id, key]) => {
+            document.getElementById(id).addEventListener('change', (e) => this.setViewSetting(key, e.target.checked));
+        });
+        document.getElementById('gridSpacing').addEventListener('input', (e) => {
+            document.getElementById('gridSpacingValue').textContent = e.target.value;
+            this.setViewSetting('gridSpacing', parseInt(e.target.value));
+        });
+        document.getElementById('gridSubdivisions').addEventListener('input', (e) => {
+            document.getElementById('gridSubdivisionsValue').textContent = e.target.value;
+            this.setViewSetting('gridSubdivisions', parseInt(e.target.value));
+        });
+
+        // Rename the current project by editing the header title
+        this.canvasTitle.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter' || e.key === 'Escape') {
+                e.preventDefault();
+                if (e.key === 'Escape') this.canvasTitle.textContent = this.currentProject.name;
+                this.canvasTitle.blur();
+            }
+        });
+        this.canvasTitle.addEventListener('blur', () => {
+            this.renameCurrentProject(this.canvasTitle.textContent);
+        });
+
         // Keyboard shortcuts
         document.addEventListener('keydown', this.handleKeyboard.bind(this));
+        document.addEventListener('paste', this.handlePaste.bind(this));
+        // While a new shortcut is being recorded, the keys go to it alone
+        window.addEventListener('keydown', this.recordShortcutKey.bind(this), true);
+
+        // Command palette (Ctrl+K)
+        const paletteInput = document.getElementById('commandPaletteInput');
+        paletteInput.addEventListener('input', () => {
+            this.commandPalette.query = paletteInput.value;
+            this.commandPalette.active = 0;
+            this.renderCommandPalette();
+        });
+        paletteInput.addEventListener('keydown', this.handleCommandPaletteKey.bind(this));
+        document.getElementById('commandPalette').addEventListener('mousedown', (e) => {
+            if (e.target.id === 'commandPalette') {
+                e.preventDefault();
+                this.hideCommandPalette();
+            }
+        });
+        document.getElementById('shortcutsFilter').addEventListener('input', () => this.renderShortcutsList());
 
         // Window resize handler
         window.addEventListener('resize', this.debounce(this.handleResize.bind(this), 250));
 
+        // Warn before leaving with unsaved changes, and autosave on the way out
+        window.addEventListener('beforeunload', (e) => {
+            if (!this.hasUnsavedChanges()) return;
+            this.autosaveNow();
+            e.preventDefault();
+            e.returnValue = '';
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.autosaveNow();
+        });
+
         // Modal close handlers
         window.addEventListener('click', (e) => {
             const modal = document.getElementById('projectsModal');
             if (e.target === modal) {
                 this.hideProjectsModal();
             }
+            if (e.target.classList.contains('dialog-modal')) {
+                this.hideDialogs();
+            }
+            if (!e.target.closest('.header-menu') || e.target.closest('.header-menu-item')) {
+                this.closeHeaderMenus();
+            }
+        });
+
+        // Filter dialog
+        document.getElementById('filterScope').addEventListener('change', (e) => {
+            if (!this.filterSession) return;
+            this.filterSession.scope = e.target.value;
+            this.scheduleFilterPreview();
+        });
+        document.getElementById('filterPreview').addEventListener('change', (e) => {
+            if (!this.filterSession) return;
+            this.filterSession.preview = e.target.checked;
+            this.updateFilterPreview();
         });
 
         // Escape key to close modal
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 this.hideProjectsModal();
+                this.hideDialogs();
             }
         });
     }
 
     /**
-     * Handle mouse down event
+     * Start a tool action (stroke, drag or click) from a pointer event
      */
-    handleMouseDown(e) {
-        e.preventDefault();
+    handleStrokeStart(e) {
+        if (e.button === 1 || this.spacePressed) {
+            this.startPan(e);
+            return;
+        }
+        if (e.button !== 0) return;
+        if (this.startGuideDrag(e) || this.startSymmetryCenterDrag(e)) return;
+        // Tools that only pick or select check locks themselves when they edit
+        if (this.getTool().editsLayer && !this.canEditActiveLayer()) return;
         this.isDrawing = true;
-        const pos = this.getMousePosition(e);
+        this.beginToolAction(this.snapPoint(this.getPointerSample(e), e), e);
+    }
+
+    // Set up and start the current tool at pos (shared with time-lapse replay
+    // and collaboration, which pass the seed the stroke was drawn with)
+    beginToolAction(pos, event, seed = Math.floor(Math.random() * 0x7fffffff) + 1) {
+        this.strokeSeed = seed;
+        this.strokeRandom = this.createRandom(seed);
         this.startX = pos.x;
         this.startY = pos.y;
         this.endX = pos.x;
         this.endY = pos.y;
 
         this.setupDrawingContext();
-        this.executeToolAction(pos, 'start');
+        if (this.getTool().paints) {
+            this.beginPixelEdit();
+        }
+        this.beginSelectionClip();
+        this.executeToolAction(pos, 'start', event);
     }
 
     /**
-     * Handle mouse move event
+     * Continue the current tool action, or update the hover cursor
      */
-    handleMouseMove(e) {
-        e.preventDefault();
-        const pos = this.getMousePosition(e);
-        
+    handleStrokeMove(e) {
         if (this.isDrawing) {
+            const pos = this.snapPoint(this.getPointerSample(e), e);
             this.endX = pos.x;
             this.endY = pos.y;
-            this.executeToolAction(pos, 'move');
+            this.executeToolAction(pos, 'move', e);
+        } else {
+            const tool = this.getTool();
+            if (tool.onHover) tool.onHover.call(tool, this.getPointerSample(e), this.getToolContext(tool, e));
         }
     }
 
     /**
-     * Handle mouse up event
+     * Finish the current tool action and record it in the history
      */
-    handleMouseUp(e) {
+    handleStrokeEnd(e) {
         if (!this.isDrawing) return;
         
-        e.preventDefault();
         this.isDrawing = false;
-        const pos = this.getMousePosition(e);
-        this.executeToolAction(pos, 'end');
+        this.finishToolAction(this.snapPoint(this.getPointerSample(e), e), e);
+    }
+
+    // End the current tool at pos (shared with time-lapse replay)
+    finishToolAction(pos, event) {
+        this.executeToolAction(pos, 'end', event);
+        this.endSelectionClip();
+        this.snapLines = null;
         
         // Save state for undo/redo (except for tools that save immediately)
-        if (!['eyedropper', 'fill'].includes(this.currentTool)) {
-            this.saveState();
+        const history = this.getTool().history;
+        if (history) {
+            this.saveState(history);
         }
+        this.endRecordedStroke();
     }
 
     /**
-     * Handle touch events for mobile support
+     * Abort the current tool action without recording it. Painting tools
+     * have their pixels rolled back and tools with an onCancel drop their
+     * draft; other tools simply finish.
      */
-    handleTouchStart(e) {
-        e.preventDefault();
-        const touch = e.touches[0];
-        const mouseEvent = new MouseEvent('mousedown', {
-            clientX: touch.clientX,
-            clientY: touch.clientY
-        });
-        this.canvas.dispatchEvent(mouseEvent);
+    cancelStroke(e) {
+        if (!this.isDrawing) return;
+        const tool = this.getTool();
+        if (tool.paints || tool.onCancel) {
+            this.isDrawing = false;
+            if (tool.onCancel) tool.onCancel.call(tool, this.getToolContext(tool, e));
+            this.endSelectionClip();
+            if (tool.paints) this.revertPixelEdits();
+        } else {
+            this.handleStrokeEnd(e);
+        }
+        this.recorder.stroke = null;
+        this.requestRender();
     }
 
-    handleTouchMove(e) {
+    /**
+     * Pointer input: mouse, pen and touch all arrive here. One pointer draws;
+     * two touches pan and zoom, and a quick two-finger tap undoes.
+     */
+    handlePointerDown(e) {
         e.preventDefault();
-        const touch = e.touches[0];
-        const mouseEvent = new MouseEvent('mousemove', {
-            clientX: touch.clientX,
-            clientY: touch.clientY
-        });
-        this.canvas.dispatchEvent(mouseEvent);
+        // The time-lapse replay owns the canvas until it ends, and a session
+        // being joined is about to replace the drawing
+        if (this.replaySession || (this.collab && !this.collab.ready)) return;
+        this.stopAnimation();
+        if (this.textEdit) {
+            // Clicking the canvas finishes the text being typed
+            this.commitTextEdit();
+            return;
+        }
+        if (this.filterSession && e.button !== 1 && !this.spacePressed) {
+            // The layer is showing a filter preview; only panning is allowed
+            this.showNotification('Apply or cancel the filter first', 'info');
+            return;
+        }
+        if (e.pointerType === 'pen') {
+            this.penDown = true;
+            this.lastPenTime = performance.now();
+        } else if (e.pointerType === 'touch') {
+            // Palm rejection: the hand resting on the screen while writing
+            if (this.isPenActive()) return;
+            this.activeTouches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this.activeTouches.size === 2) {
+                this.cancelStroke(e);
+                this.startGesture();
+                return;
+            }
+            if (this.gesture || this.activeTouches.size > 2) return;
+        }
+        if (this.isDrawing || this.isPanning) return;
+        if (this.canvas.setPointerCapture) this.canvas.setPointerCapture(e.pointerId);
+        this.strokePointerId = e.pointerId;
+        this.handleStrokeStart(e);
     }
 
-    handleTouchEnd(e) {
+    handlePointerMove(e) {
         e.preventDefault();
-        const mouseEvent = new MouseEvent('mouseup', {});
-        this.canvas.dispatchEvent(mouseEvent);
+        if (e.pointerType === 'pen') this.lastPenTime = performance.now();
+        if (this.activeTouches.has(e.pointerId)) {
+            this.activeTouches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        }
+        if (this.gesture) {
+            this.updateGesture();
+            return;
+        }
+        if (this.isPanning) {
+            if (e.pointerId === this.strokePointerId) this.updatePan(e);
+            return;
+        }
+        if (this.overlayDrag) {
+            if (e.pointerId === this.strokePointerId) this.overlayDrag.update(e);
+            return;
+        }
+        if (!this.isDrawing) {
+            if (this.curveDraft) {
+                this.updateCurveDraft(this.snapPoint(this.getMousePosition(e), e), e);
+            } else if (e.pointerType !== 'touch') {
+                this.handleStrokeMove(e);
+            }
+            return;
+        }
+        if (e.pointerId !== this.strokePointerId) return;
+        // Fast pens and mice deliver several samples per frame
+        const samples = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+        (samples.length ? samples : [e]).forEach(sample => this.handleStrokeMove(sample));
     }
 
-    /**
-     * Get mouse position relative to canvas
-     */
-    getMousePosition(e) {
+    handlePointerUp(e) {
+        if (e.pointerType === 'pen') {
+            this.penDown = false;
+            this.lastPenTime = performance.now();
+        }
+        this.activeTouches.delete(e.pointerId);
+        if (this.gesture) {
+            if (this.activeTouches.size === 0) this.endGesture(e.type !== 'pointercancel');
+            return;
+        }
+        if (e.pointerId !== this.strokePointerId) return;
+        this.strokePointerId = null;
+        if (this.overlayDrag) {
+            this.overlayDrag.end(e);
+        } else if (this.isPanning) {
+            this.endPan();
+        } else if (e.type === 'pointercancel') {
+            this.cancelStroke(e);
+        } else {
+            this.handleStrokeEnd(e);
+        }
+    }
+
+    // A pen touching or hovering near the screen disables touch drawing
+    isPenActive() {
+        return this.penDown || performance.now() - this.lastPenTime < this.palmRejectionDelay;
+    }
+
+    // Two touches: remember where they started so movement can pan and zoom
+    startGesture() {
+        const { center, distance } = this.getTouchGeometry();
+        if (this.gesture) {
+            // A finger was lifted and put back: keep going, but it is no longer a tap
+            Object.assign(this.gesture, { center, distance, moved: true });
+            return;
+        }
+        this.gesture = { center, distance, startCenter: center, startDistance: distance, startTime: performance.now(), moved: false };
+    }
+
+    updateGesture() {
+        if (this.activeTouches.size < 2) return;
+        const { center, distance } = this.getTouchGeometry();
+        const gesture = this.gesture;
+        if (!gesture.moved) {
+            const travel = Math.hypot(center.x - gesture.startCenter.x, center.y - gesture.startCenter.y);
+            if (travel < this.tapSlop && Math.abs(distance - gesture.startDistance) < this.tapSlop) return;
+            gesture.moved = true;
+        }
+        this.panBy(center.x - gesture.center.x, center.y - gesture.center.y);
+        if (gesture.distance > 0) {
+            this.zoomTo(this.view.zoom * distance / gesture.distance, center);
+        }
+        gesture.center = center;
+        gesture.distance = distance;
+    }
+
+    endGesture(completed) {
+        const isTap = completed && !this.gesture.moved &&
+            performance.now() - this.gesture.startTime < this.tapMaxDuration;
+        this.gesture = null;
+        if (isTap) this.undo();
+    }
+
+    // Center (relative to the canvas) and spread of the first two touches
+    getTouchGeometry() {
+        const [a, b] = [...this.activeTouches.values()];
         const rect = this.canvas.getBoundingClientRect();
-        // Use devicePixelRatio to get correct coordinates for high-DPI screens
-        const dpr = window.devicePixelRatio || 1;
         return {
-            x: (e.clientX - rect.left) * dpr,
-            y: (e.clientY - rect.top) * dpr
+            center: { x: (a.x + b.x) / 2 - rect.left, y: (a.y + b.y) / 2 - rect.top },
+            distance: Math.hypot(b.x - a.x, b.y - a.y)
         };
     }
 
     /**
-     * Update coordinate display
+     * Read position, pressure and tilt from a pointer event. Only pens report
+     * real pressure; mouse and touch always draw at full pressure.
      */
-    updateCoordinates(e) {
+    getPointerSample(e) {
         const pos = this.getMousePosition(e);
-        this.coordinatesDisplay.textContent = `x: ${Math.round(pos.x)}, y: ${Math.round(pos.y)}`;
+        const isPen = e.pointerType === 'pen';
+        pos.pointerType = e.pointerType || 'mouse';
+        pos.pressure = isPen ? e.pressure : 1;
+        pos.tilt = isPen ? Math.min(90, Math.hypot(e.tiltX || 0, e.tiltY || 0)) / 90 : 0;
+        return pos;
     }
 
     /**
-     * Setup drawing context properties
+     * Stroke width and opacity factor (0-1) for a sample after the pressure
+     * curve and tilt
      */
-    setupDrawingContext() {
-        this.ctx.strokeStyle = this.currentTool === 'eraser' ? '#FFFFFF' : this.currentColor;
-        this.ctx.fillStyle = this.currentColor;
-        this.ctx.lineWidth = this.brushSize;
-        this.ctx.globalAlpha = this.currentTool === 'eraser' ? 1 : this.opacity;
-        this.ctx.globalCompositeOperation = this.currentTool === 'eraser' ? 'destination-out' : 'source-over';
+    getStrokeDynamics(sample) {
+        const settings = this.penSettings;
+        const pressure = Math.pow(Math.min(1, Math.max(0, sample.pressure)), settings.pressureCurve);
+        let size = this.brushSize;
+        let alpha = 1;
+        if (settings.pressureSize) size *= 0.15 + 0.85 * pressure;
+        if (settings.pressureOpacity) alpha *= 0.1 + 0.9 * pressure;
+        if (settings.tilt) {
+            // Tilting the pen shades with the side of the tip: wider and lighter
+            size *= 1 + sample.tilt * 1.5;
+            alpha *= 1 - sample.tilt * 0.5;
+        }
+        return { size: Math.max(0.5, size), alpha };
     }
 
-    /**
-     * Execute tool-specific actions
-     */
-    executeToolAction(pos, phase) {
-        switch (this.currentTool) {
-            case 'pencil':
-            case 'brush':
-                this.handleFreeDrawing(pos, phase);
-                break;
-            case 'eraser':
-                this.handleEraser(pos, phase);
-                break;
-            case 'line':
-                this.handleLineDrawing(pos, phase);
-                break;
-            case 'rectangle':
-                this.handleRectangleDrawing(pos, phase);
-                break;
-            case 'circle':
-                this.handleCircleDrawing(pos, phase);
-                break;
-            case 'fill':
-                if (phase === 'start') this.handleFloodFill(pos);
-                break;
-            case 'eyedropper':
-                if (phase === 'start') this.handleColorPicker(pos);
-                break;
-            case 'text':
-                if (phase === 'start') this.handleTextTool(pos);
-                break;
+    setPenSetting(key, value) {
+        this.penSettings[key] = value;
+        localStorage.setItem('drawingMaster.penSettings', JSON.stringify(this.penSettings));
+    }
+
+    loadPenSettings() {
+        try {
+            Object.assign(this.penSettings, JSON.parse(localStorage.getItem('drawingMaster.penSettings')) || {});
+        } catch (error) {
+            console.warn('Ignoring invalid pen settings:', error);
         }
+        document.getElementById('pressureCurve').value = Math.round(this.penSettings.pressureCurve * 10);
+        document.getElementById('pressureCurveValue').textContent = this.penSettings.pressureCurve.toFixed(1);
+        document.getElementById('pressureSize').checked = this.penSettings.pressureSize;
+        document.getElementById('pressureOpacity').checked = this.penSettings.pressureOpacity;
+        document.getElementById('penTilt').checked = this.penSettings.tilt;
+        this.updatePenOptions();
     }
 
     /**
-     * Handle free drawing (pencil/brush)
+     * Get mouse position in document pixels
      */
-    handleFreeDrawing(pos, phase) {
-        if (phase === 'start') {
-            this.ctx.beginPath();
-            this.ctx.moveTo(pos.x, pos.y);
-        } else if (phase === 'move') {
-            this.ctx.lineTo(pos.x, pos.y);
-            this.ctx.stroke();
-        }
+    getMousePosition(e) {
+        return this.screenToDocument(e.clientX, e.clientY);
     }
 
     /**
-     * Handle eraser tool
+     * Map a client (screen) point to document pixels through the viewport
      */
-    handleEraser(pos, phase) {
-        if (phase === 'start') {
-            this.ctx.beginPath();
-            this.ctx.moveTo(pos.x, pos.y);
-        } else if (phase === 'move') {
-            this.ctx.lineTo(pos.x, pos.y);
-            this.ctx.stroke();
-        }
+    screenToDocument(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left - this.view.panX) / this.view.zoom,
+            y: (clientY - rect.top - this.view.panY) / this.view.zoom
+        };
+    }
+
+    // Size of one screen (CSS) pixel in document pixels, for overlays and hit testing
+    getScreenPixelSize() {
+        return 1 / this.view.zoom;
     }
 
     /**
-     * Handle line drawing
+     * Zoom to a level, keeping the document point under the anchor still.
+     * The anchor is in CSS pixels relative to the canvas (default: its center).
      */
-    handleLineDrawing(pos, phase) {
-        if (phase === 'move') {
-            this.redrawCanvas();
-            this.drawLinePreview();
-        } else if (phase === 'end') {
-            this.drawLine();
+    zoomTo(zoom, anchor = { x: this.viewportWidth / 2, y: this.viewportHeight / 2 }) {
+        zoom = Math.min(this.maxZoom, Math.max(this.minZoom, zoom));
+        const docX = (anchor.x - this.view.panX) / this.view.zoom;
+        const docY = (anchor.y - this.view.panY) / this.view.zoom;
+        this.view.zoom = zoom;
+        this.view.panX = anchor.x - docX * zoom;
+        this.view.panY = anchor.y - docY * zoom;
+        this.updateZoomDisplay();
+        this.requestRender();
+    }
+
+    zoomIn() {
+        this.zoomTo(this.view.zoom * 1.25);
+    }
+
+    zoomOut() {
+        this.zoomTo(this.view.zoom / 1.25);
+    }
+
+    // Show the document at 100%, centered
+    zoomToActualSize() {
+        this.centerDocument(1);
+    }
+
+    // Fit the whole document into the viewport
+    fitToScreen() {
+        const margin = 40;
+        const zoom = Math.min(
+            (this.viewportWidth - margin) / this.docWidth,
+            (this.viewportHeight - margin) / this.docHeight
+        );
+        this.centerDocument(zoom > 0 ? zoom : 1);
+    }
+
+    // Initial view: fit large documents, show small ones at 100%
+    resetView() {
+        this.fitToScreen();
+        if (this.view.zoom > 1) {
+            this.zoomToActualSize();
         }
     }
 
-    /**
-     * Handle rectangle drawing
-     */
-    handleRectangleDrawing(pos, phase) {
-        if (phase === 'move') {
-            this.redrawCanvas();
-            this.drawRectanglePreview();
-        } else if (phase === 'end') {
-            this.drawRectangle();
+    centerDocument(zoom) {
+        this.view.zoom = Math.min(this.maxZoom, Math.max(this.minZoom, zoom));
+        this.view.panX = (this.viewportWidth - this.docWidth * this.view.zoom) / 2;
+        this.view.panY = (this.viewportHeight - this.docHeight * this.view.zoom) / 2;
+        this.updateZoomDisplay();
+        this.requestRender();
+    }
+
+    panBy(dx, dy) {
+        this.view.panX += dx;
+        this.view.panY += dy;
+        this.requestRender();
+    }
+
+    updateZoomDisplay() {
+        if (this.zoomDisplay) {
+            this.zoomDisplay.textContent = `${Math.round(this.view.zoom * 100)}%`;
         }
     }
 
     /**
-     * Handle circle drawing
+     * Ctrl+wheel (and trackpad pinch) zooms at the cursor, plain wheel pans
      */
-    handleCircleDrawing(pos, phase) {
-        if (phase === 'move') {
-            this.redrawCanvas();
-            this.drawCirclePreview();
-        } else if (phase === 'end') {
-            this.drawCircle();
+    handleWheel(e) {
+        e.preventDefault();
+        const scale = e.deltaMode === 1 ? 16 : 1; // lines to pixels
+        if (e.ctrlKey || e.metaKey) {
+            const rect = this.canvas.getBoundingClientRect();
+            const factor = Math.exp(-e.deltaY * scale * 0.0015);
+            this.zoomTo(this.view.zoom * factor, { x: e.clientX - rect.left, y: e.clientY - rect.top });
+        } else if (e.shiftKey) {
+            this.panBy(-e.deltaY * scale, 0);
+        } else {
+            this.panBy(-e.deltaX * scale, -e.deltaY * scale);
         }
     }
 
-    /**
-     * Draw line preview
-     */
-    drawLinePreview() {
-        this.ctx.beginPath();
-        this.ctx.moveTo(this.startX, this.startY);
-        this.ctx.lineTo(this.endX, this.endY);
-        this.ctx.stroke();
+    // Start panning with the middle button or while space is held
+    startPan(e) {
+        this.isPanning = true;
+        this.panStart = { x: e.clientX, y: e.clientY, panX: this.view.panX, panY: this.view.panY };
+        this.canvas.style.cursor = 'grabbing';
     }
 
-    /**
-     * Draw final line
-     */
-    drawLine() {
-        this.setupDrawingContext();
-        this.ctx.beginPath();
-        this.ctx.moveTo(this.startX, this.startY);
-        this.ctx.lineTo(this.endX, this.endY);
-        this.ctx.stroke();
+    updatePan(e) {
+        this.view.panX = this.panStart.panX + e.clientX - this.panStart.x;
+        this.view.panY = this.panStart.panY + e.clientY - this.panStart.y;
+        this.requestRender();
+    }
+
+    endPan() {
+        this.isPanning = false;
+        this.panStart = null;
+        this.spacePressed ? (this.canvas.style.cursor = 'grab') : this.updateCanvasCursor();
     }
 
     /**
-     * Draw rectangle preview
+     * Update coordinate display
      */
-    drawRectanglePreview() {
-        const width = this.endX - this.startX;
-        const height = this.endY - this.startY;
-        this.ctx.strokeRect(this.startX, this.startY, width, height);
+    updateCoordinates(e) {
+        const pos = this.getMousePosition(e);
+        this.coordinatesDisplay.textContent = `x: ${Math.round(pos.x)}, y: ${Math.round(pos.y)}`;
+        if (this.collab) this.sendCollabCursor(pos);
     }
 
     /**
-     * Draw final rectangle
+     * Setup drawing context properties
      */
-    drawRectangle() {
-        this.setupDrawingContext();
-        const width = this.endX - this.startX;
-        const height = this.endY - this.startY;
-        this.ctx.strokeRect(this.startX, this.startY, width, height);
+    setupDrawingContext() {
+        // The eraser clears pixels to transparency whatever the color, so the
+        // layers below and the document background show through
+        const erasing = this.currentTool === 'eraser';
+        this.ctx.strokeStyle = this.currentColor;
+        this.ctx.fillStyle = this.currentColor;
+        this.ctx.lineWidth = this.brushSize;
+        this.ctx.globalAlpha = erasing ? 1 : this.getPaintOpacity();
+        this.ctx.globalCompositeOperation = erasing ? 'destination-out' : 'source-over';
     }
 
     /**
-     * Draw circle preview
+     * Run the current tool's handler for one phase of an action ('start',
+     * 'move' or 'end')
      */
-    drawCirclePreview() {
-        const radius = Math.sqrt(
-            Math.pow(this.endX - this.startX, 2) + Math.pow(this.endY - this.startY, 2)
-        );
-        this.ctx.beginPath();
-        this.ctx.arc(this.startX, this.startY, radius, 0, 2 * Math.PI);
-        this.ctx.stroke();
+    executeToolAction(pos, phase, event) {
+        // Other people's strokes reach the recording as document changes
+        // once applied (see applyCollabOperation), not as our own input
+        const remote = this.collab && this.collab.applying;
+        if (this.recorder.active && !remote) this.recordToolAction(pos, phase, event);
+        if (this.collab && !remote) this.captureCollabAction(pos, phase, event);
+        const tool = this.getTool();
+        const handler = { start: tool.onStart, move: tool.onMove, end: tool.onEnd }[phase];
+        if (handler) handler.call(tool, pos, this.getToolContext(tool, event));
+        this.requestRender();
     }
 
     /**
-     * Draw final circle
+     * Handle free drawing (pencil/brush). Both stamp into a stroke buffer that
+     * is composited onto the layer at the brush opacity when the stroke ends,
+     * so overlapping dabs never build up past the chosen opacity.
      */
-    drawCircle() {
-        this.setupDrawingContext();
-        const radius = Math.sqrt(
-            Math.pow(this.endX - this.startX, 2) + Math.pow(this.endY - this.startY, 2)
-        );
-        this.ctx.beginPath();
-        this.ctx.arc(this.startX, this.startY, radius, 0, 2 * Math.PI);
-        this.ctx.stroke();
+    handleFreeDrawing(pos, phase) {
+        if (phase === 'start') {
+            this.beginBufferedStroke(pos);
+            this.placeStrokeDabs(pos);
+        } else if (phase === 'move') {
+            const target = this.applyLazyMouse(pos);
+            if (target) this.placeStrokeDabs(target);
+        } else if (phase === 'end') {
+            const stroke = this.endBufferedStroke();
+            if (!stroke) return;
+            this.ctx.save();
+            this.ctx.globalAlpha = stroke.opacity;
+            this.ctx.globalCompositeOperation = stroke.blendMode;
+            this.ctx.drawImage(this.strokeBuffer, 0, 0);
+            this.ctx.restore();
+        }
+    }
+
+    // Clear the stroke buffer and start collecting dabs for the active layer
+    beginBufferedStroke(pos) {
+        const buffer = this.strokeBuffer;
+        if (buffer.width !== this.docWidth || buffer.height !== this.docHeight) {
+            buffer.width = this.docWidth;
+            buffer.height = this.docHeight;
+        }
+        const ctx = buffer.getContext('2d');
+        ctx.clearRect(0, 0, buffer.width, buffer.height);
+        ctx.save();
+        // Clip the preview the same way the layer is clipped on commit
+        if (this.selection) ctx.clip(this.getSelectionPath());
+        this.activeStroke = {
+            layer: this.getActiveLayer(),
+            ctx,
+            opacity: this.getPaintOpacity(),
+            // Recordings made before blend modes have none
+            blendMode: this.brushSettings.blendMode || 'source-over',
+            lazy: { x: pos.x, y: pos.y },
+            cursor: { x: pos.x, y: pos.y },
+            last: null,
+            carry: 0
+        };
+    }
+
+    endBufferedStroke() {
+        const stroke = this.activeStroke;
+        if (!stroke) return null;
+        stroke.ctx.restore();
+        this.activeStroke = null;
+        return stroke;
     }
 
     /**
-     * Handle flood fill tool
+     * Lazy mouse: the brush trails the pointer on a string as long as the
+     * smoothing radius (in screen pixels), which irons out hand jitter.
+     * Returns the new brush position, or null while the string is slack.
      */
-    handleFloodFill(pos) {
-        const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-        const targetColor = this.getPixelColor(imageData, Math.floor(pos.x), Math.floor(pos.y));
-        const fillColor = this.hexToRgba(this.currentColor);
-        
-        if (this.colorsEqual(targetColor, fillColor)) {
-            return; // Same color, no need to fill
-        }
-        
-        this.floodFill(imageData, Math.floor(pos.x), Math.floor(pos.y), targetColor, fillColor);
-        this.ctx.putImageData(imageData, 0, 0);
-        this.saveState();
+    applyLazyMouse(pos) {
+        const stroke = this.activeStroke;
+        stroke.cursor = { x: pos.x, y: pos.y };
+        const radius = this.brushSettings.smoothing * this.getScreenPixelSize();
+        const dx = pos.x - stroke.lazy.x;
+        const dy = pos.y - stroke.lazy.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance <= radius) return null;
+        const pull = (distance - radius) / distance;
+        stroke.lazy = { x: stroke.lazy.x + dx * pull, y: stroke.lazy.y + dy * pull };
+        return { ...pos, x: stroke.lazy.x, y: stroke.lazy.y };
     }
 
     /**
-     * Flood fill algorithm implementation
+     * Stamp dabs from the previous sample up to this one. The pencil plots
+     * every pixel; the brush spaces dabs by a fraction of their size.
      */
-    floodFill(imageData, x, y, targetColor, fillColor) {
-        const width = imageData.width;
-        const height = imageData.height;
-        const visited = new Set();
-        const stack = [{x, y}];
-        
-        while (stack.length > 0) {
-            const {x: currentX, y: currentY} = stack.pop();
-            
-            if (currentX < 0 || currentX >= width || currentY < 0 || currentY >= height) {
-                continue;
-            }
-            
-            const key = `${currentX},${currentY}`;
-            if (visited.has(key)) {
-                continue;
-            }
-            
-            const currentColor = this.getPixelColor(imageData, currentX, currentY);
-            if (!this.colorsEqual(currentColor, targetColor)) {
-                continue;
+    placeStrokeDabs(sample) {
+        const stroke = this.activeStroke;
+        const pencil = this.currentTool === 'pencil';
+        const { size, alpha } = this.getStrokeDynamics(sample);
+        const point = { x: sample.x, y: sample.y, size, alpha };
+        const last = stroke.last;
+        stroke.last = point;
+        if (!last) {
+            this.stampSymmetricDabs(point, pencil);
+            return;
+        }
+
+        const distance = Math.hypot(point.x - last.x, point.y - last.y);
+        const spacing = pencil ? 1 : Math.max(0.5, this.brushSettings.spacing * Math.min(last.size, size));
+        let next = spacing - stroke.carry;
+        while (next <= distance) {
+            const t = next / distance;
+            this.stampSymmetricDabs({
+                x: last.x + (point.x - last.x) * t,
+                y: last.y + (point.y - last.y) * t,
+                size: last.size + (size - last.size) * t,
+                alpha: last.alpha + (alpha - last.alpha) * t
+            }, pencil);
+            next += spacing;
+        }
+        stroke.carry = distance - (next - spacing);
+    }
+
+    // Stamp a dab and its symmetric copies
+    stampSymmetricDabs(point, pencil) {
+        this.getSymmetryPoints(point).forEach(copy => this.stampDab(copy, pencil));
+    }
+
+    stampDab(point, pencil) {
+        const ctx = this.activeStroke.ctx;
+        if (pencil) {
+            // Whole-pixel spans keep the pencil aliased and hard-edged
+            const diameter = Math.max(1, Math.round(point.size));
+            const left = Math.round(point.x - diameter / 2);
+            const top = Math.round(point.y - diameter / 2);
+            ctx.globalAlpha = 1;
+            ctx.fillStyle = this.currentColor;
+            this.getPencilSpans(diameter).forEach(([offset, row, width]) => {
+                ctx.fillRect(left + offset, top + row, width, 1);
+            });
+            return;
+        }
+
+        const { flow, jitter, texture } = this.brushSettings;
+        let { x, y, size } = point;
+        if (jitter > 0) {
+            const angle = this.strokeRandom() * Math.PI * 2;
+            const offset = this.strokeRandom() * jitter * size / 2;
+            x += Math.cos(angle) * offset;
+            y += Math.sin(angle) * offset;
+            size *= 1 - this.strokeRandom() * jitter * 0.5;
+        }
+        let dab = this.getBrushStamp(size);
+        if (texture !== 'none') dab = this.applyBrushTexture(dab, x - size / 2, y - size / 2, size);
+        ctx.globalAlpha = flow * point.alpha;
+        ctx.drawImage(dab, x - size / 2, y - size / 2, size, size);
+    }
+
+    // Rows of a pixel-aligned disc as [offset, row, width]
+    getPencilSpans(diameter) {
+        if (!this.pencilSpans.has(diameter)) {
+            const radius = diameter / 2;
+            const spans = [];
+            for (let row = 0; row < diameter; row++) {
+                const dy = row + 0.5 - radius;
+                const half = diameter <= 2 ? radius : Math.sqrt(Math.max(0, radius * radius - dy * dy));
+                const offset = Math.round(radius - half);
+                if (diameter - offset * 2 > 0) spans.push([offset, row, diameter - offset * 2]);
             }
-            
-            visited.add(key);
-            this.setPixelColor(imageData, currentX, currentY, fillColor);
-            
-            // Add neighboring pixels to stack
-            stack.push(
-                {x: currentX + 1, y: currentY},
-                {x: currentX - 1, y: currentY},
-                {x: currentX, y: currentY + 1},
-                {x: currentX, y: currentY - 1}
-            );
+            this.pencilSpans.set(diameter, spans);
         }
+        return this.pencilSpans.get(diameter);
     }
 
     /**
-     * Get pixel color at coordinates
+     * Round dab in the current color with a soft edge set by the hardness.
+     * Stamps are cached per whole-pixel diameter, hardness and color.
      */
-    getPixelColor(imageData, x, y) {
-        const index = (y * imageData.width + x) * 4;
-        return {
-            r: imageData.data[index],
-            g: imageData.data[index + 1],
-            b: imageData.data[index + 2],
-            a: imageData.data[index + 3]
+    getBrushStamp(size) {
+        const diameter = Math.max(1, Math.ceil(size));
+        const { hardness } = this.brushSettings;
+        const key = `${diameter}|${hardness}|${this.currentColor}`;
+        if (!this.brushStamps.has(key)) {
+            if (this.brushStamps.size > 64) this.brushStamps.clear();
+            const stamp = document.createElement('canvas');
+            stamp.width = stamp.height = diameter;
+            const ctx = stamp.getContext('2d');
+            const radius = diameter / 2;
+            const gradient = ctx.createRadialGradient(radius, radius, 0, radius, radius, radius);
+            gradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+            gradient.addColorStop(Math.min(hardness, 0.98), 'rgba(0, 0, 0, 1)');
+            gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, diameter, diameter);
+            // Tint the alpha mask with the brush color
+            ctx.globalCompositeOperation = 'source-in';
+            ctx.fillStyle = this.currentColor;
+            ctx.fillRect(0, 0, diameter, diameter);
+            this.brushStamps.set(key, stamp);
+        }
+        return this.brushStamps.get(key);
+    }
+
+    // Knock the texture out of a dab. The texture is anchored to the document,
+    // so the grain stays put as the brush moves over it.
+    applyBrushTexture(stamp, left, top, size) {
+        const scratch = this.dabScratch;
+        const diameter = stamp.width;
+        scratch.width = scratch.height = diameter;
+        const ctx = scratch.getContext('2d');
+        ctx.drawImage(stamp, 0, 0);
+        const scale = diameter / size;
+        ctx.globalCompositeOperation = 'destination-out';
+        ctx.setTransform(scale, 0, 0, scale, -left * scale, -top * scale);
+        ctx.fillStyle = ctx.createPattern(this.getBrushTexture(this.brushSettings.texture), 'repeat');
+        ctx.fillRect(left, top, size, size);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalCompositeOperation = 'source-over';
+        return scratch;
+    }
+
+    // Tileable alpha textures, generated once from a fixed seed so every
+    // copy of the app has the same grain: paper grain or canvas weave
+    getBrushTexture(type) {
+        if (!this.brushTextures[type]) {
+            const random = this.createRandom(type === 'canvas' ? 1 : 2);
+            const size = 128;
+            const texture = document.createElement('canvas');
+            texture.width = texture.height = size;
+            const ctx = texture.getContext('2d');
+            const image = ctx.createImageData(size, size);
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    const weave = ((x >> 2) + (y >> 2)) % 2 === 0 ? (x % 4 === 0 ? 170 : 40) : (y % 4 === 0 ? 170 : 40);
+                    const strength = type === 'canvas' ? weave + random() * 40 : Math.pow(random(), 2) * 230;
+                    image.data[(y * size + x) * 4 + 3] = strength;
+                }
+            }
+            ctx.putImageData(image, 0, 0);
+            this.brushTextures[type] = texture;
+        }
+        return this.brushTextures[type];
+    }
+
+    // Small seeded random number generator (mulberry32), as in the noise filter
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Smoothing string between the brush and the pointer, shown while drawing
+    drawLazyGuide(ctx) {
+        const stroke = this.activeStroke;
+        if (!stroke || !this.brushSettings.smoothing) return;
+        const px = this.getScreenPixelSize();
+        ctx.save();
+        ctx.lineWidth = px;
+        ctx.strokeStyle = 'rgba(52, 152, 219, 0.8)';
+        ctx.beginPath();
+        ctx.arc(stroke.lazy.x, stroke.lazy.y, this.brushSettings.smoothing * px, 0, Math.PI * 2);
+        ctx.moveTo(stroke.lazy.x, stroke.lazy.y);
+        ctx.lineTo(stroke.cursor.x, stroke.cursor.y);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    setBrushSetting(key, value) {
+        this.brushSettings[key] = value;
+        this.updateBrushControls();
+    }
+
+    // Sync the Brush Settings controls with the current size, opacity and settings
+    updateBrushControls() {
+        const { hardness, spacing, flow, jitter, smoothing, texture, blendMode } = this.brushSettings;
+        const controls = {
+            brushSize: [this.brushSize, 'brushSizeValue'],
+            brushOpacity: [Math.round(this.opacity * 100), 'opacityValue'],
+            brushHardness: [Math.round(hardness * 100), 'brushHardnessValue'],
+            brushSpacing: [Math.round(spacing * 100), 'brushSpacingValue'],
+            brushFlow: [Math.round(flow * 100), 'brushFlowValue'],
+            brushJitter: [Math.round(jitter * 100), 'brushJitterValue'],
+            brushSmoothing: [smoothing, 'brushSmoothingValue']
         };
+        Object.entries(controls).forEach(([id, [value, labelId]]) => {
+            document.getElementById(id).value = value;
+            document.getElementById(labelId).textContent = value;
+        });
+        document.getElementById('brushTexture').value = texture;
+        document.getElementById('brushBlendMode').value = blendMode || 'source-over';
     }
 
     /**
-     * Set pixel color at coordinates
+     * Brush presets: the built-in ones plus any saved to localStorage
      */
-    setPixelColor(imageData, x, y, color) {
-        const index = (y * imageData.width + x) * 4;
-        imageData.data[index] = color.r;
-        imageData.data[index + 1] = color.g;
-        imageData.data[index + 2] = color.b;
-        imageData.data[index + 3] = color.a;
+    loadBrushPresets() {
+        try {
+            this.brushPresets = JSON.parse(localStorage.getItem('drawingMaster.brushPresets')) || [];
+        } catch (error) {
+            console.warn('Ignoring invalid brush presets:', error);
+            this.brushPresets = [];
+        }
+        this.renderBrushPresets('Default');
+        this.updateBrushControls();
+    }
+
+    renderBrushPresets(selectedName) {
+        const select = document.getElementById('brushPreset');
+        select.innerHTML = '';
+        const groups = [['Built-in', this.builtInBrushPresets], ['My Presets', this.brushPresets]];
+        groups.forEach(([label, presets]) => {
+            if (presets.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            presets.forEach(preset => group.appendChild(new Option(preset.name, preset.name)));
+            select.appendChild(group);
+        });
+        select.value = selectedName;
+    }
+
+    getBrushPreset(name) {
+        return [...this.builtInBrushPresets, ...this.brushPresets].find(preset => preset.name === name);
+    }
+
+    applyBrushPreset(name) {
+        const preset = this.getBrushPreset(name);
+        if (!preset) return;
+        this.brushSize = preset.size;
+        this.opacity = preset.opacity;
+        this.brushSettings = { ...this.brushSettings, ...preset.settings };
+        this.updateBrushControls();
+    }
+
+    // Save the current brush under a name; saving over one of your presets updates it
+    saveBrushPreset() {
+        const name = (prompt('Preset name:') || '').trim();
+        if (!name) return;
+        if (this.builtInBrushPresets.some(preset => preset.name === name)) {
+            this.showNotification('A built-in preset already uses that name', 'error');
+            return;
+        }
+        const preset = { name, size: this.brushSize, opacity: this.opacity, settings: { ...this.brushSettings } };
+        const index = this.brushPresets.findIndex(existing => existing.name === name);
+        index === -1 ? this.brushPresets.push(preset) : this.brushPresets.splice(index, 1, preset);
+        localStorage.setItem('drawingMaster.brushPresets', JSON.stringify(this.brushPresets));
+        this.renderBrushPresets(name);
+        this.showNotification(`Brush preset "${name}" saved`, 'success');
+    }
+
+    deleteBrushPreset() {
+        const name = document.getElementById('brushPreset').value;
+        const index = this.brushPresets.findIndex(preset => preset.name === name);
+        if (index === -1) {
+            this.showNotification('Built-in presets cannot be deleted', 'error');
+            return;
+        }
+        this.brushPresets.splice(index, 1);
+        localStorage.setItem('drawingMaster.brushPresets', JSON.stringify(this.brushPresets));
+        this.renderBrushPresets('Default');
+        this.showNotification(`Brush preset "${name}" deleted`, 'success');
     }
 
     /**
-     * Check if two colors are equal
+     * Handle eraser tool
      */
-    colorsEqual(color1, color2) {
-        return color1.r === color2.r && color1.g === color2.g && 
-               color1.b === color2.b && color1.a === color2.a;
+    handleEraser(pos, phase) {
+        if (pos.pointerType === 'pen') {
+            this.drawPressureSegment(pos, phase);
+            return;
+        }
+        if (phase === 'start') {
+            this.lastEraserPoint = pos;
+        } else if (phase === 'move') {
+            this.strokeSymmetricSegment(this.lastEraserPoint, pos);
+            this.lastEraserPoint = pos;
+        }
+    }
+
+    // Stroke a segment and its symmetric copies as one path, so copies that
+    // overlap near the center do not erase or paint twice
+    strokeSymmetricSegment(from, to) {
+        const starts = this.getSymmetryPoints(from);
+        const ends = this.getSymmetryPoints(to);
+        this.ctx.beginPath();
+        starts.forEach((start, i) => {
+            this.ctx.moveTo(start.x, start.y);
+            this.ctx.lineTo(ends[i].x, ends[i].y);
+        });
+        this.ctx.stroke();
     }
 
     /**
-     * Convert hex color to RGBA
+     * Pen strokes are drawn segment by segment so width and opacity can
+     * follow pressure and tilt along the stroke
      */
-    hexToRgba(hex) {
-        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-        return result ? {
-            r: parseInt(result[1], 16),
-            g: parseInt(result[2], 16),
-            b: parseInt(result[3], 16),
-            a: Math.round(this.opacity * 255)
-        } : {r: 0, g: 0, b: 0, a: 255};
+    drawPressureSegment(pos, phase) {
+        if (phase === 'start') {
+            this.lastPenSample = pos;
+            return;
+        }
+        if (phase !== 'move' || !this.lastPenSample) return;
+        const { size, alpha } = this.getStrokeDynamics(pos);
+        this.ctx.lineWidth = size;
+        this.ctx.globalAlpha = alpha;
+        this.strokeSymmetricSegment(this.lastPenSample, pos);
+        this.lastPenSample = pos;
     }
 
     /**
-     * Convert RGBA to hex
+     * Symmetry: each copy mirrors the stroke across the vertical axis through
+     * the center (if mirror is set), then rotates it about the center.
+     * The first copy is always the stroke itself.
      */
-    rgbaToHex(r, g, b) {
-        return "#" + [r, g, b].map(x => {
-            const hex = x.toString(16);
-            return hex.length === 1 ? "0" + hex : hex;
-        }).join("");
+    getSymmetryCopies() {
+        const { mode, segments, mirror } = this.symmetry;
+        switch (mode) {
+            case 'horizontal':
+                return [{ mirror: false, angle: 0 }, { mirror: true, angle: 0 }];
+            case 'vertical':
+                return [{ mirror: false, angle: 0 }, { mirror: true, angle: Math.PI }];
+            case 'both':
+                return [
+                    { mirror: false, angle: 0 }, { mirror: true, angle: 0 },
+                    { mirror: true, angle: Math.PI }, { mirror: false, angle: Math.PI }
+                ];
+            case 'radial': {
+                const copies = [];
+                for (let i = 0; i < segments; i++) {
+                    const angle = i * 2 * Math.PI / segments;
+                    copies.push({ mirror: false, angle });
+                    if (mirror) copies.push({ mirror: true, angle });
+                }
+                return copies;
+            }
+            default:
+                return [{ mirror: false, angle: 0 }];
+        }
+    }
+
+    getSymmetryCenter() {
+        return this.symmetry.center || { x: this.docWidth / 2, y: this.docHeight / 2 };
+    }
+
+    isSymmetryActive() {
+        return this.symmetry.mode !== 'off' && this.getTool().symmetry;
+    }
+
+    applySymmetry(copy, point) {
+        const center = this.getSymmetryCenter();
+        const dx = (point.x - center.x) * (copy.mirror ? -1 : 1);
+        const dy = point.y - center.y;
+        // Rounded so quarter and half turns land exactly on whole pixels
+        const cos = Math.round(Math.cos(copy.angle) * 1e12) / 1e12;
+        const sin = Math.round(Math.sin(copy.angle) * 1e12) / 1e12;
+        return { x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
+    }
+
+    // A point and its symmetric copies (just the point when symmetry is off)
+    getSymmetryPoints(point) {
+        if (!this.isSymmetryActive()) return [point];
+        return this.getSymmetryCopies().map(copy => ({ ...point, ...this.applySymmetry(copy, point) }));
+    }
+
+    // A shape and its symmetric copies, each a separate editable object
+    getSymmetryShapes(shape) {
+        if (!this.isSymmetryActive()) return [shape];
+        const center = this.getSymmetryCenter();
+        return this.getSymmetryCopies().map((copy, index) => {
+            if (index === 0) return shape;
+            const clone = { ...shape, id: this.generateId() };
+            if (shape.points) clone.points = shape.points.map(p => ({ ...p }));
+            if (copy.mirror) {
+                this.transformShape(clone, { map: p => ({ x: 2 * center.x - p.x, y: p.y }), flip: 'horizontal' });
+            }
+            if (copy.angle) {
+                this.transformShape(clone, {
+                    map: p => this.applySymmetry({ mirror: false, angle: copy.angle }, p),
+                    rotate: copy.angle
+                });
+            }
+            return clone;
+        });
+    }
+
+    setSymmetry(key, value) {
+        this.symmetry[key] = value;
+        this.updateSymmetryControls();
+        this.requestRender();
+    }
+
+    updateSymmetryControls() {
+        const { mode, segments, mirror } = this.symmetry;
+        document.getElementById('symmetryMode').value = mode;
+        document.getElementById('symmetrySegments').value = segments;
+        document.getElementById('symmetrySegmentsValue').textContent = segments;
+        document.getElementById('symmetryMirror').checked = mirror;
+        document.getElementById('symmetryRadialOptions').hidden = mode !== 'radial';
+    }
+
+    resetSymmetryCenter() {
+        this.symmetry.center = null;
+        this.saveOverlayState('Reset symmetry center');
+        this.requestRender();
+    }
+
+    // Drag the symmetry center by its handle, with any tool
+    startSymmetryCenterDrag(e) {
+        if (this.symmetry.mode === 'off') return false;
+        const rect = this.canvas.getBoundingClientRect();
+        const center = this.getSymmetryCenter();
+        const { zoom, panX, panY } = this.view;
+        const distance = Math.hypot(
+            center.x * zoom + panX - (e.clientX - rect.left),
+            center.y * zoom + panY - (e.clientY - rect.top)
+        );
+        if (distance > 8) return false;
+        this.overlayDrag = {
+            update: e => {
+                const pos = this.getMousePosition(e);
+                this.symmetry.center = { x: Math.round(pos.x), y: Math.round(pos.y) };
+                this.canvas.style.cursor = 'move';
+                this.requestRender();
+            },
+            end: () => {
+                this.overlayDrag = null;
+                this.saveOverlayState('Move symmetry center');
+                this.updateCanvasCursor();
+            }
+        };
+        return true;
     }
 
     /**
-     * Handle color picker tool
+     * Symmetry axes (or radial spokes) and the center handle, in screen pixels
      */
-    handleColorPicker(pos) {
-        const imageData = this.ctx.getImageData(Math.floor(pos.x), Math.floor(pos.y), 1, 1);
-        const pixel = imageData.data;
-        const color = this.rgbaToHex(pixel[0], pixel[1], pixel[2]);
-        this.selectColor(color);
-        this.showNotification(`Color picked: ${color}`, 'info');
+    drawSymmetryGuide(ctx) {
+        if (this.symmetry.mode === 'off') return;
+        const { zoom, panX, panY } = this.view;
+        const center = this.getSymmetryCenter();
+        const cx = center.x * zoom + panX;
+        const cy = center.y * zoom + panY;
+        const reach = Math.hypot(this.viewportWidth, this.viewportHeight);
+        const spoke = angle => {
+            ctx.moveTo(cx, cy);
+            ctx.lineTo(cx + Math.cos(angle) * reach, cy + Math.sin(angle) * reach);
+        };
+        ctx.save();
+        ctx.beginPath();
+        const { mode, segments } = this.symmetry;
+        if (mode === 'radial') {
+            for (let i = 0; i < segments; i++) spoke(-Math.PI / 2 + i * 2 * Math.PI / segments);
+        } else {
+            if (mode !== 'vertical') [-Math.PI / 2, Math.PI / 2].forEach(spoke);
+            if (mode !== 'horizontal') [0, Math.PI].forEach(spoke);
+        }
+        ctx.lineWidth = 1;
+        ctx.setLineDash([6, 4]);
+        ctx.strokeStyle = 'rgba(142, 68, 173, 0.6)';
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.arc(cx, cy, 6, 0, Math.PI * 2);
+        ctx.fillStyle = '#ffffff';
+        ctx.fill();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#8e44ad';
+        ctx.stroke();
+        ctx.restore();
     }
 
     /**
-     * Handle text tool
+     * Handle line drawing
      */
-    handleTextTool(pos) {
-        const text = prompt('Enter text:');
-        if (text && text.trim()) {
-            this.setupDrawingContext();
-            this.ctx.font = `${this.brushSize * 3}px Arial`;
-            this.ctx.fillText(text, pos.x, pos.y);
-            this.saveState();
-        }
+    handleLineDrawing(pos, phase, event) {
+        this.handleShapeDrawing('line', phase, event);
     }
 
     /**
-     * Redraw canvas from history (for shape previews)
+     * Handle rectangle drawing
      */
-    redrawCanvas() {
-        if (this.history.length > 0 && this.historyIndex >= 0) {
-            const imageData = this.history[this.historyIndex];
-            this.ctx.putImageData(imageData, 0, 0);
-        }
+    handleRectangleDrawing(pos, phase, event) {
+        this.handleShapeDrawing('rectangle', phase, event);
     }
 
     /**
-     * Select a drawing tool
+     * Handle circle drawing
      */
-    selectTool(tool) {
-        this.currentTool = tool;
-        
-        // Update UI
-        document.querySelectorAll('.tool-btn').forEach(btn => btn.classList.remove('active'));
-        document.querySelector(`[data-tool="${tool}"]`).classList.add('active');
-        
-        // Update cursor
-        this.updateCanvasCursor();
-        
-        // Show tool notification
-        const toolNames = {
-            pencil: 'Pencil',
-            brush: 'Brush',
-            eraser: 'Eraser',
-            line: 'Line',
-            rectangle: 'Rectangle',
-            circle: 'Circle',
-            fill: 'Fill Bucket',
-            text: 'Text',
-            eyedropper: 'Color Picker'
-        };
-        
-        this.showNotification(`${toolNames[tool]} selected`, 'info');
+    handleCircleDrawing(pos, phase, event) {
+        this.handleShapeDrawing('circle', phase, event);
     }
 
     /**
-     * Select a color
+     * Preview a shape while dragging and add it to the active layer on release.
+     * Shapes stay editable objects until the layer is merged, flattened or exported.
+     * Shift constrains proportions (or line angles to 15°); Alt draws from the center.
      */
-    selectColor(color) {
-        this.currentColor = color;
-        
-        // Update UI
-        document.querySelectorAll('.color-btn').forEach(btn => btn.classList.remove('active'));
-        const colorBtn = document.querySelector(`[data-color="${color}"]`);
-        if (colorBtn) {
-            colorBtn.classList.add('active');
-        }
-        // Update custom color input if needed
-        const customColorInput = document.getElementById('customColor');
-        if (customColorInput && customColorInput.value !== color) {
-            customColorInput.value = color;
+    handleShapeDrawing(type, phase, event) {
+        const modifiers = { constrain: !!(event && event.shiftKey), fromCenter: !!(event && event.altKey) };
+        if (phase === 'move') {
+            this.draftShape = this.createShape(type, modifiers);
+        } else if (phase === 'end') {
+            const shape = this.createShape(type, modifiers);
+            this.draftShape = null;
+            if (Math.abs(shape.width) < 1 && Math.abs(shape.height) < 1) return;
+            this.getActiveLayer().objects.push(...this.getSymmetryShapes(shape));
+            this.selectShape(shape);
         }
-        this.updateCanvasCursor();
     }
 
-    // Update the canvas cursor based on the current tool
-    updateCanvasCursor() {
-        switch (this.currentTool) {
-            case 'eraser':
-                this.canvas.style.cursor = 'cell';
-                break;
-            case 'fill':
-                this.canvas.style.cursor = 'crosshair';
-                break;
-            case 'eyedropper':
-                this.canvas.style.cursor = 'copy';
-                break;
-            case 'text':
-                this.canvas.style.cursor = 'text';
-                break;
-            default:
-                this.canvas.style.cursor = 'crosshair';
+    /**
+     * Build a shape object from the current drag (startX/startY to endX/endY)
+     */
+    createShape(type, { constrain = false, fromCenter = false } = {}) {
+        let width = this.endX - this.startX;
+        let height = this.endY - this.startY;
+        const shape = {
+            id: this.generateId(),
+            type,
+            x: this.startX,
+            y: this.startY,
+            width,
+            height,
+            rotation: 0,
+            stroke: this.currentColor,
+            strokeWidth: this.brushSize,
+            opacity: this.opacity,
+            fill: this.shapeSettings.fill,
+            fillMode: this.shapeSettings.fillMode,
+            ...this.getShapeTypeSettings(type)
+        };
+        if (type === 'circle') {
+            // Circles are dragged from the center out to the radius
+            const radius = Math.hypot(width, height);
+            shape.x = this.startX - radius;
+            shape.y = this.startY - radius;
+            shape.width = shape.height = radius * 2;
+            return shape;
         }
-    }
 
-    // Save the current canvas state for undo/redo
-    saveState() {
-        if (this.history.length > this.maxHistorySteps) {
-            this.history.shift();
-            this.historyIndex--;
+        if (constrain) {
+            if (this.isLineShape(shape)) {
+                const step = Math.PI / 12; // 15°
+                const angle = Math.round(Math.atan2(height, width) / step) * step;
+                const length = Math.hypot(width, height);
+                width = Math.cos(angle) * length;
+                height = Math.sin(angle) * length;
+            } else {
+                const size = Math.max(Math.abs(width), Math.abs(height));
+                width = Math.sign(width || 1) * size;
+                height = Math.sign(height || 1) * size;
+            }
         }
-        const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-        this.history = this.history.slice(0, this.historyIndex + 1);
-        this.history.push(imageData);
-        this.historyIndex = this.history.length - 1;
+        if (fromCenter) {
+            shape.x = this.startX - width;
+            shape.y = this.startY - height;
+            width *= 2;
+            height *= 2;
+        }
+        shape.width = width;
+        shape.height = height;
+        if (!this.isLineShape(shape)) this.normalizeShapeBox(shape);
+        return shape;
     }
 
-    // Undo the last action
-    undo() {
-        if (this.historyIndex > 0) {
-            this.historyIndex--;
-            this.ctx.putImageData(this.history[this.historyIndex], 0, 0);
+    // The options from the Shape Options panel that apply to a shape type
+    getShapeTypeSettings(type) {
+        const { cornerRadius, sides, innerRatio, headStyle, smooth } = this.shapeSettings;
+        switch (type) {
+            case 'rounded-rect': return { cornerRadius };
+            case 'polygon': return { sides };
+            case 'star': return { sides, innerRatio };
+            case 'arrow': return { headStyle };
+            case 'curve': return { smooth };
+            default: return {};
         }
     }
 
-    // Redo the next action
-    redo() {
-        if (this.historyIndex < this.history.length - 1) {
-            this.historyIndex++;
-            this.ctx.putImageData(this.history[this.historyIndex], 0, 0);
+    // Lines and arrows are defined by two end points rather than a box
+    isLineShape(shape) {
+        return shape.type === 'line' || shape.type === 'arrow';
+    }
+
+    /**
+     * Curve tool: each click adds a point, double-click or Enter finishes
+     * and Escape cancels. Shift snaps the new segment to 15° steps.
+     */
+    handleCurveDrawing(pos, phase, event) {
+        if (phase !== 'start') return;
+        const point = this.constrainCurvePoint(pos, event && event.shiftKey);
+        if (!this.curveDraft) {
+            this.curveDraft = { points: [point], cursor: point };
+        } else {
+            this.curveDraft.points.push(point);
         }
+        this.updateCurveDraft(pos, event);
     }
 
-    // Clear the canvas to white
-    clearCanvasToWhite() {
-        this.ctx.save();
-        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
-        this.ctx.globalAlpha = 1;
-        this.ctx.globalCompositeOperation = 'source-over';
-        this.ctx.fillStyle = '#fff';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-        this.ctx.restore();
+    // Follow the pointer between clicks with a preview of the next segment
+    updateCurveDraft(pos, event) {
+        if (!this.curveDraft) return;
+        this.curveDraft.cursor = this.constrainCurvePoint(pos, event && event.shiftKey);
+        this.draftShape = this.createCurveShape([...this.curveDraft.points, this.curveDraft.cursor]);
+        this.requestRender();
     }
 
-    // Show a notification message
-    showNotification(message, type = 'info') {
-        // Simple notification (can be replaced with a better UI)
-        const notification = document.createElement('div');
-        notification.className = `notification ${type}`;
-        notification.textContent = message;
-        document.body.appendChild(notification);
-        setTimeout(() => {
-            notification.remove();
-        }, 2000);
+    constrainCurvePoint(pos, constrain) {
+        const last = this.curveDraft && this.curveDraft.points[this.curveDraft.points.length - 1];
+        if (!constrain || !last) return { x: pos.x, y: pos.y };
+        const step = Math.PI / 12;
+        const angle = Math.round(Math.atan2(pos.y - last.y, pos.x - last.x) / step) * step;
+        const length = Math.hypot(pos.x - last.x, pos.y - last.y);
+        return { x: last.x + Math.cos(angle) * length, y: last.y + Math.sin(angle) * length };
     }
 
-    // Show loading spinner
-    showLoadingSpinner() {
-        if (this.loadingSpinner) {
-            this.loadingSpinner.style.display = 'block';
-        }
+    /**
+     * Build a curve shape; its points are stored relative to the bounding
+     * box (0-1) so the box can be moved, resized and rotated like any other
+     */
+    createCurveShape(points) {
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        const width = Math.max(1, Math.max(...xs) - x);
+        const height = Math.max(1, Math.max(...ys) - y);
+        return {
+            id: this.generateId(),
+            type: 'curve',
+            x, y, width, height,
+            rotation: 0,
+            stroke: this.currentColor,
+            strokeWidth: this.brushSize,
+            opacity: this.opacity,
+            fill: this.shapeSettings.fill,
+            fillMode: this.shapeSettings.fillMode,
+            ...this.getShapeTypeSettings('curve'),
+            points: points.map(p => ({ x: (p.x - x) / width, y: (p.y - y) / height }))
+        };
     }
 
-    // Hide loading spinner
-    hideLoadingSpinner() {
-        if (this.loadingSpinner) {
-            this.loadingSpinner.style.display = 'none';
+    finishCurve() {
+        const draft = this.curveDraft;
+        if (!draft) return;
+        this.curveDraft = null;
+        this.draftShape = null;
+        // A double-click lands its two clicks on the same spot
+        const points = draft.points.filter((p, i) => i === 0 || Math.hypot(p.x - draft.points[i - 1].x, p.y - draft.points[i - 1].y) > 2);
+        if (points.length >= 2 && this.canEditActiveLayer()) {
+            const shape = this.createCurveShape(points);
+            this.getActiveLayer().objects.push(...this.getSymmetryShapes(shape));
+            this.selectShape(shape);
+            this.saveState('Curve');
         }
+        this.requestRender();
     }
 
-    // Debounce utility
-    debounce(func, wait) {
-        let timeout;
-        return function (...args) {
-            clearTimeout(timeout);
-            timeout = setTimeout(() => func.apply(this, args), wait);
-        };
+    cancelCurve() {
+        this.curveDraft = null;
+        this.draftShape = null;
+        this.requestRender();
     }
 
-    // Handle window resize
-    handleResize() {
-    this.setupHighDPICanvas();
+    // Keep box shapes at a positive width and height
+    normalizeShapeBox(shape) {
+        if (shape.width < 0) {
+            shape.x += shape.width;
+            shape.width = -shape.width;
+        }
+        if (shape.height < 0) {
+            shape.y += shape.height;
+            shape.height = -shape.height;
+        }
     }
 
-    // Handle keyboard shortcuts
-    handleKeyboard(e) {
-        if (e.ctrlKey || e.metaKey) {
-            switch (e.key.toLowerCase()) {
-                case 'z':
-                    this.undo();
-                    break;
-                case 'y':
-                    this.redo();
-                    break;
-                case 's':
-                    e.preventDefault();
-                    this.saveProject();
-                    break;
-                case 'o':
-                    e.preventDefault();
-                    this.showProjectsModal();
-                    break;
+    getShapeCenter(shape) {
+        return { x: shape.x + shape.width / 2, y: shape.y + shape.height / 2 };
+    }
+
+    /**
+     * Build the outline of a shape around its own center (unrotated)
+     */
+    getShapePath(shape) {
+        const w = shape.width;
+        const h = shape.height;
+        const path = new Path2D();
+        switch (shape.type) {
+            case 'line':
+            case 'arrow':
+                path.moveTo(-w / 2, -h / 2);
+                path.lineTo(w / 2, h / 2);
+                break;
+            case 'rectangle':
+            case 'text':
+                path.rect(-w / 2, -h / 2, w, h);
+                break;
+            case 'rounded-rect': {
+                const r = Math.min(shape.cornerRadius, Math.abs(w) / 2, Math.abs(h) / 2);
+                path.moveTo(-w / 2 + r, -h / 2);
+                path.arcTo(w / 2, -h / 2, w / 2, h / 2, r);
+                path.arcTo(w / 2, h / 2, -w / 2, h / 2, r);
+                path.arcTo(-w / 2, h / 2, -w / 2, -h / 2, r);
+                path.arcTo(-w / 2, -h / 2, w / 2, -h / 2, r);
+                path.closePath();
+                break;
             }
+            case 'circle':
+            case 'ellipse':
+                path.ellipse(0, 0, Math.abs(w) / 2, Math.abs(h) / 2, 0, 0, 2 * Math.PI);
+                break;
+            case 'polygon':
+            case 'star':
+                this.getPolygonVertices(shape).forEach(({ x, y }, i) => {
+                    i === 0 ? path.moveTo(x, y) : path.lineTo(x, y);
+                });
+                path.closePath();
+                break;
+            case 'curve':
+                this.traceCurve(path, this.getCurvePoints(shape), shape.smooth);
+                break;
         }
+        return path;
     }
 
-    // Save project (stub)
-    saveProject() {
-        this.showNotification('Project saved (stub)', 'success');
+    // Polygon and star vertices around the box's ellipse, first one at the top;
+    // stars alternate with inner points
+    getPolygonVertices(shape) {
+        const count = shape.type === 'star' ? shape.sides * 2 : shape.sides;
+        const vertices = [];
+        for (let i = 0; i < count; i++) {
+            const angle = -Math.PI / 2 + (i * 2 * Math.PI) / count;
+            const scale = shape.type === 'star' && i % 2 ? shape.innerRatio : 1;
+            vertices.push({
+                x: Math.cos(angle) * shape.width / 2 * scale,
+                y: Math.sin(angle) * shape.height / 2 * scale
+            });
+        }
+        return vertices;
     }
 
-    // Show projects modal (stub)
-    showProjectsModal() {
-        const modal = document.getElementById('projectsModal');
-        if (modal) {
-            modal.style.display = 'block';
-        }
+    // Curve points in the shape's center-origin frame
+    getCurvePoints(shape) {
+        return shape.points.map(p => ({ x: (p.x - 0.5) * shape.width, y: (p.y - 0.5) * shape.height }));
     }
 
-    // Hide projects modal (stub)
-    hideProjectsModal() {
-        const modal = document.getElementById('projectsModal');
-        if (modal) {
-            modal.style.display = 'none';
+    // Straight segments, or a Catmull-Rom spline through the points as Béziers
+    traceCurve(path, points, smooth) {
+        path.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            if (!smooth) {
+                path.lineTo(points[i].x, points[i].y);
+                continue;
+            }
+            const p0 = points[i - 2] || points[i - 1];
+            const p1 = points[i - 1];
+            const p2 = points[i];
+            const p3 = points[i + 1] || p2;
+            path.bezierCurveTo(
+                p1.x + (p2.x - p0.x) / 6, p1.y + (p2.y - p0.y) / 6,
+                p2.x - (p3.x - p1.x) / 6, p2.y - (p3.y - p1.y) / 6,
+                p2.x, p2.y
+            );
         }
     }
 
-    // Load projects count (stub)
-    loadProjectsCount() {
-        // Placeholder for loading projects from storage
+    /**
+     * Arrow heads at the end (and start, for double arrows) of an arrow,
+     * in its center-origin frame
+     */
+    getArrowHeadPath(shape) {
+        const path = new Path2D();
+        const start = { x: -shape.width / 2, y: -shape.height / 2 };
+        const end = { x: shape.width / 2, y: shape.height / 2 };
+        const size = Math.max(10, shape.strokeWidth * 3);
+        const addHead = (tip, from) => {
+            const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+            const spread = Math.PI / 7;
+            const left = { x: tip.x - size * Math.cos(angle - spread), y: tip.y - size * Math.sin(angle - spread) };
+            const right = { x: tip.x - size * Math.cos(angle + spread), y: tip.y - size * Math.sin(angle + spread) };
+            path.moveTo(left.x, left.y);
+            path.lineTo(tip.x, tip.y);
+            path.lineTo(right.x, right.y);
+            if (shape.headStyle !== 'open') path.closePath();
+        };
+        addHead(end, start);
+        if (shape.headStyle === 'double') addHead(start, end);
+        return path;
+    }
+
+    /**
+     * Draw a shape object onto a context
+     */
+    drawShape(ctx, shape) {
+        if (shape.type === 'text') {
+            // The inline editor shows the text box being edited
+            if (!this.textEdit || this.textEdit.shape !== shape) this.drawTextObject(ctx, shape);
+            return;
+        }
+        const center = this.getShapeCenter(shape);
+        ctx.save();
+        ctx.globalAlpha *= shape.opacity;
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.strokeStyle = shape.stroke;
+        ctx.lineWidth = shape.strokeWidth;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.translate(center.x, center.y);
+        ctx.rotate(shape.rotation);
+        const path = this.getShapePath(shape);
+        const mode = shape.fillMode || 'stroke';
+        if (mode !== 'stroke' && !this.isLineShape(shape)) {
+            ctx.fillStyle = shape.fill;
+            ctx.fill(path);
+        }
+        if (mode !== 'fill' || this.isLineShape(shape)) {
+            ctx.stroke(path);
+        }
+        if (shape.type === 'arrow') {
+            const heads = this.getArrowHeadPath(shape);
+            ctx.stroke(heads);
+            if (shape.headStyle !== 'open') {
+                ctx.fillStyle = shape.stroke;
+                ctx.fill(heads);
+            }
+        }
+        ctx.restore();
+    }
+
+    // Convert a canvas point into a shape's unrotated, center-origin frame
+    toShapeSpace(shape, point) {
+        const center = this.getShapeCenter(shape);
+        const cos = Math.cos(-shape.rotation);
+        const sin = Math.sin(-shape.rotation);
+        const dx = point.x - center.x;
+        const dy = point.y - center.y;
+        return { x: dx * cos - dy * sin, y: dx * sin + dy * cos };
+    }
+
+    // Convert a point in a shape's frame back to canvas coordinates
+    fromShapeSpace(shape, point) {
+        const center = this.getShapeCenter(shape);
+        const cos = Math.cos(shape.rotation);
+        const sin = Math.sin(shape.rotation);
+        return {
+            x: center.x + point.x * cos - point.y * sin,
+            y: center.y + point.x * sin + point.y * cos
+        };
+    }
+
+    /**
+     * Check whether a canvas point touches a shape
+     */
+    hitTestShape(shape, point) {
+        const tolerance = (shape.strokeWidth || 0) / 2 + 6 * this.getScreenPixelSize();
+        const local = this.toShapeSpace(shape, point);
+        const halfW = Math.abs(shape.width) / 2;
+        const halfH = Math.abs(shape.height) / 2;
+        const outlined = (shape.fillMode || 'stroke') === 'stroke';
+        if (shape.type === 'curve' && outlined) {
+            // Open curves are hit near their points' polyline, not anywhere in the box
+            const points = this.getCurvePoints(shape);
+            return points.slice(1).some((p, i) => this.distanceToSegment(local, points[i], p) <= tolerance);
+        }
+        if (this.isLineShape(shape)) {
+            return this.distanceToSegment(local,
+                { x: -shape.width / 2, y: -shape.height / 2 },
+                { x: shape.width / 2, y: shape.height / 2 }) <= tolerance;
+        }
+        if (outlined && shape.type !== 'text') {
+            // Unfilled shapes are only hit on their outline, so things inside stay reachable
+            return this.distanceToShapeOutline(shape, local) <= tolerance;
+        }
+        return Math.abs(local.x) <= halfW + tolerance && Math.abs(local.y) <= halfH + tolerance;
+    }
+
+    /**
+     * Distance from a point in a shape's frame to the outline of a rectangle,
+     * ellipse, polygon or star. Ellipses are measured against a fine polygon.
+     */
+    distanceToShapeOutline(shape, p) {
+        const halfW = Math.abs(shape.width) / 2;
+        const halfH = Math.abs(shape.height) / 2;
+        if (shape.type === 'rectangle' || shape.type === 'rounded-rect') {
+            // Signed distance to a (rounded) box, inside negative
+            const r = shape.type === 'rounded-rect' ? Math.min(shape.cornerRadius, halfW, halfH) : 0;
+            const qx = Math.abs(p.x) - halfW + r;
+            const qy = Math.abs(p.y) - halfH + r;
+            return Math.abs(Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) + Math.min(Math.max(qx, qy), 0) - r);
+        }
+        let vertices;
+        if (shape.type === 'polygon' || shape.type === 'star') {
+            vertices = this.getPolygonVertices(shape);
+        } else {
+            vertices = Array.from({ length: 64 }, (_, i) => ({
+                x: Math.cos((i * Math.PI) / 32) * halfW,
+                y: Math.sin((i * Math.PI) / 32) * halfH
+            }));
+        }
+        return Math.min(...vertices.map((v, i) => this.distanceToSegment(p, v, vertices[(i + 1) % vertices.length])));
+    }
+
+    distanceToSegment(p, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+        return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+    }
+
+    /**
+     * Find the topmost shape under a point on visible, unlocked layers
+     */
+    findShapeAt(point) {
+        for (let i = this.layers.length - 1; i >= 0; i--) {
+            const layer = this.layers[i];
+            if (!layer.visible || layer.locked) continue;
+            for (let j = layer.objects.length - 1; j >= 0; j--) {
+                if (this.hitTestShape(layer.objects[j], point)) {
+                    return { layerIndex: i, shape: layer.objects[j] };
+                }
+            }
+        }
+        return null;
+    }
+
+    // Find a shape and its layer by id
+    findShapeById(id) {
+        for (const layer of this.layers) {
+            const shape = layer.objects.find(o => o.id === id);
+            if (shape) return { layer, shape };
+        }
+        return null;
+    }
+
+    /**
+     * Handle positions for the selected shape, in canvas coordinates
+     */
+    getShapeHandles(shape) {
+        if (this.isLineShape(shape)) {
+            return [
+                { id: 'start', ...this.fromShapeSpace(shape, { x: -shape.width / 2, y: -shape.height / 2 }) },
+                { id: 'end', ...this.fromShapeSpace(shape, { x: shape.width / 2, y: shape.height / 2 }) }
+            ];
+        }
+        const hw = shape.width / 2;
+        const hh = shape.height / 2;
+        const rotateOffset = 24 * this.getScreenPixelSize();
+        const local = {
+            nw: [-hw, -hh], n: [0, -hh], ne: [hw, -hh], e: [hw, 0],
+            se: [hw, hh], s: [0, hh], sw: [-hw, hh], w: [-hw, 0],
+            rotate: [0, -hh - rotateOffset]
+        };
+        return Object.entries(local).map(([id, [x, y]]) => ({ id, ...this.fromShapeSpace(shape, { x, y }) }));
+    }
+
+    getHandleAt(shape, point) {
+        const radius = 7 * this.getScreenPixelSize();
+        return this.getShapeHandles(shape).find(h => Math.hypot(h.x - point.x, h.y - point.y) <= radius) || null;
+    }
+
+    /**
+     * Select tool: pick shapes, then move, resize or rotate them with handles
+     */
+    handleSelectTool(pos, phase, e) {
+        if (phase === 'start') {
+            const handle = this.selectedShape && this.getHandleAt(this.selectedShape, pos);
+            if (!handle) {
+                const hit = this.findShapeAt(pos);
+                if (!hit) {
+                    this.selectShape(null);
+                    return;
+                }
+                this.setActiveLayer(hit.layerIndex);
+                this.selectShape(hit.shape);
+            }
+            this.shapeDrag = {
+                mode: handle ? handle.id : 'move',
+                origin: pos,
+                original: { ...this.selectedShape },
+                changed: false
+            };
+        } else if (phase === 'move' && this.shapeDrag) {
+            this.transformSelectedShape(pos, e && e.shiftKey);
+            this.shapeDrag.changed = true;
+            this.updateShapeInspector();
+        } else if (phase === 'end' && this.shapeDrag) {
+            const { changed, mode } = this.shapeDrag;
+            this.shapeDrag = null;
+            if (changed) {
+                const names = { move: 'Move shape', rotate: 'Rotate shape' };
+                this.saveState(names[mode] || 'Resize shape');
+            }
+        }
+    }
+
+    /**
+     * Apply the current handle drag to the selected shape
+     */
+    transformSelectedShape(pos, constrain) {
+        const { mode, origin, original } = this.shapeDrag;
+        const shape = this.selectedShape;
+
+        if (mode === 'move') {
+            shape.x = original.x + pos.x - origin.x;
+            shape.y = original.y + pos.y - origin.y;
+            return;
+        }
+
+        if (mode === 'rotate') {
+            const center = this.getShapeCenter(original);
+            let angle = Math.atan2(pos.y - center.y, pos.x - center.x) + Math.PI / 2;
+            if (constrain) {
+                const step = Math.PI / 12; // 15°
+                angle = Math.round(angle / step) * step;
+            }
+            shape.rotation = angle;
+            return;
+        }
+
+        if (mode === 'start' || mode === 'end') {
+            // Line endpoints move freely; the other end stays put
+            const x1 = mode === 'start' ? pos.x : original.x;
+            const y1 = mode === 'start' ? pos.y : original.y;
+            const x2 = mode === 'end' ? pos.x : original.x + original.width;
+            const y2 = mode === 'end' ? pos.y : original.y + original.height;
+            Object.assign(shape, { x: x1, y: y1, width: x2 - x1, height: y2 - y1 });
+            return;
+        }
+
+        // Resize in the shape's own frame, keeping the opposite side anchored
+        const local = this.toShapeSpace(original, pos);
+        const hw = original.width / 2;
+        const hh = original.height / 2;
+        let left = -hw, right = hw, top = -hh, bottom = hh;
+        if (mode.includes('w')) left = Math.min(local.x, right - 1);
+        if (mode.includes('e')) right = Math.max(local.x, left + 1);
+        if (mode.includes('n')) top = Math.min(local.y, bottom - 1);
+        if (mode.includes('s')) bottom = Math.max(local.y, top + 1);
+
+        if (constrain && mode.length === 2 && original.width && original.height) {
+            // Shift keeps the original proportions on corner handles
+            const ratio = original.width / original.height;
+            const width = right - left;
+            const height = bottom - top;
+            if (width / height > ratio) {
+                const newWidth = height * ratio;
+                if (mode.includes('w')) left = right - newWidth; else right = left + newWidth;
+            } else {
+                const newHeight = width / ratio;
+                if (mode.includes('n')) top = bottom - newHeight; else bottom = top + newHeight;
+            }
+        }
+
+        const width = right - left;
+        const height = bottom - top;
+        const center = this.fromShapeSpace(original, { x: (left + right) / 2, y: (top + bottom) / 2 });
+        Object.assign(shape, {
+            x: center.x - width / 2,
+            y: center.y - height / 2,
+            width,
+            height
+        });
+    }
+
+    // Pick the cursor for hovering over the selected shape or its handles
+    updateSelectCursor(pos) {
+        let cursor = 'default';
+        const handle = this.selectedShape && this.getHandleAt(this.selectedShape, pos);
+        if (handle) {
+            cursor = handle.id === 'rotate' ? 'grab' : 'pointer';
+            const resizeCursors = {
+                n: 'ns-resize', s: 'ns-resize', e: 'ew-resize', w: 'ew-resize',
+                nw: 'nwse-resize', se: 'nwse-resize', ne: 'nesw-resize', sw: 'nesw-resize'
+            };
+            if (resizeCursors[handle.id] && !this.selectedShape.rotation) {
+                cursor = resizeCursors[handle.id];
+            }
+        } else if (this.findShapeAt(pos)) {
+            cursor = 'move';
+        }
+        this.canvas.style.cursor = cursor;
+    }
+
+    /**
+     * Select a shape (or clear the selection with null)
+     */
+    selectShape(shape) {
+        this.selectedShape = shape;
+        this.updateShapeInspector();
+        this.updateShapeOptions();
+        this.updateTextPanel();
+        this.requestRender();
+    }
+
+    // Delete the selected shape object
+    deleteSelectedShape() {
+        const found = this.selectedShape && this.findShapeById(this.selectedShape.id);
+        if (!found) return;
+        found.layer.objects.splice(found.layer.objects.indexOf(found.shape), 1);
+        this.selectShape(null);
+        this.saveState('Delete shape');
+    }
+
+    // Burn the selected shape into its layer's pixels
+    rasterizeSelectedShape() {
+        const found = this.selectedShape && this.findShapeById(this.selectedShape.id);
+        if (!found) return;
+        this.beginPixelEdit(found.layer);
+        this.drawShape(found.layer.ctx, found.shape);
+        found.layer.objects.splice(found.layer.objects.indexOf(found.shape), 1);
+        this.selectShape(null);
+        this.saveState('Rasterize shape');
+    }
+
+    /**
+     * Show the inspector for the selected shape and sync its fields
+     */
+    updateShapeInspector() {
+        const inspector = document.getElementById('shapeInspector');
+        if (!inspector) return;
+        const shape = this.selectedShape;
+        // Text boxes have their own panel
+        inspector.hidden = !shape || shape.type === 'text';
+        if (inspector.hidden) return;
+
+        document.getElementById('shapeStroke').value = shape.stroke;
+        document.getElementById('shapeStrokeWidth').value = shape.strokeWidth;
+        document.getElementById('shapeStrokeWidthValue').textContent = shape.strokeWidth;
+        document.getElementById('shapeOpacity').value = Math.round(shape.opacity * 100);
+        document.getElementById('shapeOpacityValue').textContent = Math.round(shape.opacity * 100);
+    }
+
+    // The shape the Shape Options panel edits: the selected non-text shape
+    getShapeOptionsTarget() {
+        const shape = this.selectedShape;
+        return shape && shape.type !== 'text' ? shape : null;
+    }
+
+    setShapeOption(property, value) {
+        this.shapeSettings[property] = value;
+        const target = this.getShapeOptionsTarget();
+        // Type-specific options only apply to shapes that have them
+        if (target && (property === 'fillMode' || property === 'fill' || property in target)) {
+            target[property] = value;
+            this.requestRender();
+        }
+        this.updateShapeOptions();
+    }
+
+    /**
+     * Show the Shape Options panel for shape tools and selected shapes, with
+     * only the fields that apply to that kind of shape
+     */
+    updateShapeOptions() {
+        const panel = document.getElementById('shapeOptions');
+        if (!panel) return;
+        const target = this.getShapeOptionsTarget();
+        const type = target ? target.type : this.currentTool;
+        panel.hidden = !target && !this.shapeTools.includes(type) && type !== 'curve';
+        if (panel.hidden) return;
+
+        const values = target ? { ...this.shapeSettings, ...target } : this.shapeSettings;
+        panel.querySelectorAll('[data-shapes]').forEach(group => {
+            group.hidden = !group.dataset.shapes.split(' ').includes(type);
+        });
+        document.getElementById('shapeFillMode').value = values.fillMode || 'stroke';
+        document.getElementById('shapeFill').value = values.fill;
+        document.getElementById('shapeCornerRadius').value = values.cornerRadius;
+        document.getElementById('shapeCornerRadiusValue').textContent = values.cornerRadius;
+        document.getElementById('shapeSides').value = values.sides;
+        document.getElementById('shapeSidesValue').textContent = values.sides;
+        document.getElementById('shapeInnerRatio').value = Math.round(values.innerRatio * 100);
+        document.getElementById('shapeInnerRatioValue').textContent = Math.round(values.innerRatio * 100);
+        document.getElementById('shapeHeadStyle').value = values.headStyle;
+        document.getElementById('shapeCurveStyle').value = values.smooth ? 'smooth' : 'polyline';
+    }
+
+    // Update a property of the selected shape from the inspector
+    setShapeProperty(property, value) {
+        if (!this.selectedShape) return;
+        this.selectedShape[property] = value;
+        this.updateShapeInspector();
+        this.requestRender();
+    }
+
+    // Draw selection handles for the selected shape on the display canvas
+    drawShapeHandles(ctx) {
+        const shape = this.selectedShape;
+        if (!shape || this.currentTool !== 'select') return;
+        const px = this.getScreenPixelSize();
+        const size = 8 * px;
+        const handles = this.getShapeHandles(shape);
+
+        ctx.save();
+        ctx.lineWidth = px;
+        ctx.strokeStyle = '#3498db';
+        ctx.fillStyle = '#ffffff';
+
+        if (!this.isLineShape(shape)) {
+            // Bounding box and the stem to the rotation handle
+            const center = this.getShapeCenter(shape);
+            ctx.save();
+            ctx.translate(center.x, center.y);
+            ctx.rotate(shape.rotation);
+            ctx.setLineDash([4 * px, 3 * px]);
+            ctx.strokeRect(-shape.width / 2, -shape.height / 2, shape.width, shape.height);
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.moveTo(0, -shape.height / 2);
+            ctx.lineTo(0, -shape.height / 2 - 24 * px);
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        handles.forEach(handle => {
+            ctx.beginPath();
+            if (handle.id === 'rotate') {
+                ctx.arc(handle.x, handle.y, size / 2, 0, 2 * Math.PI);
+            } else {
+                ctx.rect(handle.x - size / 2, handle.y - size / 2, size, size);
+            }
+            ctx.fill();
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Marquee and lasso tools: drag out a new selection, or drag inside the
+     * current one to move its pixels
+     */
+    handleSelectionTool(pos, phase, e) {
+        if (phase === 'start') {
+            if (this.selection && this.isPointInSelection(pos)) {
+                if (this.canEditActiveLayer()) {
+                    this.liftSelection(pos);
+                }
+                return;
+            }
+            this.clearSelection();
+            this.selectionDraft = {
+                type: { 'rect-select': 'rect', 'ellipse-select': 'ellipse', lasso: 'lasso' }[this.currentTool],
+                x: pos.x, y: pos.y, width: 0, height: 0,
+                points: [{ x: pos.x, y: pos.y }]
+            };
+            this.startMarchingAnts();
+        } else if (phase === 'move') {
+            if (this.selectionDrag) {
+                this.selectionDrag.dx = pos.x - this.selectionDrag.origin.x;
+                this.selectionDrag.dy = pos.y - this.selectionDrag.origin.y;
+            } else if (this.selectionDraft) {
+                this.updateSelectionDraft(pos, e && e.shiftKey);
+            }
+        } else if (phase === 'end') {
+            if (this.selectionDrag) {
+                this.dropSelection();
+            } else if (this.selectionDraft) {
+                this.finishSelectionDraft();
+            }
+        }
+    }
+
+    updateSelectionDraft(pos, constrain) {
+        const draft = this.selectionDraft;
+        if (draft.type === 'lasso') {
+            draft.points.push({ x: pos.x, y: pos.y });
+            return;
+        }
+        let width = pos.x - this.startX;
+        let height = pos.y - this.startY;
+        if (constrain) {
+            // Shift draws a square or circle
+            const size = Math.max(Math.abs(width), Math.abs(height));
+            width = Math.sign(width || 1) * size;
+            height = Math.sign(height || 1) * size;
+        }
+        draft.x = Math.min(this.startX, this.startX + width);
+        draft.y = Math.min(this.startY, this.startY + height);
+        draft.width = Math.abs(width);
+        draft.height = Math.abs(height);
+    }
+
+    // Turn the draft into the active selection, or deselect on a plain click
+    finishSelectionDraft() {
+        const draft = this.selectionDraft;
+        this.selectionDraft = null;
+        if (draft.type === 'lasso') {
+            if (draft.points.length < 3) {
+                this.clearSelection();
+                return;
+            }
+            const xs = draft.points.map(p => p.x);
+            const ys = draft.points.map(p => p.y);
+            draft.x = Math.min(...xs);
+            draft.y = Math.min(...ys);
+            draft.width = Math.max(...xs) - draft.x;
+            draft.height = Math.max(...ys) - draft.y;
+        } else {
+            draft.points = [];
+        }
+        if (draft.width < 2 || draft.height < 2) {
+            this.clearSelection();
+            return;
+        }
+        this.setSelection(draft);
+    }
+
+    /**
+     * Make a selection active and start the marching ants
+     */
+    setSelection(selection) {
+        this.selection = selection;
+        this.startMarchingAnts();
+        this.requestRender();
+    }
+
+    clearSelection() {
+        this.selection = null;
+        this.selectionDraft = null;
+        this.stopMarchingAnts();
+        this.requestRender();
+    }
+
+    selectAll() {
+        this.setSelection({
+            type: 'rect', x: 0, y: 0,
+            width: this.docWidth, height: this.docHeight,
+            points: []
+        });
+    }
+
+    /**
+     * Build the outline of a selection in canvas coordinates
+     */
+    getSelectionPath(selection = this.selection) {
+        const path = new Path2D();
+        const { x, y, width, height } = selection;
+        if (selection.type === 'rect') {
+            path.rect(x, y, width, height);
+        } else if (selection.type === 'ellipse') {
+            path.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, 2 * Math.PI);
+        } else {
+            selection.points.forEach((p, i) => (i === 0 ? path.moveTo(p.x, p.y) : path.lineTo(p.x, p.y)));
+            path.closePath();
+        }
+        return path;
+    }
+
+    isPointInSelection(point) {
+        this.displayCtx.save();
+        this.displayCtx.setTransform(1, 0, 0, 1, 0, 0);
+        const inside = this.displayCtx.isPointInPath(this.getSelectionPath(), point.x, point.y);
+        this.displayCtx.restore();
+        return inside;
+    }
+
+    // Integer bounds of the selection, clamped to the canvas
+    getSelectionBounds() {
+        const x = Math.max(0, Math.floor(this.selection.x));
+        const y = Math.max(0, Math.floor(this.selection.y));
+        const right = Math.min(this.docWidth, Math.ceil(this.selection.x + this.selection.width));
+        const bottom = Math.min(this.docHeight, Math.ceil(this.selection.y + this.selection.height));
+        return { x, y, width: Math.max(0, right - x), height: Math.max(0, bottom - y) };
+    }
+
+    // Clip painting tools to the selection for the length of a stroke
+    beginSelectionClip() {
+        if (!this.selection || !this.getTool().paints) return;
+        this.ctx.save();
+        this.ctx.clip(this.getSelectionPath());
+        this.selectionClipActive = true;
+    }
+
+    endSelectionClip() {
+        if (!this.selectionClipActive) return;
+        this.ctx.restore();
+        this.selectionClipActive = false;
+    }
+
+    /**
+     * Copy the selected part of the active layer into a new canvas
+     */
+    extractSelection(source = this.getLayerRenderCanvas(this.getActiveLayer())) {
+        const bounds = this.getSelectionBounds();
+        if (!bounds.width || !bounds.height) return null;
+        const canvas = document.createElement('canvas');
+        canvas.width = bounds.width;
+        canvas.height = bounds.height;
+        const ctx = canvas.getContext('2d');
+        ctx.translate(-bounds.x, -bounds.y);
+        ctx.clip(this.getSelectionPath());
+        ctx.drawImage(source, 0, 0);
+        return { canvas, x: bounds.x, y: bounds.y };
+    }
+
+    // Erase the selected pixels of the active layer (shape objects are kept)
+    eraseSelectionPixels() {
+        const ctx = this.getActiveLayer().ctx;
+        ctx.save();
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'destination-out';
+        ctx.fill(this.getSelectionPath());
+        ctx.restore();
+    }
+
+    // Cut the selected pixels out of the layer so they can be dragged
+    liftSelection(pos) {
+        const floating = this.extractSelection(this.getActiveLayer().canvas);
+        if (!floating) return;
+        this.beginPixelEdit();
+        this.eraseSelectionPixels();
+        this.floatingSelection = floating;
+        this.selectionDrag = { origin: pos, dx: 0, dy: 0 };
+    }
+
+    // Stamp the dragged pixels back into the layer at their new position
+    dropSelection() {
+        const { dx, dy } = this.selectionDrag;
+        const floating = this.floatingSelection;
+        this.floatingSelection = null;
+        this.selectionDrag = null;
+        if (dx === 0 && dy === 0) {
+            // A click inside the selection moves nothing: undo the lift
+            this.revertPixelEdits();
+            this.requestRender();
+            return;
+        }
+        const ctx = this.getActiveLayer().ctx;
+        ctx.save();
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.drawImage(floating.canvas, floating.x + dx, floating.y + dy);
+        ctx.restore();
+
+        this.selection.x += dx;
+        this.selection.y += dy;
+        this.selection.points = this.selection.points.map(p => ({ x: p.x + dx, y: p.y + dy }));
+        this.requestRender();
+        this.saveState('Move selection');
+    }
+
+    /**
+     * Copy the selection to the app clipboard and the system clipboard
+     */
+    copySelection() {
+        if (!this.selection) {
+            this.showNotification('Make a selection first', 'warning');
+            return false;
+        }
+        const copied = this.extractSelection();
+        if (!copied) return false;
+        this.clipboard = copied.canvas;
+        this.clipboardSynced = false;
+        this.writeSystemClipboard(copied.canvas);
+        this.showNotification('Selection copied', 'info');
+        return true;
+    }
+
+    cutSelection() {
+        if (!this.canEditActiveLayer() || !this.copySelection()) return;
+        this.beginPixelEdit();
+        this.eraseSelectionPixels();
+        this.requestRender();
+        this.saveState('Cut');
+    }
+
+    deleteSelection() {
+        if (!this.selection || !this.canEditActiveLayer()) return;
+        this.beginPixelEdit();
+        this.eraseSelectionPixels();
+        this.requestRender();
+        this.saveState('Delete selection');
+    }
+
+    // Put a PNG on the system clipboard where the browser allows it; false if it refused
+    async writeSystemClipboard(canvas) {
+        if (!navigator.clipboard || !navigator.clipboard.write || !window.ClipboardItem) return false;
+        try {
+            const blob = await this.canvasToBlob(canvas);
+            await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+            this.clipboardSynced = true;
+            return true;
+        } catch (error) {
+            console.warn('System clipboard unavailable, using the app clipboard:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Handle the paste event (Ctrl+V): prefer an image from the system
+     * clipboard, fall back to the app clipboard
+     */
+    handlePaste(e) {
+        if (this.isTypingTarget(e.target) || this.replaySession) return;
+        const items = e.clipboardData ? Array.from(e.clipboardData.items) : [];
+        const imageItem = items.find(item => item.type.startsWith('image/'));
+
+        if (imageItem && (this.clipboardSynced || !this.clipboard)) {
+            e.preventDefault();
+            createImageBitmap(imageItem.getAsFile())
+                .then(bitmap => this.pasteImage(bitmap))
+                .catch(() => this.showNotification('Could not read the pasted image', 'error'));
+        } else if (this.clipboard) {
+            e.preventDefault();
+            this.pasteImage(this.clipboard);
+        }
+    }
+
+    // Paste from the toolbar button, where there is no paste event
+    async pasteFromClipboard() {
+        if (navigator.clipboard && navigator.clipboard.read && (this.clipboardSynced || !this.clipboard)) {
+            try {
+                for (const item of await navigator.clipboard.read()) {
+                    const type = item.types.find(t => t.startsWith('image/'));
+                    if (type) {
+                        this.pasteImage(await createImageBitmap(await item.getType(type)));
+                        return;
+                    }
+                }
+            } catch (error) {
+                console.warn('System clipboard unavailable, using the app clipboard:', error);
+            }
+        }
+        if (this.clipboard) {
+            this.pasteImage(this.clipboard);
+        } else {
+            this.showNotification('Nothing to paste', 'warning');
+        }
+    }
+
+    /**
+     * Paste an image into a new layer and select it so it can be dragged
+     */
+    pasteImage(image) {
+        const x = this.selection ? Math.round(this.selection.x) : Math.round((this.docWidth - image.width) / 2);
+        const y = this.selection ? Math.round(this.selection.y) : Math.round((this.docHeight - image.height) / 2);
+        const layer = this.createLayer('Pasted');
+        layer.ctx.drawImage(image, x, y);
+        this.layers.splice(this.activeLayerIndex + 1, 0, layer);
+        this.setActiveLayer(this.activeLayerIndex + 1);
+        this.setSelection({ type: 'rect', x, y, width: image.width, height: image.height, points: [] });
+        if (!this.selectionTools.includes(this.currentTool)) {
+            this.selectTool('rect-select');
+        }
+        this.requestRender();
+        this.saveState('Paste');
+        this.showNotification('Pasted into a new layer', 'success');
+    }
+
+    // Animate the selection outline while a selection exists
+    startMarchingAnts() {
+        if (this.antsTimer) return;
+        this.antsTimer = setInterval(() => {
+            this.antsOffset = (this.antsOffset + 1) % 16;
+            this.requestRender();
+        }, 120);
+    }
+
+    stopMarchingAnts() {
+        clearInterval(this.antsTimer);
+        this.antsTimer = null;
+    }
+
+    // Draw marching ants around the selection (or the one being drawn)
+    drawSelectionOutline(ctx) {
+        const selection = this.selectionDraft || this.selection;
+        if (!selection) return;
+        const px = this.getScreenPixelSize();
+        const path = this.getSelectionPath(selection);
+        ctx.save();
+        if (this.selectionDrag) {
+            ctx.translate(this.selectionDrag.dx, this.selectionDrag.dy);
+        }
+        ctx.lineWidth = px;
+        ctx.strokeStyle = '#ffffff';
+        ctx.stroke(path);
+        ctx.setLineDash([4 * px, 4 * px]);
+        ctx.lineDashOffset = -this.antsOffset * px;
+        ctx.strokeStyle = '#000000';
+        ctx.stroke(path);
+        ctx.restore();
+    }
+
+    /**
+     * Handle flood fill tool. The fill region is found on a snapshot of the
+     * layer (shape outlines included, so they bound the fill), off the main
+     * thread when workers are available, then blended onto the layer at the
+     * current opacity through any selection.
+     */
+    async handleFloodFill(pos, paint = this.getFillPaint(), historyName = 'Fill', opacity = this.getPaintOpacity()) {
+        if (this.fillInProgress || !paint) return;
+        const layer = this.getActiveLayer();
+        const x = Math.floor(pos.x);
+        const y = Math.floor(pos.y);
+        if (x < 0 || y < 0 || x >= this.docWidth || y >= this.docHeight) return;
+
+        const sample = this.getLayerRenderCanvas(layer).getContext('2d')
+            .getImageData(0, 0, this.docWidth, this.docHeight);
+        this.fillInProgress = true;
+        try {
+            const mask = await this.computeFillMaskAsync(sample, x, y, { ...this.fillSettings });
+            this.beginPixelEdit(layer);
+            this.applyFillMask(layer, mask, sample.width, sample.height, paint, opacity);
+            this.saveState(historyName);
+        } catch (error) {
+            console.error('Fill failed:', error);
+            this.showNotification('Fill failed', 'error');
+        } finally {
+            this.fillInProgress = false;
+        }
+    }
+
+    /**
+     * Run computeFillMask in the fill worker, or on this thread without one
+     */
+    computeFillMaskAsync(imageData, x, y, options) {
+        const worker = this.getFillWorker();
+        if (!worker) {
+            return Promise.resolve(computeFillMask(imageData.data, imageData.width, imageData.height, x, y, options));
+        }
+        return new Promise((resolve) => {
+            worker.onmessage = (e) => resolve(e.data.mask);
+            worker.onerror = (e) => {
+                // A worker that cannot start (e.g. blocked by CSP) is not retried
+                e.preventDefault();
+                worker.terminate();
+                this.fillWorker = null;
+                resolve(computeFillMask(imageData.data, imageData.width, imageData.height, x, y, options));
+            };
+            worker.postMessage({ data: imageData.data, width: imageData.width, height: imageData.height, x, y, options });
+        });
+    }
+
+    // The worker runs computeFillMask's own source, loaded from a Blob URL
+    getFillWorker() {
+        if (this.fillWorker === undefined) {
+            this.fillWorker = null;
+            if (typeof Worker !== 'function') return null;
+            try {
+                const source = `${computeFillMask.toString()}
+self.onmessage = (e) => {
+    const { data, width, height, x, y, options } = e.data;
+    const mask = computeFillMask(data, width, height, x, y, options);
+    self.postMessage({ mask }, [mask.buffer]);
+};`;
+                const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+                this.fillWorker = new Worker(url);
+            } catch (error) {
+                console.warn('Fill worker unavailable, filling on the main thread:', error);
+            }
+        }
+        return this.fillWorker;
+    }
+
+    /**
+     * Paint a color, gradient or pattern through a coverage mask (or over the
+     * whole layer when there is no mask), blending over the layer
+     */
+    applyFillMask(layer, mask, width, height, paint, opacity) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const fillCtx = canvas.getContext('2d');
+        if (mask) {
+            const coverage = new ImageData(width, height);
+            for (let i = 0; i < mask.length; i++) {
+                coverage.data[i * 4 + 3] = mask[i];
+            }
+            fillCtx.putImageData(coverage, 0, 0);
+            fillCtx.globalCompositeOperation = 'source-in';
+        }
+        fillCtx.fillStyle = paint;
+        fillCtx.fillRect(0, 0, width, height);
+
+        const ctx = layer.ctx;
+        ctx.save();
+        ctx.globalAlpha = opacity;
+        ctx.globalCompositeOperation = 'source-over';
+        if (this.selection) ctx.clip(this.getSelectionPath());
+        ctx.drawImage(canvas, 0, 0);
+        ctx.restore();
+        this.requestRender();
+    }
+
+    /**
+     * What the fill bucket paints with: the current color or a repeating pattern
+     */
+    getFillPaint() {
+        if (this.fillSettings.source !== 'pattern') return this.currentColor;
+        const tile = this.fillSettings.pattern === 'custom'
+            ? this.customPattern
+            : this.getPatternTile(this.fillSettings.pattern, this.currentColor);
+        if (!tile) {
+            this.showNotification('Select an area and choose "Use Selection" to make a pattern first', 'error');
+            return null;
+        }
+        return this.ctx.createPattern(tile, 'repeat');
+    }
+
+    /**
+     * Built-in pattern tiles, drawn in the given color on transparent
+     */
+    getPatternTile(name, color) {
+        const tile = document.createElement('canvas');
+        tile.width = tile.height = 16;
+        const ctx = tile.getContext('2d');
+        ctx.fillStyle = ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        switch (name) {
+            case 'checker':
+                ctx.fillRect(0, 0, 8, 8);
+                ctx.fillRect(8, 8, 8, 8);
+                break;
+            case 'stripes':
+                // Drawn past the corners so the diagonals join across tiles
+                ctx.beginPath();
+                for (let offset = -16; offset <= 16; offset += 8) {
+                    ctx.moveTo(offset, 16);
+                    ctx.lineTo(offset + 16, 0);
+                }
+                ctx.lineWidth = 3;
+                ctx.stroke();
+                break;
+            case 'dots':
+                ctx.beginPath();
+                ctx.arc(4, 4, 2.5, 0, Math.PI * 2);
+                ctx.arc(12, 12, 2.5, 0, Math.PI * 2);
+                ctx.fill();
+                break;
+            case 'grid':
+                ctx.fillRect(0, 0, 16, 1);
+                ctx.fillRect(0, 0, 1, 16);
+                break;
+            case 'bricks':
+                ctx.fillRect(0, 0, 16, 1);
+                ctx.fillRect(0, 8, 16, 1);
+                ctx.fillRect(0, 0, 1, 8);
+                ctx.fillRect(8, 8, 1, 8);
+                break;
+            case 'crosshatch':
+                ctx.beginPath();
+                ctx.moveTo(0, 0);
+                ctx.lineTo(16, 16);
+                ctx.moveTo(16, 0);
+                ctx.lineTo(0, 16);
+                ctx.lineWidth = 1;
+                ctx.stroke();
+                break;
+        }
+        return tile;
+    }
+
+    // Capture the selected part of the active layer as the custom pattern tile
+    usePatternFromSelection() {
+        const region = this.selection && this.extractSelection();
+        if (!region) {
+            this.showNotification('Select an area of the canvas to use as a pattern', 'error');
+            return;
+        }
+        this.customPattern = region.canvas;
+        this.fillSettings.source = 'pattern';
+        this.fillSettings.pattern = 'custom';
+        document.getElementById('fillSource').value = 'pattern';
+        document.getElementById('fillPattern').value = 'custom';
+        document.getElementById('fillPatternOptions').hidden = false;
+        this.showNotification(`Pattern set from a ${region.canvas.width}×${region.canvas.height} selection`, 'success');
+    }
+
+    /**
+     * Gradient tool: drag from start to end, then fill the whole layer (through
+     * any selection) or only the flood-fill region under the start point
+     */
+    handleGradientTool(pos, phase) {
+        if (phase === 'start') {
+            this.gradientDraft = { start: { x: pos.x, y: pos.y }, end: { x: pos.x, y: pos.y } };
+            return;
+        }
+        const draft = this.gradientDraft;
+        if (!draft) return;
+        draft.end = { x: pos.x, y: pos.y };
+        if (phase !== 'end') return;
+        this.gradientDraft = null;
+        if (Math.hypot(draft.end.x - draft.start.x, draft.end.y - draft.start.y) < 1) return;
+
+        const paint = this.createGradientPaint(draft.start, draft.end);
+        if (this.gradientSettings.extent === 'region') {
+            this.handleFloodFill(draft.start, paint, 'Gradient', this.opacity);
+            return;
+        }
+        const layer = this.getActiveLayer();
+        this.beginPixelEdit(layer);
+        this.applyFillMask(layer, null, this.docWidth, this.docHeight, paint, this.opacity);
+        this.saveState('Gradient');
+    }
+
+    /**
+     * Build the fill style for a gradient between two document points. Diamond
+     * gradients (and conic ones where the canvas lacks them) are rendered
+     * pixel by pixel and used as a pattern.
+     */
+    createGradientPaint(start, end, settings = this.gradientSettings) {
+        const ctx = this.ctx;
+        const angle = Math.atan2(end.y - start.y, end.x - start.x);
+        let gradient = null;
+        if (settings.type === 'linear') {
+            gradient = ctx.createLinearGradient(start.x, start.y, end.x, end.y);
+        } else if (settings.type === 'radial') {
+            gradient = ctx.createRadialGradient(start.x, start.y, 0, start.x, start.y, Math.hypot(end.x - start.x, end.y - start.y));
+        } else if (settings.type === 'conic' && ctx.createConicGradient) {
+            gradient = ctx.createConicGradient(angle, start.x, start.y);
+        }
+        if (!gradient) {
+            return ctx.createPattern(this.renderGradientCanvas(start, end, settings), 'no-repeat');
+        }
+        this.getSortedStops(settings.stops).forEach(stop => gradient.addColorStop(stop.offset, this.getStopColor(stop)));
+        return gradient;
+    }
+
+    // Document-sized gradient for the types the canvas cannot draw itself
+    renderGradientCanvas(start, end, settings) {
+        const ramp = this.getGradientRamp(settings.stops);
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const length = Math.hypot(dx, dy) || 1;
+        const cos = dx / length;
+        const sin = dy / length;
+        const angle = Math.atan2(dy, dx);
+        const image = new ImageData(this.docWidth, this.docHeight);
+        const data = image.data;
+        for (let y = 0, index = 0; y < this.docHeight; y++) {
+            for (let x = 0; x < this.docWidth; x++, index += 4) {
+                const px = x + 0.5 - start.x;
+                const py = y + 0.5 - start.y;
+                let t;
+                if (settings.type === 'diamond') {
+                    t = (Math.abs(px * cos + py * sin) + Math.abs(py * cos - px * sin)) / length;
+                } else {
+                    t = (Math.atan2(py, px) - angle) / (Math.PI * 2);
+                    t -= Math.floor(t);
+                }
+                const r = Math.min(255, Math.floor(t * 256)) * 4;
+                data[index] = ramp[r];
+                data[index + 1] = ramp[r + 1];
+                data[index + 2] = ramp[r + 2];
+                data[index + 3] = ramp[r + 3];
+            }
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = this.docWidth;
+        canvas.height = this.docHeight;
+        canvas.getContext('2d').putImageData(image, 0, 0);
+        return canvas;
+    }
+
+    // 256 RGBA samples along the gradient, for per-pixel rendering and the stop editor
+    getGradientRamp(stops) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 1;
+        const ctx = canvas.getContext('2d');
+        const gradient = ctx.createLinearGradient(0, 0, 256, 0);
+        this.getSortedStops(stops).forEach(stop => gradient.addColorStop(stop.offset, this.getStopColor(stop)));
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, 256, 1);
+        return ctx.getImageData(0, 0, 256, 1).data;
+    }
+
+    getSortedStops(stops) {
+        return [...stops].sort((a, b) => a.offset - b.offset);
+    }
+
+    getStopColor(stop) {
+        const { r, g, b } = this.hexToRgba(stop.color);
+        return `rgba(${r}, ${g}, ${b}, ${stop.alpha})`;
+    }
+
+    // CSS version of a gradient for the stop editor and preset swatches
+    getGradientCss(stops) {
+        const parts = this.getSortedStops(stops).map(stop => `${this.getStopColor(stop)} ${Math.round(stop.offset * 100)}%`);
+        return `linear-gradient(to right, ${parts.join(', ')})`;
+    }
+
+    // Line from the drag start to the pointer while placing a gradient
+    drawGradientGuide(ctx) {
+        const draft = this.gradientDraft;
+        if (!draft) return;
+        const px = this.getScreenPixelSize();
+        ctx.save();
+        ctx.lineWidth = 2 * px;
+        ctx.strokeStyle = 'rgba(52, 152, 219, 0.9)';
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath();
+        ctx.moveTo(draft.start.x, draft.start.y);
+        ctx.lineTo(draft.end.x, draft.end.y);
+        ctx.stroke();
+        [draft.start, draft.end].forEach(point => {
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 4 * px, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Gradient stop editor: click the bar to add a stop, drag a stop to move
+     * it, and edit the selected stop's color and opacity below the bar
+     */
+    handleGradientBarPointerDown(e) {
+        const bar = document.getElementById('gradientBar');
+        const rect = bar.getBoundingClientRect();
+        const offsetAt = (clientX) => Math.min(1, Math.max(0, (clientX - rect.left) / (rect.width || 1)));
+        const stops = this.gradientSettings.stops;
+        let index = Number(e.target.dataset.stop);
+        if (!e.target.classList.contains('gradient-stop')) {
+            // New stops take the color the gradient already has at that point
+            const offset = offsetAt(e.clientX);
+            const ramp = this.getGradientRamp(stops);
+            const i = Math.min(255, Math.floor(offset * 256)) * 4;
+            stops.push({ offset, color: this.rgbaToHex(ramp[i], ramp[i + 1], ramp[i + 2]), alpha: Math.round(ramp[i + 3] / 2.55) / 100 });
+            index = stops.length - 1;
+        }
+        this.selectedGradientStop = index;
+        this.updateGradientEditor();
+
+        const move = (event) => {
+            stops[index].offset = offsetAt(event.clientX);
+            this.updateGradientEditor();
+        };
+        const up = () => {
+            window.removeEventListener('pointermove', move);
+            window.removeEventListener('pointerup', up);
+        };
+        window.addEventListener('pointermove', move);
+        window.addEventListener('pointerup', up);
+        e.preventDefault();
+    }
+
+    setGradientStop(changes) {
+        Object.assign(this.gradientSettings.stops[this.selectedGradientStop], changes);
+        this.updateGradientEditor();
+    }
+
+    removeGradientStop() {
+        const stops = this.gradientSettings.stops;
+        if (stops.length <= 2) {
+            this.showNotification('A gradient needs at least two stops', 'error');
+            return;
+        }
+        stops.splice(this.selectedGradientStop, 1);
+        this.selectedGradientStop = 0;
+        this.updateGradientEditor();
+    }
+
+    reverseGradient() {
+        this.gradientSettings.stops.forEach(stop => { stop.offset = 1 - stop.offset; });
+        this.updateGradientEditor();
+    }
+
+    // Show the Gradient panel for the gradient tool and sync the stop editor
+    updateGradientEditor() {
+        const panel = document.getElementById('gradientSettings');
+        if (!panel) return;
+        panel.hidden = this.currentTool !== 'gradient';
+        const { type, extent, stops } = this.gradientSettings;
+        document.getElementById('gradientType').value = type;
+        document.getElementById('gradientExtent').value = extent;
+
+        const bar = document.getElementById('gradientBar');
+        bar.style.setProperty('--gradient', this.getGradientCss(stops));
+        bar.innerHTML = '';
+        stops.forEach((stop, index) => {
+            const marker = document.createElement('div');
+            marker.className = 'gradient-stop';
+            marker.classList.toggle('selected', index === this.selectedGradientStop);
+            marker.dataset.stop = index;
+            marker.style.left = `${stop.offset * 100}%`;
+            marker.style.background = stop.color;
+            marker.title = `${stop.color} at ${Math.round(stop.offset * 100)}%`;
+            bar.appendChild(marker);
+        });
+        const selected = stops[this.selectedGradientStop];
+        document.getElementById('gradientStopColor').value = selected.color;
+        document.getElementById('gradientStopAlpha').value = Math.round(selected.alpha * 100);
+        document.getElementById('gradientStopAlphaValue').textContent = Math.round(selected.alpha * 100);
+    }
+
+    /**
+     * Gradient presets: the built-in ones plus any saved to localStorage,
+     * shown as swatches under the color palette
+     */
+    loadGradientPresets() {
+        try {
+            this.gradientPresets = JSON.parse(localStorage.getItem('drawingMaster.gradientPresets')) || [];
+        } catch (error) {
+            console.warn('Ignoring invalid gradient presets:', error);
+            this.gradientPresets = [];
+        }
+        this.renderGradientPresets();
+        this.updateGradientEditor();
+    }
+
+    renderGradientPresets() {
+        const container = document.getElementById('gradientPresets');
+        container.innerHTML = '';
+        [...this.builtInGradientPresets, ...this.gradientPresets].forEach(preset => {
+            const swatch = document.createElement('button');
+            swatch.className = 'gradient-swatch';
+            swatch.classList.toggle('active', preset.name === this.activeGradientPreset);
+            swatch.style.setProperty('--gradient', this.getGradientCss(preset.stops));
+            swatch.title = preset.name;
+            swatch.addEventListener('click', () => this.applyGradientPreset(preset.name));
+            container.appendChild(swatch);
+        });
+    }
+
+    getGradientPreset(name) {
+        return [...this.builtInGradientPresets, ...this.gradientPresets].find(preset => preset.name === name);
+    }
+
+    applyGradientPreset(name) {
+        const preset = this.getGradientPreset(name);
+        if (!preset) return;
+        this.activeGradientPreset = name;
+        this.gradientSettings.stops = preset.stops.map(stop => ({ ...stop }));
+        this.selectedGradientStop = 0;
+        this.renderGradientPresets();
+        this.updateGradientEditor();
+    }
+
+    // Save the current stops under a name; saving over one of your presets updates it
+    saveGradientPreset() {
+        const name = (prompt('Gradient name:') || '').trim();
+        if (!name) return;
+        if (this.builtInGradientPresets.some(preset => preset.name === name)) {
+            this.showNotification('A built-in gradient already uses that name', 'error');
+            return;
+        }
+        const preset = { name, stops: this.gradientSettings.stops.map(stop => ({ ...stop })) };
+        const index = this.gradientPresets.findIndex(existing => existing.name === name);
+        index === -1 ? this.gradientPresets.push(preset) : this.gradientPresets.splice(index, 1, preset);
+        localStorage.setItem('drawingMaster.gradientPresets', JSON.stringify(this.gradientPresets));
+        this.activeGradientPreset = name;
+        this.renderGradientPresets();
+        this.showNotification(`Gradient "${name}" saved`, 'success');
+    }
+
+    deleteGradientPreset() {
+        const name = this.activeGradientPreset;
+        const index = this.gradientPresets.findIndex(preset => preset.name === name);
+        if (index === -1) {
+            this.showNotification('Built-in gradients cannot be deleted', 'error');
+            return;
+        }
+        this.gradientPresets.splice(index, 1);
+        localStorage.setItem('drawingMaster.gradientPresets', JSON.stringify(this.gradientPresets));
+        this.activeGradientPreset = null;
+        this.renderGradientPresets();
+        this.showNotification(`Gradient "${name}" deleted`, 'success');
+    }
+
+    /**
+     * Convert hex color to RGBA
+     */
+    hexToRgba(hex) {
+        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+        return result ? {
+            r: parseInt(result[1], 16),
+            g: parseInt(result[2], 16),
+            b: parseInt(result[3], 16),
+            a: Math.round(this.opacity * 255)
+        } : {r: 0, g: 0, b: 0, a: 255};
+    }
+
+    /**
+     * Filters menu: one entry per filter, grouped into adjustments and filters
+     */
+    renderFiltersMenu() {
+        const menu = document.getElementById('filtersMenu');
+        menu.innerHTML = '';
+        let group = null;
+        Object.entries(this.filterDefinitions).forEach(([key, definition]) => {
+            if (definition.group !== group) {
+                group = definition.group;
+                const heading = document.createElement('div');
+                heading.className = 'header-menu-heading';
+                heading.textContent = group;
+                menu.appendChild(heading);
+            }
+            const item = document.createElement('button');
+            item.className = 'header-menu-item';
+            item.textContent = definition.params.length ? `${definition.name}…` : definition.name;
+            item.addEventListener('click', () => this.openFilter(key));
+            menu.appendChild(item);
+        });
+    }
+
+    // Header dropdown menus (Filters, Image): only one is open at a time
+    toggleHeaderMenu(id) {
+        const menu = document.getElementById(id);
+        const open = menu.hidden;
+        this.closeHeaderMenus();
+        menu.hidden = !open;
+    }
+
+    closeHeaderMenus() {
+        document.querySelectorAll('.header-menu-list').forEach(menu => {
+            menu.hidden = true;
+        });
+    }
+
+    /**
+     * Open the filter dialog for the active layer. The filter applies to the
+     * layer's pixels (shape objects stay editable), limited to the selection
+     * when there is one.
+     */
+    openFilter(key) {
+        this.closeHeaderMenus();
+        this.commitTextEdit();
+        this.cancelFilter();
+        if (!this.canEditActiveLayer()) return;
+        const definition = this.filterDefinitions[key];
+        // The noise seed is fixed per dialog so the preview matches the result
+        const params = { seed: Math.floor(Math.random() * 0x7fffffff) + 1 };
+        definition.params.forEach(param => { params[param.key] = param.scale ? param.value / param.scale : param.value; });
+        this.filterSession = {
+            key,
+            layer: this.getActiveLayer(),
+            selection: this.selection,
+            scope: this.selection ? 'selection' : 'layer',
+            params,
+            preview: true,
+            job: 0,
+            result: null,
+            previewCanvas: null
+        };
+
+        document.getElementById('filterTitle').textContent = definition.name;
+        const container = document.getElementById('filterParams');
+        container.innerHTML = '';
+        definition.params.forEach(param => container.appendChild(this.createFilterControl(param)));
+        const scope = document.getElementById('filterScope');
+        scope.value = this.filterSession.scope;
+        scope.querySelector('option[value="selection"]').disabled = !this.selection;
+        document.getElementById('filterPreview').checked = true;
+        document.getElementById('filterDialog').hidden = false;
+        this.updateFilterPreview();
+    }
+
+    // A slider (or checkbox) bound to one filter parameter
+    createFilterControl(param) {
+        return this.createParamControl(param, `filterParam-${param.key}`, param.value, (value) => {
+            this.filterSession.params[param.key] = value;
+            this.scheduleFilterPreview();
+        });
+    }
+
+    /**
+     * A control for one parameter of a filter or a tool: a slider (the
+     * default), a checkbox, a color or a select with choices. onChange gets
+     * slider values divided by the parameter's scale.
+     */
+    createParamControl(param, id, value, onChange) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+        const input = document.createElement(param.type === 'select' ? 'select' : 'input');
+        input.id = id;
+        const label = document.createElement('label');
+        label.htmlFor = id;
+
+        if (param.type === 'checkbox') {
+            label.className = 'toggle-option';
+            input.type = 'checkbox';
+            input.checked = value;
+            input.addEventListener('change', () => onChange(input.checked));
+            label.append(input, ` ${param.label}`);
+            group.appendChild(label);
+            return group;
+        }
+        if (param.type === 'color') {
+            group.className = 'color-input-container';
+            input.type = 'color';
+            input.className = 'custom-color-input';
+            input.value = value;
+            input.addEventListener('input', () => onChange(input.value));
+            label.className = 'custom-color-label';
+            label.textContent = param.label;
+            group.append(input, label);
+            return group;
+        }
+        if (param.type === 'select') {
+            input.className = 'select-control';
+            param.choices.forEach(choice => {
+                const option = document.createElement('option');
+                option.value = typeof choice === 'object' ? choice.value : choice;
+                option.textContent = typeof choice === 'object' ? choice.label : choice;
+                input.appendChild(option);
+            });
+            input.value = value;
+            input.addEventListener('change', () => onChange(input.value));
+            label.textContent = param.label;
+            group.append(label, input);
+            return group;
+        }
+
+        const format = (current) => `${param.label}: ${param.scale ? (current / param.scale).toFixed(2) : current}${param.unit || ''}`;
+        input.type = 'range';
+        input.className = 'range-control';
+        input.min = param.min;
+        input.max = param.max;
+        if (param.step) input.step = param.step;
+        input.value = value;
+        label.textContent = format(value);
+        input.addEventListener('input', () => {
+            const current = parseFloat(input.value);
+            label.textContent = format(current);
+            onChange(param.scale ? current / param.scale : current);
+        });
+        group.append(label, input);
+        return group;
+    }
+
+    /**
+     * The part of the layer a filter reads: the whole layer, or the selection
+     * bounds plus a margin so blurs and edge filters see past the edge
+     */
+    getFilterRegion(session) {
+        if (session.scope !== 'selection' || !session.selection) {
+            return { x: 0, y: 0, width: this.docWidth, height: this.docHeight };
+        }
+        const { x, y, width, height } = session.selection;
+        const margin = session.key === 'gaussian-blur' ? Math.ceil(session.params.radius * 1.5) + 2 : 2;
+        const left = Math.max(0, Math.floor(x) - margin);
+        const top = Math.max(0, Math.floor(y) - margin);
+        const right = Math.min(this.docWidth, Math.ceil(x + width) + margin);
+        const bottom = Math.min(this.docHeight, Math.ceil(y + height) + margin);
+        return { x: left, y: top, width: Math.max(1, right - left), height: Math.max(1, bottom - top) };
+    }
+
+    // Filter the session's region; resolves false if newer settings superseded it
+    async computeFilterResult(session) {
+        const job = ++session.job;
+        const region = this.getFilterRegion(session);
+        const params = { ...session.params };
+        const scope = session.scope;
+        const source = session.layer.ctx.getImageData(region.x, region.y, region.width, region.height);
+        document.getElementById('filterDialog').classList.add('busy');
+        const data = await this.runFilter(source, session.key, params);
+        if (job !== session.job) return false;
+        document.getElementById('filterDialog').classList.remove('busy');
+        session.result = { ...region, data, settings: JSON.stringify([params, scope]) };
+        session.previewCanvas = null;
+        return true;
+    }
+
+    async updateFilterPreview() {
+        const session = this.filterSession;
+        if (!session) return;
+        if (session.preview) await this.computeFilterResult(session);
+        this.requestRender();
+    }
+
+    // Draw the filtered region into a layer context, replacing the pixels it covers
+    drawFilterResult(ctx, session) {
+        const { x, y, width, height, data } = session.result;
+        const filtered = document.createElement('canvas');
+        filtered.width = width;
+        filtered.height = height;
+        filtered.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+        ctx.save();
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+        if (session.scope === 'selection' && session.selection) ctx.clip(this.getSelectionPath(session.selection));
+        ctx.clearRect(x, y, width, height);
+        ctx.drawImage(filtered, x, y);
+        ctx.restore();
+    }
+
+    // Pixels to show for a layer while its filter is previewed
+    getFilterPreview(layer) {
+        const session = this.filterSession;
+        if (!session || !session.preview || !session.result || session.layer !== layer) return undefined;
+        if (!session.previewCanvas) {
+            const canvas = document.createElement('canvas');
+            canvas.width = layer.canvas.width;
+            canvas.height = layer.canvas.height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(layer.canvas, 0, 0);
+            this.drawFilterResult(ctx, session);
+            session.previewCanvas = canvas;
+        }
+        return session.previewCanvas;
+    }
+
+    /**
+     * Apply the open filter as one history step
+     */
+    async applyFilter() {
+        const session = this.filterSession;
+        if (!session || session.applying) return;
+        session.applying = true;
+        // With the preview off (or still rendering) the result may be stale
+        const settings = () => JSON.stringify([session.params, session.scope]);
+        while (!session.result || session.result.settings !== settings()) {
+            await this.computeFilterResult(session);
+        }
+        if (session !== this.filterSession) return;
+        this.closeFilterDialog();
+        if (!this.layers.includes(session.layer)) return;
+        this.beginPixelEdit(session.layer);
+        this.drawFilterResult(session.layer.ctx, session);
+        this.saveState(this.filterDefinitions[session.key].name);
+        this.requestRender();
+    }
+
+    cancelFilter() {
+        if (!this.filterSession) return;
+        this.closeFilterDialog();
+        this.requestRender();
+    }
+
+    closeFilterDialog() {
+        this.filterSession = null;
+        const dialog = document.getElementById('filterDialog');
+        dialog.hidden = true;
+        dialog.classList.remove('busy');
+    }
+
+    /**
+     * Run applyImageFilter in the filter worker, or on this thread without one
+     */
+    runFilter(imageData, filter, params) {
+        const worker = this.getFilterWorker();
+        const { data, width, height } = imageData;
+        if (!worker) return Promise.resolve(applyImageFilter(data, width, height, filter, params));
+        return new Promise((resolve) => {
+            const id = ++this.filterJobId;
+            this.filterJobs.set(id, { resolve, args: [data, width, height, filter, params] });
+            worker.postMessage({ id, data, width, height, filter, params });
+        });
+    }
+
+    // The worker runs applyImageFilter's own source, loaded from a Blob URL
+    getFilterWorker() {
+        if (this.filterWorker === undefined) {
+            this.filterWorker = null;
+            if (typeof Worker !== 'function') return null;
+            try {
+                const source = `${applyImageFilter.toString()}
+self.onmessage = (e) => {
+    const { id, data, width, height, filter, params } = e.data;
+    const result = applyImageFilter(data, width, height, filter, params);
+    self.postMessage({ id, result }, [result.buffer]);
+};`;
+                const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+                const worker = new Worker(url);
+                worker.onmessage = (e) => {
+                    const job = this.filterJobs.get(e.data.id);
+                    this.filterJobs.delete(e.data.id);
+                    if (job) job.resolve(e.data.result);
+                };
+                worker.onerror = (e) => {
+                    // A worker that cannot start (e.g. blocked by CSP) is not retried;
+                    // its jobs finish on this thread
+                    e.preventDefault();
+                    worker.terminate();
+                    this.filterWorker = null;
+                    this.filterJobs.forEach(job => job.resolve(applyImageFilter(...job.args)));
+                    this.filterJobs.clear();
+                };
+                this.filterWorker = worker;
+            } catch (error) {
+                console.warn('Filter worker unavailable, filtering on the main thread:', error);
+            }
+        }
+        return this.filterWorker;
+    }
+
+    /**
+     * Color model conversions; h in degrees, s/v in 0-1 for HSV and
+     * s/l in percent for HSL (as shown in the fields)
+     */
+    rgbToHsv(r, g, b) {
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const delta = max - min;
+        let h = 0;
+        if (delta) {
+            if (max === r) h = ((g - b) / delta) % 6;
+            else if (max === g) h = (b - r) / delta + 2;
+            else h = (r - g) / delta + 4;
+            h = (h * 60 + 360) % 360;
+        }
+        return { h, s: max ? delta / max : 0, v: max / 255 };
+    }
+
+    hsvToRgb(h, s, v) {
+        const f = (n) => {
+            const k = (n + h / 60) % 6;
+            return Math.round(255 * (v - v * s * Math.max(0, Math.min(k, 4 - k, 1))));
+        };
+        return { r: f(5), g: f(3), b: f(1) };
+    }
+
+    rgbToHsl(r, g, b) {
+        const { h } = this.rgbToHsv(r, g, b);
+        const max = Math.max(r, g, b) / 255;
+        const min = Math.min(r, g, b) / 255;
+        const l = (max + min) / 2;
+        const s = max === min ? 0 : (max - min) / (1 - Math.abs(2 * l - 1));
+        return { h: Math.round(h), s: Math.round(s * 100), l: Math.round(l * 100) };
+    }
+
+    hslToRgb(h, s, l) {
+        s /= 100;
+        l /= 100;
+        const a = s * Math.min(l, 1 - l);
+        const f = (n) => {
+            const k = (n + h / 30) % 12;
+            return Math.round(255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+        };
+        return { r: f(0), g: f(8), b: f(4) };
+    }
+
+    /**
+     * Convert RGBA to hex
+     */
+    rgbaToHex(r, g, b) {
+        return "#" + [r, g, b].map(x => {
+            const hex = x.toString(16);
+            return hex.length === 1 ? "0" + hex : hex;
+        }).join("");
+    }
+
+    /**
+     * Handle color picker tool
+     */
+    handleColorPicker(pos) {
+        // Sample what is visible, not just the active layer, averaging a
+        // square around the point (clamped to the canvas)
+        const radius = (this.eyedropperSize - 1) / 2;
+        const left = Math.max(0, Math.floor(pos.x) - radius);
+        const top = Math.max(0, Math.floor(pos.y) - radius);
+        const right = Math.min(this.docWidth, Math.floor(pos.x) + radius + 1);
+        const bottom = Math.min(this.docHeight, Math.floor(pos.y) + radius + 1);
+        if (right <= left || bottom <= top) return;
+        const pixels = this.getFlattenedCanvas(this.getBackgroundColor()).getContext('2d')
+            .getImageData(left, top, right - left, bottom - top).data;
+
+        // Weight colors by alpha so transparent pixels don't darken the average
+        let r = 0, g = 0, b = 0, a = 0;
+        for (let i = 0; i < pixels.length; i += 4) {
+            r += pixels[i] * pixels[i + 3];
+            g += pixels[i + 1] * pixels[i + 3];
+            b += pixels[i + 2] * pixels[i + 3];
+            a += pixels[i + 3];
+        }
+        const count = pixels.length / 4;
+        const color = a ? this.rgbaToHex(Math.round(r / a), Math.round(g / a), Math.round(b / a)) : this.currentColor;
+        const alpha = Math.round(a / count / 2.55) / 100;
+        this.selectColor(color, alpha);
+        this.showNotification(`Color picked: ${color}${alpha < 1 ? ` at ${Math.round(alpha * 100)}%` : ''}`, 'info');
+    }
+
+    /**
+     * Handle text tool: click a text box to edit it, or anywhere else to
+     * start a new one
+     */
+    handleTextTool(pos) {
+        const hit = this.findShapeAt(pos);
+        if (hit && hit.shape.type === 'text') {
+            this.setActiveLayer(hit.layerIndex);
+            this.startTextEdit(hit.shape, false);
+            return;
+        }
+        const shape = this.createTextObject(pos);
+        this.getActiveLayer().objects.push(shape);
+        this.startTextEdit(shape, true);
+    }
+
+    // Double-click re-enters any text box that is still an object
+    handleCanvasDoubleClick(e) {
+        const hit = this.findShapeAt(this.getMousePosition(e));
+        if (!hit || hit.shape.type !== 'text') return;
+        this.setActiveLayer(hit.layerIndex);
+        this.startTextEdit(hit.shape, false);
+    }
+
+    /**
+     * New, empty text box using the Text panel's style, centered on the
+     * first line at the click point
+     */
+    createTextObject(pos) {
+        const shape = {
+            id: this.generateId(),
+            type: 'text',
+            ...this.textSettings,
+            text: '',
+            color: this.currentColor,
+            opacity: this.getPaintOpacity(),
+            x: pos.x,
+            y: pos.y - this.textSettings.fontSize * this.textSettings.lineHeight / 2,
+            width: 0,
+            height: 0,
+            rotation: 0
+        };
+        this.fitTextBox(shape, { x: 1, y: 1 });
+        return shape;
+    }
+
+    /**
+     * Measure a text box at its natural size: one entry per line, with
+     * letter spacing applied between characters
+     */
+    getTextLayout(shape) {
+        const ctx = this.textMeasureCtx;
+        const font = `${shape.italic ? 'italic ' : ''}${shape.bold ? 'bold ' : ''}${shape.fontSize}px ${shape.fontFamily}`;
+        ctx.font = font;
+        const lines = shape.text.split('\n');
+        const widths = lines.map(line => this.measureTextLine(ctx, line, shape.letterSpacing));
+        const lineHeight = shape.fontSize * shape.lineHeight;
+        return {
+            font,
+            lines,
+            widths,
+            lineHeight,
+            // Empty boxes keep some width so the caret has somewhere to go
+            width: Math.max(shape.fontSize / 2, ...widths),
+            height: lines.length * lineHeight
+        };
+    }
+
+    measureTextLine(ctx, line, spacing) {
+        if (!spacing) return ctx.measureText(line).width;
+        const chars = [...line];
+        return chars.reduce((sum, char) => sum + ctx.measureText(char).width, 0) + spacing * Math.max(0, chars.length - 1);
+    }
+
+    // Letter spacing is drawn character by character so it works everywhere
+    drawTextLine(ctx, line, x, y, spacing, mode) {
+        if (!spacing) {
+            mode === 'stroke' ? ctx.strokeText(line, x, y) : ctx.fillText(line, x, y);
+            return;
+        }
+        for (const char of line) {
+            mode === 'stroke' ? ctx.strokeText(char, x, y) : ctx.fillText(char, x, y);
+            x += ctx.measureText(char).width + spacing;
+        }
+    }
+
+    // How far a text box is stretched from its natural size by resizing
+    getTextScale(shape) {
+        const layout = this.getTextLayout(shape);
+        return { x: shape.width / layout.width || 1, y: shape.height / layout.height || 1 };
+    }
+
+    // Resize the box to its text after an edit, keeping any stretch
+    fitTextBox(shape, scale = this.getTextScale(shape)) {
+        const layout = this.getTextLayout(shape);
+        shape.width = layout.width * scale.x;
+        shape.height = layout.height * scale.y;
+    }
+
+    /**
+     * Draw a text object: outline under the fill, shadow behind both
+     */
+    drawTextObject(ctx, shape) {
+        const layout = this.getTextLayout(shape);
+        const center = this.getShapeCenter(shape);
+        ctx.save();
+        ctx.globalAlpha *= shape.opacity;
+        ctx.globalCompositeOperation = 'source-over';
+        // Shadows ignore the transform, so scale them to the target by hand
+        const matrix = ctx.getTransform();
+        const pixelScale = Math.hypot(matrix.a, matrix.b) || 1;
+        ctx.translate(center.x, center.y);
+        ctx.rotate(shape.rotation);
+        ctx.scale(shape.width / layout.width, shape.height / layout.height);
+        ctx.font = layout.font;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.lineJoin = 'round';
+        if (shape.shadow) {
+            ctx.shadowColor = shape.shadowColor;
+            ctx.shadowBlur = shape.shadowBlur * pixelScale;
+            ctx.shadowOffsetX = shape.shadowOffset * pixelScale;
+            ctx.shadowOffsetY = shape.shadowOffset * pixelScale;
+        }
+
+        const passes = shape.outline ? ['stroke', 'fill'] : ['fill'];
+        passes.forEach((mode, pass) => {
+            if (pass > 0) ctx.shadowColor = 'transparent';
+            ctx.strokeStyle = shape.outlineColor;
+            ctx.lineWidth = shape.outlineWidth * 2;
+            ctx.fillStyle = shape.color;
+            layout.lines.forEach((line, i) => {
+                const y = -layout.height / 2 + (i + 0.5) * layout.lineHeight;
+                const offsets = { left: 0, center: (layout.width - layout.widths[i]) / 2, right: layout.width - layout.widths[i] };
+                this.drawTextLine(ctx, line, -layout.width / 2 + offsets[shape.align], y, shape.letterSpacing, mode);
+            });
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Open the inline editor over a text box. New boxes are already on the
+     * layer; they are dropped again if left empty.
+     */
+    startTextEdit(shape, isNew) {
+        this.commitTextEdit();
+        this.textEdit = { shape, layer: this.getActiveLayer(), isNew, before: { ...shape } };
+        this.selectShape(shape);
+        const editor = this.textEditor;
+        editor.value = shape.text;
+        editor.hidden = false;
+        this.positionTextEditor();
+        editor.focus();
+        editor.setSelectionRange(editor.value.length, editor.value.length);
+    }
+
+    /**
+     * Lay the editor over the text box: same font and spacing at natural
+     * size, then moved, rotated and scaled with the view
+     */
+    positionTextEditor() {
+        if (!this.textEdit) return;
+        const shape = this.textEdit.shape;
+        const layout = this.getTextLayout(shape);
+        const editor = this.textEditor;
+        const scale = { x: shape.width / layout.width, y: shape.height / layout.height };
+        const center = this.getShapeCenter(shape);
+        const { zoom, panX, panY } = this.view;
+        // Room for the caret past the end of the longest line
+        const caretRoom = shape.fontSize / 2;
+        const alignShift = { left: 0, center: caretRoom / 2, right: caretRoom }[shape.align];
+
+        Object.assign(editor.style, {
+            font: layout.font,
+            lineHeight: `${layout.lineHeight}px`,
+            letterSpacing: `${shape.letterSpacing}px`,
+            textAlign: shape.align,
+            color: shape.color,
+            opacity: shape.opacity,
+            caretColor: shape.color,
+            width: `${layout.width + caretRoom}px`,
+            height: `${layout.height}px`,
+            textShadow: shape.shadow ? `${shape.shadowOffset}px ${shape.shadowOffset}px ${shape.shadowBlur}px ${shape.shadowColor}` : 'none',
+            webkitTextStroke: shape.outline ? `${shape.outlineWidth}px ${shape.outlineColor}` : '',
+            transform: `translate(${panX + center.x * zoom}px, ${panY + center.y * zoom}px) ` +
+                `rotate(${shape.rotation}rad) scale(${zoom * scale.x}, ${zoom * scale.y}) ` +
+                `translate(${-layout.width / 2 - alignShift}px, ${-layout.height / 2}px)`
+        });
+    }
+
+    updateEditedText() {
+        if (!this.textEdit) return;
+        const shape = this.textEdit.shape;
+        const scale = this.getTextScale(shape);
+        shape.text = this.textEditor.value;
+        this.fitTextBox(shape, scale);
+        this.positionTextEditor();
+        this.requestRender();
+    }
+
+    /**
+     * Close the editor and record the edit. Emptied boxes are removed.
+     */
+    commitTextEdit() {
+        const edit = this.textEdit;
+        if (!edit) return;
+        this.textEdit = null;
+        this.textEditor.hidden = true;
+        const { shape, layer, isNew, before } = edit;
+        if (!shape.text.trim()) {
+            const index = layer.objects.indexOf(shape);
+            if (index !== -1) layer.objects.splice(index, 1);
+            this.selectShape(null);
+            if (!isNew) this.saveState('Delete text');
+        } else if (isNew) {
+            this.saveState('Text');
+        } else if (JSON.stringify(before) !== JSON.stringify(shape)) {
+            this.saveState('Edit text');
+        }
+        this.updateTextPanel();
+        this.requestRender();
+    }
+
+    // Escape: put the text back as it was (or drop a new box)
+    cancelTextEdit() {
+        const edit = this.textEdit;
+        if (!edit) return;
+        Object.assign(edit.shape, edit.before);
+        if (edit.isNew) edit.shape.text = '';
+        this.commitTextEdit();
+    }
+
+    // The text box the Text panel edits: the one being typed in, or the selected one
+    getTextTarget() {
+        if (this.textEdit) return this.textEdit.shape;
+        return this.selectedShape && this.selectedShape.type === 'text' ? this.selectedShape : null;
+    }
+
+    setTextProperty(property, value) {
+        const target = this.getTextTarget();
+        if (property !== 'color') {
+            this.textSettings[property] = value;
+        } else if (!target) {
+            // Without a text box the color field picks the drawing color
+            this.selectColor(value);
+        }
+        if (target) {
+            const scale = this.getTextScale(target);
+            target[property] = value;
+            this.fitTextBox(target, scale);
+            this.positionTextEditor();
+            this.requestRender();
+        }
+        this.updateTextPanel();
+    }
+
+    toggleTextStyle(property) {
+        const target = this.getTextTarget();
+        this.setTextProperty(property, !(target || this.textSettings)[property]);
+        this.commitTextStyle();
+    }
+
+    setTextAlign(align) {
+        this.setTextProperty('align', align);
+        this.commitTextStyle();
+    }
+
+    // Style changes on a selected text box are one undo step each; while
+    // typing they are part of the edit
+    commitTextStyle() {
+        if (!this.textEdit && this.getTextTarget()) this.saveState('Text style');
+        if (this.textEdit) this.textEditor.focus();
+    }
+
+    /**
+     * Show the Text panel for the text tool or a selected text box and sync
+     * its fields
+     */
+    updateTextPanel() {
+        const panel = document.getElementById('textSettings');
+        if (!panel) return;
+        const target = this.getTextTarget();
+        panel.hidden = !target && this.currentTool !== 'text';
+        document.getElementById('textObjectActions').hidden = !target || !!this.textEdit;
+        if (panel.hidden) return;
+
+        const values = target || { ...this.textSettings, color: this.currentColor };
+        document.getElementById('textFont').value = values.fontFamily;
+        document.getElementById('textSize').value = values.fontSize;
+        document.getElementById('textSizeValue').textContent = values.fontSize;
+        document.getElementById('textLineHeight').value = Math.round(values.lineHeight * 10);
+        document.getElementById('textLineHeightValue').textContent = values.lineHeight.toFixed(1);
+        document.getElementById('textLetterSpacing').value = values.letterSpacing;
+        document.getElementById('textLetterSpacingValue').textContent = values.letterSpacing;
+        document.getElementById('textColor').value = values.color;
+        document.getElementById('textOutline').checked = values.outline;
+        document.getElementById('textOutlineColor').value = values.outlineColor;
+        document.getElementById('textOutlineWidth').value = values.outlineWidth;
+        document.getElementById('textOutlineWidthValue').textContent = values.outlineWidth;
+        document.getElementById('textShadow').checked = values.shadow;
+        document.getElementById('textShadowColor').value = values.shadowColor;
+        document.getElementById('textShadowBlur').value = values.shadowBlur;
+        document.getElementById('textShadowBlurValue').textContent = values.shadowBlur;
+        document.getElementById('textShadowOffset').value = values.shadowOffset;
+        document.getElementById('textShadowOffsetValue').textContent = values.shadowOffset;
+        document.getElementById('textBold').classList.toggle('active', values.bold);
+        document.getElementById('textItalic').classList.toggle('active', values.italic);
+        document.querySelectorAll('#textSettings [data-align]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.align === values.align);
+        });
+    }
+
+    /**
+     * Document size: keep docWidth/docHeight and the size shown in the
+     * header in step. The view is left alone; callers reset it if needed.
+     */
+    setDocumentSize(width, height) {
+        this.docWidth = width;
+        this.docHeight = height;
+        this.updateDocumentInfo();
+    }
+
+    // Show the real document size (and print size) in the canvas header
+    updateDocumentInfo() {
+        const sizeDisplay = document.querySelector('.canvas-size');
+        if (!sizeDisplay) return;
+        sizeDisplay.textContent = `${this.docWidth} × ${this.docHeight}px`;
+        const inches = value => (value / this.docDpi).toFixed(2);
+        sizeDisplay.title = `${inches(this.docWidth)} × ${inches(this.docHeight)} in at ${this.docDpi} DPI`;
+    }
+
+    isValidDocumentSize(width, height) {
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+            this.showNotification('Width and height must be whole numbers of at least 1px', 'error');
+            return false;
+        }
+        if (width > this.maxDocSize || height > this.maxDocSize) {
+            this.showNotification(`Documents can be at most ${this.maxDocSize} × ${this.maxDocSize}px`, 'error');
+            return false;
+        }
+        return true;
+    }
+
+    // Show one of the small dialogs (New Document, Canvas Size, Image Size)
+    showDialog(id) {
+        this.closeHeaderMenus();
+        document.querySelectorAll('.dialog-modal').forEach(modal => {
+            modal.style.display = modal.id === id ? 'block' : 'none';
+        });
+        const first = document.querySelector(`#${id} input`);
+        if (first) first.focus();
+    }
+
+    hideDialogs() {
+        document.querySelectorAll('.dialog-modal').forEach(modal => {
+            modal.style.display = 'none';
+        });
+    }
+
+    /**
+     * New Document dialog: size presets, resolution and background color,
+     * prefilled with the current document
+     */
+    showNewDocumentDialog() {
+        const presetSelect = document.getElementById('newDocPreset');
+        if (presetSelect.options.length <= 1) {
+            this.documentPresets.forEach((preset, index) => {
+                presetSelect.add(new Option(preset.name, index));
+            });
+        }
+        presetSelect.value = '';
+        document.getElementById('newDocWidth').value = this.docWidth;
+        document.getElementById('newDocHeight').value = this.docHeight;
+        document.getElementById('newDocDpi').value = this.docDpi;
+        this.setBackgroundFields('newDoc', this.docBackground);
+        this.updateNewDocumentInfo();
+        this.showDialog('newDocumentModal');
+    }
+
+    // Fill in a preset's size; print sizes are converted at the chosen DPI
+    applyDocumentPreset(value, keepDpi = false) {
+        const preset = this.documentPresets[value];
+        if (!preset) return;
+        const dpiInput = document.getElementById('newDocDpi');
+        if (preset.dpi && !keepDpi) dpiInput.value = preset.dpi;
+        const dpi = parseInt(dpiInput.value, 10) || 72;
+        const size = preset.mm
+            ? preset.mm.map(mm => Math.round(mm / 25.4 * dpi))
+            : [preset.width, preset.height];
+        document.getElementById('newDocWidth').value = size[0];
+        document.getElementById('newDocHeight').value = size[1];
+        this.updateNewDocumentInfo();
+    }
+
+    // Keep the dialog consistent after a field is edited by hand
+    handleNewDocumentInput(field) {
+        const presetSelect = document.getElementById('newDocPreset');
+        const preset = this.documentPresets[presetSelect.value];
+        if (field === 'dpi' && preset && preset.mm) {
+            this.applyDocumentPreset(presetSelect.value, true);
+            return;
+        }
+        if (field !== 'dpi') presetSelect.value = '';
+        this.updateNewDocumentInfo();
+    }
+
+    updateNewDocumentInfo() {
+        const width = parseInt(document.getElementById('newDocWidth').value, 10) || 0;
+        const height = parseInt(document.getElementById('newDocHeight').value, 10) || 0;
+        const dpi = parseInt(document.getElementById('newDocDpi').value, 10) || 72;
+        const mm = value => Math.round(value / dpi * 25.4);
+        document.getElementById('newDocInfo').textContent =
+            `${mm(width)} × ${mm(height)} mm at ${dpi} DPI`;
+    }
+
+    /**
+     * Start over with an empty document from the New Document dialog
+     */
+    createNewDocument() {
+        const width = parseInt(document.getElementById('newDocWidth').value, 10);
+        const height = parseInt(document.getElementById('newDocHeight').value, 10);
+        const dpi = parseInt(document.getElementById('newDocDpi').value, 10);
+        if (this.isBlockedInSession('Starting a new document') || !this.isValidDocumentSize(width, height)) return;
+        if (this.hasUnsavedChanges() &&
+            !confirm('Discard unsaved changes to the current drawing?')) {
+            return;
+        }
+        this.commitTextEdit();
+        this.cancelFilter();
+        this.cancelCurve();
+        this.docDpi = dpi > 0 ? dpi : 72;
+        this.docBackground = this.readBackgroundFields('newDoc');
+        this.guides = [];
+        this.symmetry.center = null;
+        this.stopAnimation();
+        this.animation = { fps: 12, loop: true };
+        this.updateAnimationControls();
+        this.setDocumentSize(width, height);
+        this.initLayers();
+        this.selectShape(null);
+        this.clearSelection();
+        this.resetView();
+        this.resetHistory('New drawing');
+        this.stopRecording();
+        this.recording = null;
+        this.updateRecordingInfo();
+        this.currentProject = {
+            id: null,
+            name: 'Untitled Project',
+            created: new Date(),
+            modified: new Date(),
+            saved: false
+        };
+        this.dirty = false;
+        this.discardAutosave();
+        this.updateProjectInfo();
+        this.hideDialogs();
+        this.showNotification(`New ${width} × ${height}px document`, 'success');
+    }
+
+    /**
+     * Document background: a color or 'transparent'. It is drawn under the
+     * layers, never into them, so erasing down to transparency shows it and
+     * it can be changed at any time.
+     */
+    getBackgroundColor() {
+        return this.docBackground === 'transparent' ? null : this.docBackground;
+    }
+
+    // What formats without alpha (JPEG, video) flatten onto
+    getExportBackground() {
+        return this.getBackgroundColor() || this.exportSettings.matte;
+    }
+
+    // Gray and white squares, 8 CSS pixels each, for transparent areas
+    getCheckerboardPattern(ctx) {
+        if (!this.checkerboardTile) {
+            const tile = document.createElement('canvas');
+            tile.width = tile.height = 16;
+            const tileCtx = tile.getContext('2d');
+            tileCtx.fillStyle = '#ffffff';
+            tileCtx.fillRect(0, 0, 16, 16);
+            tileCtx.fillStyle = '#e0e0e0';
+            tileCtx.fillRect(0, 0, 8, 8);
+            tileCtx.fillRect(8, 8, 8, 8);
+            this.checkerboardTile = tile;
+        }
+        return ctx.createPattern(this.checkerboardTile, 'repeat');
+    }
+
+    // Change the background as an undo step
+    setDocumentBackground(background) {
+        if (background === this.docBackground) return;
+        if (this.isDrawing || this.isBlockedInSession('Changing the background')) return;
+        this.docBackground = background;
+        this.saveState('Background');
+        this.renderTimeline();
+        this.requestRender();
+    }
+
+    /**
+     * Background dialog: the document background and the matte that
+     * formats without alpha use in place of a transparent one
+     */
+    showBackgroundDialog() {
+        this.setBackgroundFields('doc', this.docBackground);
+        document.getElementById('exportMatte').value = this.exportSettings.matte;
+        this.showDialog('backgroundModal');
+    }
+
+    applyBackgroundDialog() {
+        this.setExportSetting('matte', document.getElementById('exportMatte').value);
+        this.setDocumentBackground(this.readBackgroundFields('doc'));
+        this.hideDialogs();
+    }
+
+    // The White / Color / Transparent select and color input pairs share these
+    setBackgroundFields(prefix, background) {
+        const type = background === 'transparent' ? 'transparent'
+            : background.toLowerCase() === '#ffffff' ? 'white' : 'color';
+        document.getElementById(`${prefix}BackgroundType`).value = type;
+        if (type === 'color') document.getElementById(`${prefix}Background`).value = background;
+        this.updateBackgroundFields(prefix);
+    }
+
+    readBackgroundFields(prefix) {
+        const type = document.getElementById(`${prefix}BackgroundType`).value;
+        if (type === 'transparent') return 'transparent';
+        return type === 'white' ? '#ffffff' : document.getElementById(`${prefix}Background`).value;
+    }
+
+    updateBackgroundFields(prefix) {
+        const type = document.getElementById(`${prefix}BackgroundType`).value;
+        document.getElementById(`${prefix}Background`).disabled = type !== 'color';
+    }
+
+    setExportSetting(key, value) {
+        this.saveExportSettings({ [key]: value });
+    }
+
+    saveExportSettings(settings) {
+        Object.assign(this.exportSettings, settings);
+        localStorage.setItem('drawingMaster.exportSettings', JSON.stringify(this.exportSettings));
+    }
+
+    loadExportSettings() {
+        try {
+            Object.assign(this.exportSettings, JSON.parse(localStorage.getItem('drawingMaster.exportSettings')) || {});
+        } catch (error) {
+            console.warn('Ignoring invalid export settings:', error);
+        }
+    }
+
+    /**
+     * Export dialog: format, quality, size and region, with a preview of the
+     * encoded image and its file size. Export Again reruns the last settings.
+     */
+    showExportDialog() {
+        const settings = { ...this.exportSettings };
+        if (settings.region === 'selection' && !this.selection) settings.region = 'canvas';
+        const regionSelect = document.getElementById('exportRegion');
+        regionSelect.querySelector('option[value="selection"]').disabled = !this.selection;
+        regionSelect.value = settings.region;
+        document.getElementById('exportFormat').value = settings.format;
+        document.getElementById('exportQuality').value = Math.round(settings.quality * 100);
+        document.getElementById('exportSizeMode').value = settings.sizeMode;
+        document.getElementById('exportScale').value = settings.scale;
+        document.getElementById('exportKeepRatio').checked = settings.keepRatio;
+        document.getElementById('exportMatteColor').value = settings.matte;
+        this.exportRegionBounds = this.getExportRegion(settings.region);
+        const size = this.getExportSize(settings, this.exportRegionBounds);
+        document.getElementById('exportWidth').value = size.width;
+        document.getElementById('exportHeight').value = size.height;
+        this.showDialog('exportModal');
+        this.updateExportDialog();
+    }
+
+    readExportDialog() {
+        return {
+            format: document.getElementById('exportFormat').value,
+            quality: (parseInt(document.getElementById('exportQuality').value, 10) || 92) / 100,
+            region: document.getElementById('exportRegion').value,
+            sizeMode: document.getElementById('exportSizeMode').value,
+            scale: parseFloat(document.getElementById('exportScale').value) || 1,
+            width: parseInt(document.getElementById('exportWidth').value, 10) || null,
+            height: parseInt(document.getElementById('exportHeight').value, 10) || null,
+            keepRatio: document.getElementById('exportKeepRatio').checked,
+            matte: document.getElementById('exportMatteColor').value
+        };
+    }
+
+    // Keep the pixel size in step with the scale, or in proportion to the region
+    handleExportInput(field) {
+        if (field === 'exportRegion') {
+            this.exportRegionBounds = this.getExportRegion(document.getElementById('exportRegion').value);
+        }
+        const settings = this.readExportDialog();
+        const region = this.exportRegionBounds;
+        const widthInput = document.getElementById('exportWidth');
+        const heightInput = document.getElementById('exportHeight');
+        if (settings.sizeMode === 'scale') {
+            const size = this.getExportSize(settings, region);
+            widthInput.value = size.width;
+            heightInput.value = size.height;
+        } else if (settings.keepRatio && field === 'exportHeight') {
+            if (settings.height) widthInput.value = Math.max(1, Math.round(settings.height * region.width / region.height));
+        } else if (settings.keepRatio && settings.width) {
+            heightInput.value = Math.max(1, Math.round(settings.width * region.height / region.width));
+        }
+        this.updateExportDialog();
+    }
+
+    updateExportDialog() {
+        const settings = this.readExportDialog();
+        const exact = settings.sizeMode === 'exact';
+        document.getElementById('exportQuality').disabled = settings.format === 'png';
+        document.getElementById('exportQualityValue').textContent = settings.format === 'png'
+            ? 'lossless' : `${Math.round(settings.quality * 100)}%`;
+        document.getElementById('exportScale').disabled = exact;
+        document.getElementById('exportScaleValue').textContent = `${settings.scale}×`;
+        document.getElementById('exportWidth').disabled = !exact;
+        document.getElementById('exportHeight').disabled = !exact;
+        document.getElementById('exportKeepRatio').disabled = !exact;
+        document.getElementById('exportMatteColor').disabled = settings.format !== 'jpeg';
+        document.getElementById('exportInfo').textContent = 'Updating preview…';
+        this.scheduleExportPreview();
+    }
+
+    // Draw the encoded image into the preview and report its pixel and file size
+    async updateExportPreview() {
+        if (document.getElementById('exportModal').style.display !== 'block') return;
+        const token = ++this.exportPreviewToken;
+        const settings = this.readExportDialog();
+        const info = document.getElementById('exportInfo');
+        const rendered = this.renderExport(settings);
+        if (!rendered) {
+            info.textContent = `Too large: exports can be at most ${this.maxExportSize} × ${this.maxExportSize}px`;
+            return;
+        }
+        const { canvas } = rendered;
+        try {
+            const blob = await this.encodeExport(canvas, settings);
+            const bitmap = await createImageBitmap(blob);
+            if (token !== this.exportPreviewToken) {
+                bitmap.close();
+                return;
+            }
+            const preview = document.getElementById('exportPreview');
+            const scale = Math.min(1, 260 / canvas.width, 200 / canvas.height);
+            preview.width = Math.max(1, Math.round(canvas.width * scale));
+            preview.height = Math.max(1, Math.round(canvas.height * scale));
+            const previewCtx = preview.getContext('2d');
+            previewCtx.imageSmoothingQuality = 'high';
+            previewCtx.drawImage(bitmap, 0, 0, preview.width, preview.height);
+            bitmap.close();
+            const format = this.getExportFormat(blob.type);
+            info.textContent = `${canvas.width} × ${canvas.height}px · ${format.label} · ${this.formatBytes(blob.size)}`;
+            if (format !== this.exportFormats[settings.format]) {
+                info.textContent += ` (this browser cannot encode ${this.exportFormats[settings.format].label})`;
+            }
+        } catch (error) {
+            console.error('Failed to preview export:', error);
+            if (token === this.exportPreviewToken) info.textContent = 'Preview unavailable';
+        }
+    }
+
+    async submitExportDialog() {
+        const settings = this.readExportDialog();
+        this.saveExportSettings(settings);
+        this.hideDialogs();
+        await this.exportWithSettings(settings);
+    }
+
+    copyExportDialog() {
+        const settings = this.readExportDialog();
+        this.saveExportSettings(settings);
+        this.hideDialogs();
+        return this.copyExport(settings);
+    }
+
+    printExportDialog() {
+        const settings = this.readExportDialog();
+        this.saveExportSettings(settings);
+        this.hideDialogs();
+        return this.printExport(settings);
+    }
+
+    // Export with the settings the Export dialog last used
+    exportAgain() {
+        const settings = { ...this.exportSettings };
+        if (settings.region === 'selection' && !this.selection) {
+            this.showNotification('Nothing is selected; exporting the whole canvas', 'info');
+            settings.region = 'canvas';
+        }
+        return this.exportWithSettings(settings);
+    }
+
+    /**
+     * Document-space rectangle an export covers. A lasso or ellipse selection
+     * also clips to its shape; empty content falls back to the whole canvas.
+     */
+    getExportRegion(region, flattened = null) {
+        if (region === 'selection' && this.selection) {
+            const bounds = this.getSelectionBounds();
+            if (bounds.width && bounds.height) {
+                return { ...bounds, clip: this.selection.type === 'rect' ? null : this.getSelectionPath() };
+            }
+        }
+        if (region === 'content') {
+            const bounds = this.getContentBounds(flattened || this.getFlattenedCanvas());
+            if (bounds) return bounds;
+        }
+        return { x: 0, y: 0, width: this.docWidth, height: this.docHeight };
+    }
+
+    // Output pixels: the region times the scale, or an exact size
+    getExportSize(settings, region) {
+        if (settings.sizeMode === 'exact') {
+            const width = settings.width || region.width;
+            const height = settings.keepRatio
+                ? Math.max(1, Math.round(width * region.height / region.width))
+                : settings.height || region.height;
+            return { width, height };
+        }
+        return {
+            width: Math.max(1, Math.round(region.width * settings.scale)),
+            height: Math.max(1, Math.round(region.height * settings.scale))
+        };
+    }
+
+    /**
+     * Render the visible layers at document resolution, whatever the screen's
+     * pixel ratio: cropped to the region, scaled to the output size and laid
+     * on the background. Returns null when the output would be too large.
+     */
+    renderExport(settings) {
+        const flattened = this.getFlattenedCanvas();
+        const region = this.getExportRegion(settings.region, flattened);
+        const { width, height } = this.getExportSize(settings, region);
+        if (width > this.maxExportSize || height > this.maxExportSize) return null;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        // JPEG has no alpha: transparency, also outside a shaped selection, becomes the matte
+        if (settings.format === 'jpeg') {
+            ctx.fillStyle = settings.matte;
+            ctx.fillRect(0, 0, width, height);
+        }
+        const scaleX = width / region.width;
+        const scaleY = height / region.height;
+        ctx.setTransform(scaleX, 0, 0, scaleY, -region.x * scaleX, -region.y * scaleY);
+        if (region.clip) ctx.clip(region.clip);
+        const background = this.getBackgroundColor();
+        if (background) {
+            ctx.fillStyle = background;
+            ctx.fillRect(region.x, region.y, region.width, region.height);
+        }
+        ctx.drawImage(flattened, 0, 0);
+        return { canvas, region };
+    }
+
+    // renderExport, telling the user when the output is over the size limit
+    renderExportChecked(settings) {
+        const rendered = this.renderExport(settings);
+        if (!rendered) {
+            this.showNotification(`Exports can be at most ${this.maxExportSize} × ${this.maxExportSize}px`, 'error');
+        }
+        return rendered;
+    }
+
+    encodeExport(canvas, settings) {
+        const format = this.exportFormats[settings.format] || this.exportFormats.png;
+        return this.canvasToBlob(canvas, format.mime, settings.quality);
+    }
+
+    // Browsers without an encoder for a type hand back a PNG instead
+    getExportFormat(mime) {
+        return Object.values(this.exportFormats).find(format => format.mime === mime) || this.exportFormats.png;
+    }
+
+    async exportWithSettings(settings) {
+        this.commitTextEdit();
+        const rendered = this.renderExportChecked(settings);
+        if (!rendered) return false;
+        const { canvas } = rendered;
+        const requested = this.exportFormats[settings.format] || this.exportFormats.png;
+        this.showLoadingSpinner();
+        try {
+            const blob = await this.encodeExport(canvas, settings);
+            const format = this.getExportFormat(blob.type);
+            this.downloadBlob(blob, `${this.currentProject.name || 'drawing'}.${format.ext}`);
+            if (format !== requested) {
+                this.showNotification(`This browser cannot encode ${requested.label}; exported as ${format.label}`, 'warning');
+            } else {
+                this.showNotification(`Exported ${canvas.width} × ${canvas.height}px ${format.label}`, 'success');
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to export image:', error);
+            this.showNotification('Failed to export image', 'error');
+            return false;
+        } finally {
+            this.hideLoadingSpinner();
+        }
+    }
+
+    // The system clipboard only takes PNG, so copies ignore the format
+    async copyExport(settings = this.exportSettings) {
+        this.commitTextEdit();
+        const rendered = this.renderExportChecked({ ...settings, format: 'png' });
+        if (!rendered) return false;
+        const { canvas } = rendered;
+        if (!await this.writeSystemClipboard(canvas)) {
+            this.showNotification('This browser cannot copy images to the clipboard', 'error');
+            return false;
+        }
+        this.showNotification(`Copied ${canvas.width} × ${canvas.height}px image to the clipboard`, 'success');
+        return true;
+    }
+
+    /**
+     * Print the export at the document's DPI. The image goes in a print-only
+     * element and the print stylesheet hides the app around it.
+     */
+    async printExport(settings = this.exportSettings) {
+        this.commitTextEdit();
+        const rendered = this.renderExportChecked({ ...settings, format: 'png' });
+        if (!rendered) return;
+        const { canvas, region } = rendered;
+        const image = document.getElementById('printImage');
+        image.src = canvas.toDataURL('image/png');
+        image.style.width = `${region.width / this.docDpi}in`;
+        if (image.decode) {
+            await image.decode().catch(error => console.warn('Print image did not decode:', error));
+        }
+        document.body.classList.add('printing-export');
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-export');
+            image.removeAttribute('src');
+        }, { once: true });
+        window.print();
+    }
+
+    /**
+     * Replace every layer with a transformed copy at a new document size,
+     * as one undo step. draw(ctx, source) paints a layer's old pixels into
+     * its new canvas; shapes, guides and the symmetry center follow
+     * transform (see transformShape). The old canvases stay in the history
+     * untouched, so undo simply swaps them back.
+     */
+    transformDocument(name, width, height, draw, transform) {
+        if (this.isDrawing || this.isBlockedInSession(name) || !this.isValidDocumentSize(width, height)) return false;
+        this.commitTextEdit();
+        this.cancelFilter();
+        this.finishCurve();
+        this.selectShape(null);
+        this.clearSelection();
+
+        // Every frame is transformed so they keep the document size
+        const activeId = this.getActiveLayer().id;
+        const transformLayer = layer => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            this.applyLayerContextDefaults(ctx);
+            ctx.save();
+            draw(ctx, layer.canvas);
+            ctx.restore();
+            return {
+                ...layer,
+                canvas,
+                ctx,
+                objects: layer.objects.map(shape => this.transformShape({ ...shape }, transform))
+            };
+        };
+        this.frames = this.frames.map(frame => ({ ...frame, layers: frame.layers.map(transformLayer) }));
+        this.layers = this.getCurrentFrame().layers;
+        this.transformOverlays(transform.map, width, height);
+        this.setDocumentSize(width, height);
+        this.setActiveLayer(this.layers.findIndex(layer => layer.id === activeId));
+        this.resetView();
+        this.saveState(name);
+        this.showNotification(`${name}: ${width} × ${height}px`, 'success');
+        return true;
+    }
+
+    /**
+     * Carry guides and the symmetry center over to a transformed document of
+     * the given size. Guides turned off the horizontal and vertical, or moved
+     * off the canvas, are dropped; a center that leaves the canvas goes back
+     * to the middle.
+     */
+    transformOverlays(map, width, height) {
+        this.guides = this.guides.flatMap(guide => {
+            const vertical = guide.axis === 'x';
+            const a = map(vertical ? { x: guide.position, y: 0 } : { x: 0, y: guide.position });
+            const b = map(vertical ? { x: guide.position, y: 1 } : { x: 1, y: guide.position });
+            let mapped;
+            if (Math.abs(a.x - b.x) < 1e-6) {
+                mapped = { ...guide, axis: 'x', position: Math.round(a.x) };
+            } else if (Math.abs(a.y - b.y) < 1e-6) {
+                mapped = { ...guide, axis: 'y', position: Math.round(a.y) };
+            } else {
+                return [];
+            }
+            const size = mapped.axis === 'x' ? width : height;
+            return mapped.position >= 0 && mapped.position <= size ? [mapped] : [];
+        });
+
+        // A center left at the default stays there if the middle maps to the middle
+        const center = map(this.getSymmetryCenter());
+        const inside = center.x >= 0 && center.y >= 0 && center.x <= width && center.y <= height;
+        const keepDefault = !this.symmetry.center &&
+            Math.abs(center.x - width / 2) < 0.5 && Math.abs(center.y - height / 2) < 0.5;
+        this.symmetry.center = inside && !keepDefault
+            ? { x: Math.round(center.x), y: Math.round(center.y) }
+            : null;
+    }
+
+    /**
+     * Move, scale, rotate or flip a shape object along with the pixels.
+     * map() takes the shape's center to its new position; scaling a rotated
+     * shape unevenly is approximated by scaling its box.
+     */
+    transformShape(shape, { map, rotate = 0, scaleX = 1, scaleY = 1, flip = null }) {
+        const center = map({ x: shape.x + shape.width / 2, y: shape.y + shape.height / 2 });
+        let width = shape.width * scaleX;
+        let rotation = (shape.rotation || 0) + rotate;
+        if (flip) {
+            // Text is moved but never mirrored, so it stays readable
+            rotation = -rotation;
+            if (shape.type !== 'text') {
+                if (flip === 'vertical') rotation += Math.PI;
+                if (this.isLineShape(shape)) width = -width;
+                if (shape.type === 'curve') shape.points = shape.points.map(p => ({ x: 1 - p.x, y: p.y }));
+            }
+        }
+        const height = shape.height * scaleY;
+        shape.x = center.x - width / 2;
+        shape.y = center.y - height / 2;
+        shape.width = width;
+        shape.height = height;
+        shape.rotation = rotation;
+        if (shape.strokeWidth && (scaleX !== 1 || scaleY !== 1)) {
+            shape.strokeWidth *= Math.sqrt(Math.abs(scaleX * scaleY));
+        }
+        return shape;
+    }
+
+    /**
+     * Canvas Size dialog: change the document size without scaling, placing
+     * the old content at one of nine anchor points
+     */
+    showCanvasSizeDialog() {
+        document.getElementById('canvasSizeWidth').value = this.docWidth;
+        document.getElementById('canvasSizeHeight').value = this.docHeight;
+        this.setCanvasAnchor(this.canvasAnchor);
+        this.showDialog('canvasSizeModal');
+    }
+
+    setCanvasAnchor(anchor) {
+        this.canvasAnchor = anchor;
+        document.querySelectorAll('#canvasAnchor button').forEach(button => {
+            button.classList.toggle('active', button.dataset.anchor === anchor);
+        });
+    }
+
+    applyCanvasSize() {
+        const width = parseInt(document.getElementById('canvasSizeWidth').value, 10);
+        const height = parseInt(document.getElementById('canvasSizeHeight').value, 10);
+        if (this.resizeCanvas(width, height, this.canvasAnchor)) this.hideDialogs();
+    }
+
+    // anchor is "column,row" with 0 = left/top, 1 = center, 2 = right/bottom
+    resizeCanvas(width, height, anchor = '1,1') {
+        const [column, row] = anchor.split(',').map(Number);
+        const dx = Math.round((width - this.docWidth) * column / 2);
+        const dy = Math.round((height - this.docHeight) * row / 2);
+        return this.transformDocument('Canvas size', width, height,
+            (ctx, source) => ctx.drawImage(source, dx, dy),
+            { map: p => ({ x: p.x + dx, y: p.y + dy }) });
+    }
+
+    /**
+     * Image Size dialog: scale the whole document, optionally keeping the
+     * aspect ratio, with smooth or nearest-neighbor resampling
+     */
+    showImageSizeDialog() {
+        document.getElementById('imageSizeWidth').value = this.docWidth;
+        document.getElementById('imageSizeHeight').value = this.docHeight;
+        document.getElementById('imageSizePercent').value = 100;
+        this.showDialog('imageSizeModal');
+    }
+
+    // Keep width, height and percentage in step while one of them is edited
+    handleImageSizeInput(field) {
+        const widthInput = document.getElementById('imageSizeWidth');
+        const heightInput = document.getElementById('imageSizeHeight');
+        const percentInput = document.getElementById('imageSizePercent');
+        const keepRatio = document.getElementById('imageSizeKeepRatio').checked;
+        let scale = null;
+        if (field === 'percent') {
+            scale = (parseFloat(percentInput.value) || 0) / 100;
+            widthInput.value = Math.max(1, Math.round(this.docWidth * scale));
+            heightInput.value = Math.max(1, Math.round(this.docHeight * scale));
+            return;
+        }
+        if (field === 'width') {
+            scale = (parseInt(widthInput.value, 10) || 0) / this.docWidth;
+            if (keepRatio) heightInput.value = Math.max(1, Math.round(this.docHeight * scale));
+        } else {
+            scale = (parseInt(heightInput.value, 10) || 0) / this.docHeight;
+            if (keepRatio) widthInput.value = Math.max(1, Math.round(this.docWidth * scale));
+        }
+        percentInput.value = keepRatio ? Math.round(scale * 1000) / 10 : '';
+    }
+
+    applyImageSize() {
+        const width = parseInt(document.getElementById('imageSizeWidth').value, 10);
+        const height = parseInt(document.getElementById('imageSizeHeight').value, 10);
+        const resampling = document.getElementById('imageSizeResampling').value;
+        if (this.scaleImage(width, height, resampling)) this.hideDialogs();
+    }
+
+    scaleImage(width, height, resampling = 'smooth') {
+        const scaleX = width / this.docWidth;
+        const scaleY = height / this.docHeight;
+        return this.transformDocument('Image size', width, height,
+            (ctx, source) => ctx.drawImage(this.resampleCanvas(source, width, height, resampling), 0, 0),
+            { map: p => ({ x: p.x * scaleX, y: p.y * scaleY }), scaleX, scaleY });
+    }
+
+    /**
+     * Scale a canvas to a new size. Smooth resampling halves the image in
+     * steps when shrinking a lot, so detail is averaged rather than skipped.
+     */
+    resampleCanvas(source, width, height, resampling = 'smooth') {
+        let current = source;
+        let currentWidth = source.width;
+        let currentHeight = source.height;
+        for (;;) {
+            const smooth = resampling !== 'nearest';
+            const stepWidth = smooth ? Math.max(width, Math.ceil(currentWidth / 2)) : width;
+            const stepHeight = smooth ? Math.max(height, Math.ceil(currentHeight / 2)) : height;
+            const canvas = document.createElement('canvas');
+            canvas.width = stepWidth;
+            canvas.height = stepHeight;
+            const ctx = canvas.getContext('2d');
+            ctx.imageSmoothingEnabled = smooth;
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(current, 0, 0, currentWidth, currentHeight, 0, 0, stepWidth, stepHeight);
+            current = canvas;
+            currentWidth = stepWidth;
+            currentHeight = stepHeight;
+            if (stepWidth === width && stepHeight === height) return current;
+        }
+    }
+
+    // Crop the document to a rectangle in document coordinates
+    cropDocument(x, y, width, height, name = 'Crop') {
+        return this.transformDocument(name, width, height,
+            (ctx, source) => ctx.drawImage(source, -x, -y),
+            { map: p => ({ x: p.x - x, y: p.y - y }) });
+    }
+
+    cropToSelection() {
+        if (!this.selection) {
+            this.showNotification('Make a selection to crop to', 'info');
+            return;
+        }
+        const bounds = this.getSelectionBounds();
+        if (!bounds.width || !bounds.height) return;
+        this.cropDocument(bounds.x, bounds.y, bounds.width, bounds.height, 'Crop to selection');
+    }
+
+    /**
+     * Trim borders that match the color of the top-left pixel of the
+     * flattened image, like "trim whitespace"
+     */
+    cropToContent() {
+        const bounds = this.getContentBounds(this.getFlattenedCanvas());
+        if (!bounds) {
+            this.showNotification('The image has no content to crop to', 'info');
+            return;
+        }
+        if (bounds.width === this.docWidth && bounds.height === this.docHeight) {
+            this.showNotification('Nothing to crop', 'info');
+            return;
+        }
+        this.cropDocument(bounds.x, bounds.y, bounds.width, bounds.height, 'Crop to content');
+    }
+
+    getContentBounds(canvas) {
+        const { width, height } = canvas;
+        const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+        const [r, g, b, a] = data;
+        const isBorder = i => a === 0
+            ? data[i + 3] === 0
+            : data[i] === r && data[i + 1] === g && data[i + 2] === b && data[i + 3] === a;
+        let left = width, top = height, right = -1, bottom = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (isBorder((y * width + x) * 4)) continue;
+                if (x < left) left = x;
+                if (x > right) right = x;
+                if (y < top) top = y;
+                bottom = y;
+            }
+        }
+        if (right < 0) return null;
+        return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+    }
+
+    /**
+     * Rotate the document clockwise. Quarter turns swap width and height;
+     * other angles grow the canvas to fit the rotated corners.
+     */
+    rotateDocument(degrees) {
+        degrees = ((degrees % 360) + 360) % 360;
+        if (!degrees) return false;
+        const angle = degrees * Math.PI / 180;
+        const quarterTurn = degrees % 90 === 0;
+        const cos = Math.abs(Math.cos(angle));
+        const sin = Math.abs(Math.sin(angle));
+        const width = quarterTurn && degrees !== 180 ? this.docHeight
+            : Math.ceil(this.docWidth * cos + this.docHeight * sin - 1e-6);
+        const height = quarterTurn && degrees !== 180 ? this.docWidth
+            : Math.ceil(this.docWidth * sin + this.docHeight * cos - 1e-6);
+        const oldCenter = { x: this.docWidth / 2, y: this.docHeight / 2 };
+        const rotatePoint = p => {
+            const dx = p.x - oldCenter.x;
+            const dy = p.y - oldCenter.y;
+            return {
+                x: width / 2 + dx * Math.cos(angle) - dy * Math.sin(angle),
+                y: height / 2 + dx * Math.sin(angle) + dy * Math.cos(angle)
+            };
+        };
+        return this.transformDocument(`Rotate ${degrees}°`, width, height,
+            (ctx, source) => {
+                ctx.translate(width / 2, height / 2);
+                ctx.rotate(angle);
+                ctx.drawImage(source, -source.width / 2, -source.height / 2);
+            },
+            { map: rotatePoint, rotate: angle });
+    }
+
+    // Rotate dialog: turn the document by any angle
+    rotateDocumentBy() {
+        this.showDialog('rotateModal');
+        document.getElementById('rotateAngle').select();
+    }
+
+    applyRotateDialog() {
+        const degrees = parseFloat(document.getElementById('rotateAngle').value);
+        if (!Number.isFinite(degrees)) {
+            this.showNotification('Enter an angle in degrees', 'error');
+            return;
+        }
+        if (this.rotateDocument(degrees) || degrees % 360 === 0) this.hideDialogs();
+    }
+
+    flipDocument(direction = 'horizontal') {
+        const horizontal = direction === 'horizontal';
+        const { docWidth: width, docHeight: height } = this;
+        return this.transformDocument(horizontal ? 'Flip horizontal' : 'Flip vertical', width, height,
+            (ctx, source) => {
+                ctx.translate(horizontal ? width : 0, horizontal ? 0 : height);
+                ctx.scale(horizontal ? -1 : 1, horizontal ? 1 : -1);
+                ctx.drawImage(source, 0, 0);
+            },
+            {
+                map: p => (horizontal ? { x: width - p.x, y: p.y } : { x: p.x, y: height - p.y }),
+                flip: direction
+            });
+    }
+
+    /**
+     * Create the initial background layer
+     */
+    initLayers() {
+        this.layerCounter = 0;
+        this.layers = [this.createLayer('Background')];
+        this.frames = [this.createFrame(this.layers)];
+        this.currentFrameIndex = 0;
+        this.setActiveLayer(0);
+        this.invalidateOnionSkins();
+        this.renderTimeline();
+    }
+
+    /**
+     * Create a detached layer the size of the canvas
+     */
+    createLayer(name) {
+        this.layerCounter++;
+        const canvas = document.createElement('canvas');
+        canvas.width = this.docWidth;
+        canvas.height = this.docHeight;
+        const layer = {
+            id: this.generateId(),
+            name: name || `Layer ${this.layerCounter}`,
+            canvas,
+            ctx: canvas.getContext('2d'),
+            visible: true,
+            locked: false,
+            opacity: 1,
+            blendMode: 'source-over',
+            objects: []
+        };
+        this.applyLayerContextDefaults(layer.ctx);
+        return layer;
+    }
+
+    // Drawing defaults shared by every layer context
+    applyLayerContextDefaults(ctx) {
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+    }
+
+    getActiveLayer() {
+        return this.layers[this.activeLayerIndex];
+    }
+
+    // Make a layer the drawing target for all tools
+    setActiveLayer(index) {
+        this.activeLayerIndex = index;
+        this.ctx = this.layers[index].ctx;
+        this.renderLayersPanel();
+    }
+
+    // Tools may only draw on a visible, unlocked layer
+    canEditActiveLayer() {
+        const layer = this.getActiveLayer();
+        if (layer.locked) {
+            this.showNotification(`${layer.name} is locked`, 'warning');
+            return false;
+        }
+        if (!layer.visible) {
+            this.showNotification(`${layer.name} is hidden`, 'warning');
+            return false;
+        }
+        return true;
+    }
+
+    addLayer() {
+        const layer = this.createLayer();
+        this.layers.splice(this.activeLayerIndex + 1, 0, layer);
+        this.setActiveLayer(this.activeLayerIndex + 1);
+        this.requestRender();
+        this.saveState('New layer');
+    }
+
+    duplicateLayer() {
+        const source = this.getActiveLayer();
+        const layer = this.createLayer(`${source.name} copy`);
+        layer.opacity = source.opacity;
+        layer.blendMode = source.blendMode;
+        layer.visible = source.visible;
+        layer.ctx.drawImage(source.canvas, 0, 0);
+        layer.objects = source.objects.map(shape => ({ ...shape, id: this.generateId() }));
+        this.layers.splice(this.activeLayerIndex + 1, 0, layer);
+        this.setActiveLayer(this.activeLayerIndex + 1);
+        this.requestRender();
+        this.saveState('Duplicate layer');
+    }
+
+    deleteLayer() {
+        if (this.layers.length === 1) {
+            this.showNotification('A drawing needs at least one layer', 'warning');
+            return;
+        }
+        this.layers.splice(this.activeLayerIndex, 1);
+        this.setActiveLayer(Math.max(0, this.activeLayerIndex - 1));
+        this.requestRender();
+        this.saveState('Delete layer');
+    }
+
+    // Move the active layer up (+1) or down (-1) the stack
+    moveLayer(direction) {
+        const from = this.activeLayerIndex;
+        const to = from + direction;
+        if (to < 0 || to >= this.layers.length) return;
+        const [layer] = this.layers.splice(from, 1);
+        this.layers.splice(to, 0, layer);
+        this.setActiveLayer(to);
+        this.requestRender();
+        this.saveState('Move layer');
+    }
+
+    // Merge the active layer into the one below it
+    mergeLayerDown() {
+        const index = this.activeLayerIndex;
+        if (index === 0) {
+            this.showNotification('There is no layer below to merge into', 'warning');
+            return;
+        }
+        const upper = this.layers[index];
+        const lower = this.layers[index - 1];
+        // Merging rasterizes the shapes of both layers to keep their stacking order
+        this.beginPixelEdit(lower);
+        this.rasterizeLayerObjects(lower);
+        if (upper.visible) {
+            lower.ctx.save();
+            lower.ctx.globalAlpha = upper.opacity;
+            lower.ctx.globalCompositeOperation = upper.blendMode;
+            lower.ctx.drawImage(this.getLayerRenderCanvas(upper), 0, 0);
+            lower.ctx.restore();
+        }
+        this.layers.splice(index, 1);
+        this.setActiveLayer(index - 1);
+        this.requestRender();
+        this.saveState('Merge down');
+    }
+
+    // Merge all visible layers into a single layer
+    flattenLayers() {
+        const flattened = this.createLayer('Background');
+        flattened.ctx.drawImage(this.getFlattenedCanvas(), 0, 0);
+        this.layers = [flattened];
+        this.getCurrentFrame().layers = this.layers;
+        this.setActiveLayer(0);
+        this.selectShape(null);
+        this.requestRender();
+        this.saveState('Flatten image');
+    }
+
+    // Burn a layer's shape objects into its pixels
+    rasterizeLayerObjects(layer) {
+        layer.objects.forEach(shape => this.drawShape(layer.ctx, shape));
+        layer.objects = [];
+        if (this.selectedShape && !this.findShapeById(this.selectedShape.id)) {
+            this.selectShape(null);
+        }
+    }
+
+    toggleLayerVisibility(index) {
+        const layer = this.layers[index];
+        layer.visible = !layer.visible;
+        this.renderLayersPanel();
+        this.requestRender();
+        this.saveState(layer.visible ? 'Show layer' : 'Hide layer');
+    }
+
+    toggleLayerLock(index) {
+        const layer = this.layers[index];
+        layer.locked = !layer.locked;
+        this.renderLayersPanel();
+        this.saveState(layer.locked ? 'Lock layer' : 'Unlock layer');
+    }
+
+    renameLayer(index, name) {
+        name = name.trim();
+        if (!name || name === this.layers[index].name) {
+            this.renderLayersPanel();
+            return;
+        }
+        this.layers[index].name = name;
+        this.renderLayersPanel();
+        this.saveState('Rename layer');
+    }
+
+    // Update the active layer's opacity while the slider moves
+    setLayerOpacity(value) {
+        this.getActiveLayer().opacity = value;
+        document.getElementById('layerOpacityValue').textContent = Math.round(value * 100);
+        this.requestRender();
+    }
+
+    setLayerBlendMode(mode) {
+        this.getActiveLayer().blendMode = mode;
+        this.requestRender();
+        this.saveState('Layer blend mode');
+    }
+
+    /**
+     * Draw the visible layers (of the current frame by default) onto a context,
+     * each mixed with those below it by its blend mode
+     */
+    compositeLayers(ctx, layers = this.layers) {
+        ctx.save();
+        layers.forEach(layer => {
+            if (!layer.visible || layer.opacity === 0) return;
+            ctx.globalAlpha = layer.opacity;
+            ctx.globalCompositeOperation = layer.blendMode;
+            let pixels = this.getFilterPreview(layer) || layer.canvas;
+            // A pencil or brush stroke shows on its layer before it is committed
+            if (this.activeStroke && layer === this.activeStroke.layer) pixels = this.getStrokePreview(pixels);
+            ctx.drawImage(this.getLayerRenderCanvas(layer, pixels), 0, 0);
+            // Pixels being dragged with a selection tool belong to the active layer
+            if (this.floatingSelection && layer === this.getActiveLayer()) {
+                const { canvas, x, y } = this.floatingSelection;
+                ctx.drawImage(canvas, x + this.selectionDrag.dx, y + this.selectionDrag.dy);
+            }
+        });
+        ctx.restore();
+    }
+
+    /**
+     * The active layer's pixels with the stroke in progress blended in the
+     * way handleFreeDrawing commits it, so blend modes only see that layer
+     */
+    getStrokePreview(pixels) {
+        const stroke = this.activeStroke;
+        const canvas = this.strokePreview;
+        if (canvas.width !== pixels.width || canvas.height !== pixels.height) {
+            canvas.width = pixels.width;
+            canvas.height = pixels.height;
+        }
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(pixels, 0, 0);
+        ctx.save();
+        ctx.globalAlpha = stroke.opacity;
+        ctx.globalCompositeOperation = stroke.blendMode;
+        ctx.drawImage(this.strokeBuffer, 0, 0);
+        ctx.restore();
+        return canvas;
+    }
+
+    /**
+     * Get a layer's pixels with its shape objects drawn on top.
+     * Layers with shapes render into a shared scratch canvas, so use the
+     * result before asking for another layer.
+     */
+    getLayerRenderCanvas(layer, pixels = layer.canvas) {
+        if (layer.objects.length === 0) return pixels;
+        const scratch = this.layerScratch;
+        if (scratch.width !== layer.canvas.width || scratch.height !== layer.canvas.height) {
+            scratch.width = layer.canvas.width;
+            scratch.height = layer.canvas.height;
+        }
+        const ctx = scratch.getContext('2d');
+        ctx.clearRect(0, 0, scratch.width, scratch.height);
+        ctx.drawImage(pixels, 0, 0);
+        layer.objects.forEach(shape => this.drawShape(ctx, shape));
+        return scratch;
+    }
+
+    /**
+     * Composite the visible layers (of the current frame by default) into a new canvas
+     */
+    getFlattenedCanvas(background = null, layers = this.layers) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.docWidth;
+        canvas.height = this.docHeight;
+        const ctx = canvas.getContext('2d');
+        if (background) {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        this.compositeLayers(ctx, layers);
+        return canvas;
+    }
+
+    // Schedule a redraw of the display canvas on the next frame
+    requestRender() {
+        if (this.renderPending) return;
+        this.renderPending = true;
+        requestAnimationFrame(() => {
+            this.renderPending = false;
+            this.renderCanvas();
+        });
+    }
+
+    // Composite all layers onto the display canvas
+    renderCanvas() {
+        const ctx = this.displayCtx;
+        const dpr = window.devicePixelRatio || 1;
+        const { zoom, panX, panY } = this.view;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Page with a drop shadow in the background color, or a checkerboard
+        // with squares that keep their screen size when the background is transparent
+        ctx.save();
+        ctx.setTransform(dpr, 0, 0, dpr, dpr * panX, dpr * panY);
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.15)';
+        ctx.shadowBlur = 30 * dpr;
+        ctx.shadowOffsetY = 6 * dpr;
+        ctx.fillStyle = this.getBackgroundColor() || this.getCheckerboardPattern(ctx);
+        ctx.fillRect(0, 0, this.docWidth * zoom, this.docHeight * zoom);
+        ctx.restore();
+
+        // Everything below is drawn in document pixels through the viewport
+        ctx.setTransform(dpr * zoom, 0, 0, dpr * zoom, dpr * panX, dpr * panY);
+
+        // Smooth when zoomed out, show crisp pixels when zoomed in
+        ctx.imageSmoothingEnabled = zoom < 2;
+        if (!this.getBackgroundColor() && this.layers.some(layer => layer.blendMode !== 'source-over')) {
+            // Blended layers mix with the layers under them, not the checkerboard
+            const scratch = this.blendScratch;
+            scratch.width = this.docWidth;
+            scratch.height = this.docHeight;
+            this.compositeLayers(scratch.getContext('2d'));
+            ctx.drawImage(scratch, 0, 0);
+        } else {
+            this.compositeLayers(ctx);
+        }
+        this.drawOnionSkins(ctx);
+        ctx.imageSmoothingEnabled = true;
+        this.drawGrid(ctx);
+
+        // Previews and handles are drawn on the display only, never into layers
+        if (this.draftShape) {
+            ctx.save();
+            ctx.globalAlpha = this.getActiveLayer().opacity;
+            this.getSymmetryShapes(this.draftShape).forEach(shape => this.drawShape(ctx, shape));
+            ctx.restore();
+        }
+        this.drawLazyGuide(ctx);
+        this.drawGradientGuide(ctx);
+        this.positionTextEditor();
+        this.drawShapeHandles(ctx);
+        this.drawSelectionOutline(ctx);
+
+        // Guides and rulers are drawn in screen pixels
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        this.drawGuides(ctx);
+        this.drawSymmetryGuide(ctx);
+        this.drawRemoteCursors(ctx);
+        this.drawRulers(ctx);
+    }
+
+    setViewSetting(key, value) {
+        this.viewSettings[key] = value;
+        localStorage.setItem('drawingMaster.viewSettings', JSON.stringify(this.viewSettings));
+        this.requestRender();
+    }
+
+    loadViewSettings() {
+        try {
+            Object.assign(this.viewSettings, JSON.parse(localStorage.getItem('drawingMaster.viewSettings')) || {});
+        } catch (error) {
+            console.warn('Ignoring invalid view settings:', error);
+        }
+        this.updateViewControls();
+    }
+
+    updateViewControls() {
+        const settings = this.viewSettings;
+        document.getElementById('showGrid').checked = settings.grid;
+        document.getElementById('showRulers').checked = settings.rulers;
+        document.getElementById('showGuides').checked = settings.guides;
+        document.getElementById('snapEnabled').checked = settings.snap;
+        document.getElementById('gridSpacing').value = settings.gridSpacing;
+        document.getElementById('gridSpacingValue').textContent = settings.gridSpacing;
+        document.getElementById('gridSubdivisions').value = settings.gridSubdivisions;
+        document.getElementById('gridSubdivisionsValue').textContent = settings.gridSubdivisions;
+    }
+
+    // Keyboard toggles for the grid, rulers and snapping
+    toggleViewSetting(key, label) {
+        this.setViewSetting(key, !this.viewSettings[key]);
+        this.updateViewControls();
+        this.showNotification(`${label} ${this.viewSettings[key] ? 'on' : 'off'}`, 'info');
+    }
+
+    /**
+     * Snap a document point to the nearest grid line, guide, canvas edge or
+     * canvas center within a few screen pixels, each axis on its own.
+     * Holding Ctrl while drawing skips snapping.
+     */
+    snapPoint(pos, event) {
+        this.snapLines = null;
+        if (!this.viewSettings.snap || !this.getTool().snap ||
+            (event && (event.ctrlKey || event.metaKey))) {
+            return pos;
+        }
+        const threshold = this.snapDistance / this.view.zoom;
+        const snapAxis = (value, axis) => {
+            const size = axis === 'x' ? this.docWidth : this.docHeight;
+            const targets = [0, size / 2, size];
+            if (this.viewSettings.grid) {
+                const step = this.viewSettings.gridSpacing / this.viewSettings.gridSubdivisions;
+                targets.push(Math.round(value / step) * step);
+            }
+            if (this.viewSettings.guides) {
+                this.guides.forEach(guide => {
+                    if (guide.axis === axis) targets.push(guide.position);
+                });
+            }
+            let best = null;
+            targets.forEach(target => {
+                const distance = Math.abs(target - value);
+                if (distance <= threshold && (best === null || distance < Math.abs(best - value))) {
+                    best = target;
+                }
+            });
+            return best;
+        };
+        const x = snapAxis(pos.x, 'x');
+        const y = snapAxis(pos.y, 'y');
+        if (x === null && y === null) return pos;
+        this.snapLines = { x, y };
+        return { ...pos, x: x === null ? pos.x : x, y: y === null ? pos.y : y };
+    }
+
+    /**
+     * Guides are dragged out of the rulers with any tool, and moved with the
+     * Select tool. Dropping a guide back on its ruler removes it.
+     */
+    startGuideDrag(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const screen = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+        let guide = null;
+        if (this.viewSettings.rulers && (screen.x < this.rulerSize || screen.y < this.rulerSize)) {
+            if (screen.x < this.rulerSize && screen.y < this.rulerSize) return true; // ruler corner
+            guide = { axis: screen.y < this.rulerSize ? 'y' : 'x', position: 0 };
+            if (!this.viewSettings.guides) {
+                this.setViewSetting('guides', true);
+                this.updateViewControls();
+            }
+        } else if (this.currentTool === 'select') {
+            guide = this.getGuideAt(e);
+        }
+        if (!guide) return false;
+        const added = !this.guides.includes(guide);
+        if (added) this.guides.push(guide);
+        this.overlayDrag = {
+            update: e => this.updateGuideDrag(guide, e),
+            end: e => this.endGuideDrag(guide, e, added)
+        };
+        this.updateGuideDrag(guide, e);
+        return true;
+    }
+
+    updateGuideDrag(guide, e) {
+        const pos = this.getMousePosition(e);
+        guide.position = Math.round(guide.axis === 'x' ? pos.x : pos.y);
+        this.canvas.style.cursor = guide.axis === 'x' ? 'ew-resize' : 'ns-resize';
+        this.requestRender();
+    }
+
+    endGuideDrag(guide, e, added) {
+        const rect = this.canvas.getBoundingClientRect();
+        const onRuler = guide.axis === 'x'
+            ? e.clientX - rect.left < this.rulerSize
+            : e.clientY - rect.top < this.rulerSize;
+        if (onRuler) {
+            this.guides = this.guides.filter(g => g !== guide);
+        }
+        this.overlayDrag = null;
+        this.saveOverlayState(onRuler ? 'Remove guide' : added ? 'Add guide' : 'Move guide');
+        this.updateCanvasCursor();
+        this.requestRender();
+    }
+
+    // The visible guide under the pointer, within a few screen pixels
+    getGuideAt(e) {
+        if (!this.viewSettings.guides) return null;
+        const rect = this.canvas.getBoundingClientRect();
+        const screenX = e.clientX - rect.left;
+        const screenY = e.clientY - rect.top;
+        const { zoom, panX, panY } = this.view;
+        return this.guides.find(guide => (guide.axis === 'x'
+            ? Math.abs(guide.position * zoom + panX - screenX)
+            : Math.abs(guide.position * zoom + panY - screenY)) <= 4) || null;
+    }
+
+    clearGuides() {
+        if (!this.guides.length) return;
+        this.guides = [];
+        this.saveOverlayState('Clear guides');
+        this.requestRender();
+        this.showNotification('Guides cleared', 'info');
+    }
+
+    /**
+     * Grid overlay in document pixels: faint subdivision lines and stronger
+     * lines every grid spacing. Lines too dense to see at this zoom are skipped.
+     */
+    drawGrid(ctx) {
+        if (!this.viewSettings.grid) return;
+        const { gridSpacing, gridSubdivisions } = this.viewSettings;
+        const zoom = this.view.zoom;
+        const minor = gridSpacing / gridSubdivisions;
+        const drawLines = (step, color, skipMajor) => {
+            if (step * zoom < 4) return;
+            ctx.beginPath();
+            for (let i = 1; i * step < this.docWidth; i++) {
+                if (skipMajor && i % gridSubdivisions === 0) continue;
+                ctx.moveTo(i * step, 0);
+                ctx.lineTo(i * step, this.docHeight);
+            }
+            for (let i = 1; i * step < this.docHeight; i++) {
+                if (skipMajor && i % gridSubdivisions === 0) continue;
+                ctx.moveTo(0, i * step);
+                ctx.lineTo(this.docWidth, i * step);
+            }
+            ctx.strokeStyle = color;
+            ctx.stroke();
+        };
+        ctx.save();
+        ctx.lineWidth = 1 / zoom;
+        if (gridSubdivisions > 1) drawLines(minor, 'rgba(102, 126, 234, 0.15)', true);
+        drawLines(gridSpacing, 'rgba(102, 126, 234, 0.45)', false);
+        ctx.restore();
+    }
+
+    /**
+     * Guides and the lines being snapped to, in screen pixels across the
+     * whole viewport
+     */
+    drawGuides(ctx) {
+        const { zoom, panX, panY } = this.view;
+        const line = (axis, position) => {
+            if (axis === 'x') {
+                const x = Math.round(position * zoom + panX) + 0.5;
+                ctx.moveTo(x, 0);
+                ctx.lineTo(x, this.viewportHeight);
+            } else {
+                const y = Math.round(position * zoom + panY) + 0.5;
+                ctx.moveTo(0, y);
+                ctx.lineTo(this.viewportWidth, y);
+            }
+        };
+        ctx.save();
+        ctx.lineWidth = 1;
+        if (this.viewSettings.guides && this.guides.length) {
+            ctx.beginPath();
+            this.guides.forEach(guide => line(guide.axis, guide.position));
+            ctx.strokeStyle = '#00bcd4';
+            ctx.stroke();
+        }
+        if (this.snapLines && (this.isDrawing || this.curveDraft)) {
+            ctx.beginPath();
+            if (this.snapLines.x !== null) line('x', this.snapLines.x);
+            if (this.snapLines.y !== null) line('y', this.snapLines.y);
+            ctx.setLineDash([4, 4]);
+            ctx.strokeStyle = '#e91e63';
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Pixel rulers along the top and left edges of the viewport, with tick
+     * spacing chosen so labels stay readable at any zoom
+     */
+    drawRulers(ctx) {
+        if (!this.viewSettings.rulers) return;
+        const size = this.rulerSize;
+        const { zoom, panX, panY } = this.view;
+        // Smallest 1/2/5 × 10^n step that keeps labelled ticks 50px apart
+        const niceSteps = [1, 2, 5];
+        let step = 1;
+        for (let i = 1; step * zoom < 50; i++) {
+            step = niceSteps[i % 3] * Math.pow(10, Math.floor(i / 3));
+        }
+        ctx.save();
+        ctx.fillStyle = 'rgba(240, 242, 245, 0.95)';
+        ctx.fillRect(0, 0, this.viewportWidth, size);
+        ctx.fillRect(0, 0, size, this.viewportHeight);
+        ctx.strokeStyle = '#95a5a6';
+        ctx.fillStyle = '#7f8c8d';
+        ctx.font = '9px sans-serif';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(size, size - 0.5);
+        ctx.lineTo(this.viewportWidth, size - 0.5);
+        ctx.moveTo(size - 0.5, size);
+        ctx.lineTo(size - 0.5, this.viewportHeight);
+
+        const ticks = (offset, length, horizontal) => {
+            const minor = step / 10;
+            const first = Math.ceil((size - offset) / zoom / minor);
+            const last = Math.floor((length - offset) / zoom / minor);
+            for (let i = first; i <= last; i++) {
+                const value = Math.round(i * minor * 10) / 10;
+                const screen = Math.round(value * zoom + offset) + 0.5;
+                const major = i % 10 === 0;
+                const tick = major ? size : i % 5 === 0 ? size * 0.4 : size * 0.2;
+                if (horizontal) {
+                    ctx.moveTo(screen, size);
+                    ctx.lineTo(screen, size - tick);
+                    if (major) ctx.fillText(value, screen + 2, 9);
+                } else {
+                    ctx.moveTo(size, screen);
+                    ctx.lineTo(size - tick, screen);
+                    if (major) {
+                        ctx.save();
+                        ctx.translate(9, screen - 2);
+                        ctx.rotate(-Math.PI / 2);
+                        ctx.fillText(value, 0, 0);
+                        ctx.restore();
+                    }
+                }
+            }
+        };
+        ticks(panX, this.viewportWidth, true);
+        ticks(panY, this.viewportHeight, false);
+        ctx.stroke();
+        ctx.fillStyle = '#e0e6ed';
+        ctx.fillRect(0, 0, size, size);
+        ctx.restore();
+    }
+
+    /**
+     * Rebuild the layers panel list, topmost layer first
+     */
+    renderLayersPanel() {
+        const list = document.getElementById('layersList');
+        if (!list) return;
+        list.innerHTML = '';
+
+        for (let index = this.layers.length - 1; index >= 0; index--) {
+            const layer = this.layers[index];
+            const item = document.createElement('div');
+            item.className = 'layer-item';
+            item.classList.toggle('active', index === this.activeLayerIndex);
+            item.classList.toggle('hidden', !layer.visible);
+
+            const visibilityBtn = document.createElement('button');
+            visibilityBtn.className = 'layer-toggle';
+            visibilityBtn.textContent = layer.visible ? '👁️' : '🚫';
+            visibilityBtn.title = layer.visible ? 'Hide layer' : 'Show layer';
+            visibilityBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleLayerVisibility(index);
+            });
+
+            const name = document.createElement('span');
+            name.className = 'layer-name';
+            name.textContent = layer.name;
+            name.title = 'Double-click to rename';
+            name.addEventListener('dblclick', (e) => {
+                e.stopPropagation();
+                this.startLayerRename(name, index);
+            });
+
+            const lockBtn = document.createElement('button');
+            lockBtn.className = 'layer-toggle';
+            lockBtn.classList.toggle('on', layer.locked);
+            lockBtn.textContent = layer.locked ? '🔒' : '🔓';
+            lockBtn.title = layer.locked ? 'Unlock layer' : 'Lock layer';
+            lockBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleLayerLock(index);
+            });
+
+            item.append(visibilityBtn, name, lockBtn);
+            item.addEventListener('click', () => this.setActiveLayer(index));
+            list.appendChild(item);
+        }
+
+        const opacityInput = document.getElementById('layerOpacity');
+        if (opacityInput) {
+            const opacity = Math.round(this.getActiveLayer().opacity * 100);
+            opacityInput.value = opacity;
+            document.getElementById('layerOpacityValue').textContent = opacity;
+        }
+        const blendSelect = document.getElementById('layerBlendMode');
+        if (blendSelect) blendSelect.value = this.getActiveLayer().blendMode;
+    }
+
+    // Swap a layer name for an inline input
+    startLayerRename(nameElement, index) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'layer-name-input';
+        input.value = this.layers[index].name;
+        nameElement.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            commit ? this.renameLayer(index, input.value) : this.renderLayersPanel();
+        };
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('blur', () => finish(true));
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+    }
+
+    /**
+     * Animation frames. Frame edits are ordinary undo steps: history states
+     * hold the frame list, so undo brings back deleted or moved frames and
+     * returns to the frame an edit was made on.
+     */
+    createFrame(layers) {
+        return { id: this.generateId(), layers, activeLayerIndex: 0, duration: null };
+    }
+
+    getCurrentFrame() {
+        return this.frames[this.currentFrameIndex];
+    }
+
+    // How long a frame shows, in milliseconds
+    getFrameDuration(frame) {
+        return frame.duration || Math.round(1000 / this.animation.fps);
+    }
+
+    // Make another frame's layers the ones tools draw on
+    switchToFrame(index) {
+        const current = this.getCurrentFrame();
+        current.layers = this.layers;
+        current.activeLayerIndex = this.activeLayerIndex;
+        this.currentFrameIndex = index;
+        this.layers = this.getCurrentFrame().layers;
+        this.setActiveLayer(Math.min(this.getCurrentFrame().activeLayerIndex, this.layers.length - 1));
+    }
+
+    /**
+     * Show a frame for editing. Switching frames is not an undo step.
+     */
+    showFrame(index) {
+        if (this.isDrawing || index < 0 || index >= this.frames.length) return;
+        if (index === this.currentFrameIndex) return;
+        this.commitTextEdit();
+        this.cancelFilter();
+        this.finishCurve();
+        this.selectShape(null);
+        this.switchToFrame(index);
+        // The next undo step starts from this frame
+        this.committedLayerState = this.captureLayerState();
+        this.invalidateOnionSkins();
+        this.updateTimelineSelection();
+        this.requestRender();
+    }
+
+    // Previous (-1) or next (+1) frame, wrapping around
+    stepFrame(direction) {
+        const count = this.frames.length;
+        this.showFrame((this.currentFrameIndex + direction + count) % count);
+    }
+
+    /**
+     * Add a blank frame after the current one with the same layers
+     */
+    addFrame() {
+        const layers = this.layers.map(source => {
+            const layer = this.createLayer(source.name);
+            layer.visible = source.visible;
+            layer.locked = source.locked;
+            layer.opacity = source.opacity;
+            layer.blendMode = source.blendMode;
+            return layer;
+        });
+        this.insertFrame(this.createFrame(layers), 'New frame');
+    }
+
+    duplicateFrame() {
+        const layers = this.layers.map(source => {
+            const layer = this.createLayer(source.name);
+            layer.visible = source.visible;
+            layer.locked = source.locked;
+            layer.opacity = source.opacity;
+            layer.blendMode = source.blendMode;
+            layer.ctx.drawImage(source.canvas, 0, 0);
+            layer.objects = source.objects.map(shape => ({ ...shape, id: this.generateId() }));
+            return layer;
+        });
+        const frame = this.createFrame(layers);
+        frame.duration = this.getCurrentFrame().duration;
+        this.insertFrame(frame, 'Duplicate frame');
+    }
+
+    insertFrame(frame, name) {
+        if (this.isDrawing || this.isBlockedInSession('Adding frames')) return;
+        this.commitTextEdit();
+        this.cancelFilter();
+        this.finishCurve();
+        this.selectShape(null);
+        frame.activeLayerIndex = this.activeLayerIndex;
+        this.frames.splice(this.currentFrameIndex + 1, 0, frame);
+        this.switchToFrame(this.currentFrameIndex + 1);
+        this.renderTimeline();
+        this.requestRender();
+        this.saveState(name);
+    }
+
+    deleteFrame() {
+        if (this.isDrawing || this.isBlockedInSession('Deleting frames')) return;
+        if (this.frames.length === 1) {
+            this.showNotification('An animation needs at least one frame', 'warning');
+            return;
+        }
+        this.commitTextEdit();
+        this.cancelFilter();
+        this.finishCurve();
+        this.selectShape(null);
+        const index = this.currentFrameIndex;
+        // Show the frame before (or the one after the first), then drop this one
+        this.switchToFrame(index > 0 ? index - 1 : 1);
+        this.frames.splice(index, 1);
+        if (index === 0) this.currentFrameIndex = 0;
+        this.renderTimeline();
+        this.requestRender();
+        this.saveState('Delete frame');
+    }
+
+    // Move the current frame earlier (-1) or later (+1) in the timeline
+    moveFrame(direction) {
+        const from = this.currentFrameIndex;
+        const to = from + direction;
+        if (this.isDrawing || to < 0 || to >= this.frames.length || this.isBlockedInSession('Moving frames')) return;
+        const [frame] = this.frames.splice(from, 1);
+        this.frames.splice(to, 0, frame);
+        this.currentFrameIndex = to;
+        this.renderTimeline();
+        this.saveState('Move frame');
+    }
+
+    // Set the current frame's duration in ms; empty uses the frame rate
+    setFrameDuration(value) {
+        if (this.isBlockedInSession('Changing frame timing')) {
+            this.updateAnimationControls();
+            return;
+        }
+        const duration = parseInt(value, 10);
+        this.getCurrentFrame().duration = duration > 0 ? Math.min(10000, duration) : null;
+        this.renderTimeline();
+        this.saveState('Frame duration');
+    }
+
+    // Frame rate and looping are saved with the document
+    setAnimationSetting(key, value) {
+        this.animation[key] = value;
+        this.markUnsaved();
+        this.updateAnimationControls();
+        this.renderTimeline();
+    }
+
+    setOnionSkin(key, value) {
+        this.onionSkin[key] = value;
+        localStorage.setItem('drawingMaster.onionSkin', JSON.stringify(this.onionSkin));
+        this.updateAnimationControls();
+        this.requestRender();
+    }
+
+    loadOnionSkin() {
+        try {
+            Object.assign(this.onionSkin, JSON.parse(localStorage.getItem('drawingMaster.onionSkin')) || {});
+        } catch (error) {
+            console.warn('Ignoring invalid onion skin settings:', error);
+        }
+        this.updateAnimationControls();
+    }
+
+    updateAnimationControls() {
+        const fps = document.getElementById('animationFps');
+        if (!fps) return;
+        fps.value = this.animation.fps;
+        document.getElementById('animationLoop').checked = this.animation.loop;
+        document.getElementById('onionSkin').checked = this.onionSkin.enabled;
+        document.getElementById('onionBefore').value = this.onionSkin.before;
+        document.getElementById('onionAfter').value = this.onionSkin.after;
+        document.getElementById('onionOpacity').value = Math.round(this.onionSkin.opacity * 100);
+        document.getElementById('onionOpacityValue').textContent = Math.round(this.onionSkin.opacity * 100);
+        const frame = this.getCurrentFrame();
+        document.getElementById('frameDuration').value = frame && frame.duration ? frame.duration : '';
+        document.getElementById('frameDuration').placeholder = Math.round(1000 / this.animation.fps);
+    }
+
+    // Show or hide the timeline below the canvas
+    toggleTimeline(show) {
+        const timeline = document.getElementById('timeline');
+        const visible = typeof show === 'boolean' ? show : timeline.hidden;
+        if (visible === !timeline.hidden) return;
+        timeline.hidden = !visible;
+        if (visible) {
+            this.renderTimeline();
+        } else {
+            this.stopAnimation();
+        }
+        // The canvas area changed size
+        this.handleResize();
+    }
+
+    /**
+     * Rebuild the timeline strip with a thumbnail per frame
+     */
+    renderTimeline() {
+        const list = document.getElementById('timelineFrames');
+        if (!list || document.getElementById('timeline').hidden) return;
+        list.innerHTML = '';
+        this.frames.forEach((frame, index) => {
+            const item = document.createElement('div');
+            item.className = 'timeline-frame';
+            item.title = `Frame ${index + 1} · ${this.getFrameDuration(frame)} ms`;
+            const thumb = document.createElement('canvas');
+            thumb.className = 'timeline-thumb';
+            const label = document.createElement('span');
+            label.className = 'timeline-frame-label';
+            label.textContent = frame.duration ? `${index + 1} · ${frame.duration}ms` : index + 1;
+            item.append(thumb, label);
+            item.addEventListener('click', () => this.showFrame(index));
+            list.appendChild(item);
+            this.updateFrameThumbnail(index);
+        });
+        this.updateTimelineSelection();
+    }
+
+    updateTimelineSelection() {
+        const list = document.getElementById('timelineFrames');
+        if (!list) return;
+        Array.from(list.children).forEach((item, index) => {
+            item.classList.toggle('current', index === this.currentFrameIndex);
+        });
+        const current = list.children[this.currentFrameIndex];
+        if (current && current.scrollIntoView) current.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        const info = document.getElementById('frameInfo');
+        if (info) info.textContent = `Frame ${this.currentFrameIndex + 1} / ${this.frames.length}`;
+        if (!this.animationPlayback) this.updateAnimationControls();
+    }
+
+    // Redraw one frame's thumbnail in the timeline
+    updateFrameThumbnail(index) {
+        const list = document.getElementById('timelineFrames');
+        const item = list && list.children[index];
+        if (!item || document.getElementById('timeline').hidden) return;
+        const thumb = item.querySelector('.timeline-thumb');
+        const scale = Math.min(80 / this.docWidth, 48 / this.docHeight);
+        thumb.width = Math.max(1, Math.round(this.docWidth * scale));
+        thumb.height = Math.max(1, Math.round(this.docHeight * scale));
+        const ctx = thumb.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        const layers = index === this.currentFrameIndex ? this.layers : this.frames[index].layers;
+        ctx.drawImage(this.getFlattenedCanvas(this.getBackgroundColor(), layers), 0, 0, thumb.width, thumb.height);
+    }
+
+    /**
+     * Draw the neighbouring frames over the current one: earlier frames
+     * tinted red, later ones blue, fading with distance. They are multiplied
+     * in, so the white paper of other frames does not cover this one.
+     */
+    drawOnionSkins(ctx) {
+        if (!this.onionSkin.enabled || this.animationPlayback || this.frames.length < 2) return;
+        const draw = (offset, count, tint) => {
+            const frame = this.frames[this.currentFrameIndex + offset];
+            if (!frame) return;
+            ctx.globalAlpha = this.onionSkin.opacity * (1 - (Math.abs(offset) - 1) / count);
+            ctx.drawImage(this.getOnionSkin(frame, tint), 0, 0);
+        };
+        ctx.save();
+        ctx.globalCompositeOperation = 'multiply';
+        for (let i = this.onionSkin.before; i >= 1; i--) draw(-i, this.onionSkin.before, '#e74c3c');
+        for (let i = this.onionSkin.after; i >= 1; i--) draw(i, this.onionSkin.after, '#3498db');
+        ctx.restore();
+    }
+
+    // A frame flattened and tinted for onion skinning, cached until something changes
+    getOnionSkin(frame, tint) {
+        const key = `${frame.id}:${tint}`;
+        if (!this.onionCache.has(key)) {
+            const flattened = this.getFlattenedCanvas(null, frame.layers);
+            const canvas = document.createElement('canvas');
+            canvas.width = flattened.width;
+            canvas.height = flattened.height;
+            const ctx = canvas.getContext('2d');
+            // Screening turns dark lines into the tint and leaves white alone;
+            // the frame's own alpha is then put back
+            ctx.drawImage(flattened, 0, 0);
+            ctx.globalCompositeOperation = 'screen';
+            ctx.fillStyle = tint;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.globalCompositeOperation = 'destination-in';
+            ctx.drawImage(flattened, 0, 0);
+            this.onionCache.set(key, canvas);
+        }
+        return this.onionCache.get(key);
+    }
+
+    invalidateOnionSkins() {
+        this.onionCache.clear();
+    }
+
+    toggleAnimationPlayback() {
+        this.animationPlayback ? this.stopAnimation() : this.playAnimation();
+    }
+
+    /**
+     * Play the frames in the editor, each for its own duration
+     */
+    playAnimation() {
+        if (this.animationPlayback || this.isDrawing) return;
+        if (this.frames.length < 2) {
+            this.showNotification('Add more frames to play the animation', 'info');
+            return;
+        }
+        // Without looping, play from the start when sitting on the last frame
+        if (!this.animation.loop && this.currentFrameIndex === this.frames.length - 1) this.showFrame(0);
+        const playback = { timer: null };
+        const next = () => {
+            const index = this.currentFrameIndex + 1;
+            if (index >= this.frames.length && !this.animation.loop) {
+                this.stopAnimation();
+                return;
+            }
+            this.showFrame(index % this.frames.length);
+            playback.timer = setTimeout(next, this.getFrameDuration(this.getCurrentFrame()));
+        };
+        this.animationPlayback = playback;
+        playback.timer = setTimeout(next, this.getFrameDuration(this.getCurrentFrame()));
+        this.updatePlayButton();
+        this.requestRender();
+    }
+
+    stopAnimation() {
+        if (!this.animationPlayback) return;
+        clearTimeout(this.animationPlayback.timer);
+        this.animationPlayback = null;
+        this.updatePlayButton();
+        this.updateAnimationControls();
+        this.requestRender();
+    }
+
+    updatePlayButton() {
+        const button = document.getElementById('playButton');
+        if (!button) return;
+        button.textContent = this.animationPlayback ? '⏸' : '▶';
+        button.title = this.animationPlayback ? 'Stop' : 'Play';
+    }
+
+    // Flatten every frame for export
+    getFrameCanvases(background = null) {
+        return this.frames.map((frame, index) =>
+            this.getFlattenedCanvas(background, index === this.currentFrameIndex ? this.layers : frame.layers));
+    }
+
+    /**
+     * Export the frames as an animated GIF, encoded in a worker
+     */
+    async exportGif() {
+        this.commitTextEdit();
+        this.showLoadingSpinner();
+        try {
+            // A transparent background stays transparent (GIF keeps 1-bit alpha)
+            const frames = this.getFrameCanvases(this.getBackgroundColor()).map(canvas =>
+                canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data);
+            const delays = this.frames.map(frame => this.getFrameDuration(frame));
+            const gif = await this.encodeGifAsync(frames, this.docWidth, this.docHeight, { delays, loop: this.animation.loop });
+            this.downloadBlob(new Blob([gif], { type: 'image/gif' }), `${this.currentProject.name || 'drawing'}.gif`);
+            this.showNotification(`Exported ${frames.length} frame${frames.length === 1 ? '' : 's'} as GIF`, 'success');
+        } catch (error) {
+            console.error('Failed to export GIF:', error);
+            this.showNotification('Failed to export GIF', 'error');
+        } finally {
+            this.hideLoadingSpinner();
+        }
+    }
+
+    /**
+     * Run encodeGif in a one-off worker, or on this thread without one
+     */
+    encodeGifAsync(frames, width, height, options) {
+        if (typeof Worker !== 'function') return Promise.resolve(encodeGif(frames, width, height, options));
+        return new Promise((resolve, reject) => {
+            let worker;
+            const source = `${encodeGif.toString()}
+self.onmessage = (e) => {
+    const { frames, width, height, options } = e.data;
+    const gif = encodeGif(frames, width, height, options);
+    self.postMessage({ gif }, [gif.buffer]);
+};`;
+            const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+            const finish = (result) => {
+                worker.terminate();
+                URL.revokeObjectURL(url);
+                resolve(result);
+            };
+            try {
+                worker = new Worker(url);
+            } catch (error) {
+                console.warn('GIF worker unavailable, encoding on the main thread:', error);
+                URL.revokeObjectURL(url);
+                resolve(encodeGif(frames, width, height, options));
+                return;
+            }
+            worker.onmessage = (e) => finish(e.data.gif);
+            worker.onerror = (e) => {
+                // A worker that cannot start (e.g. blocked by CSP) encodes here instead
+                e.preventDefault();
+                try {
+                    finish(encodeGif(frames, width, height, options));
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            worker.postMessage({ frames, width, height, options });
+        });
+    }
+
+    /**
+     * Export the frames side by side in one PNG, with a JSON description of
+     * where each frame is and how long it shows (the TexturePacker/Aseprite
+     * array format game engines read)
+     */
+    async exportSpriteSheet() {
+        this.commitTextEdit();
+        const canvases = this.getFrameCanvases(this.getBackgroundColor());
+        const columns = Math.ceil(Math.sqrt(canvases.length));
+        const rows = Math.ceil(canvases.length / columns);
+        const width = this.docWidth;
+        const height = this.docHeight;
+        if (columns * width > 16384 || rows * height > 16384) {
+            this.showNotification('The sprite sheet would be too large; export PNG frames instead', 'error');
+            return;
+        }
+        const sheet = document.createElement('canvas');
+        sheet.width = columns * width;
+        sheet.height = rows * height;
+        const ctx = sheet.getContext('2d');
+        const name = this.currentProject.name || 'drawing';
+        const frames = canvases.map((canvas, index) => {
+            const x = (index % columns) * width;
+            const y = Math.floor(index / columns) * height;
+            ctx.drawImage(canvas, x, y);
+            return {
+                filename: `${name}-${this.formatFrameNumber(index)}`,
+                frame: { x, y, w: width, h: height },
+                rotated: false,
+                trimmed: false,
+                spriteSourceSize: { x: 0, y: 0, w: width, h: height },
+                sourceSize: { w: width, h: height },
+                duration: this.getFrameDuration(this.frames[index])
+            };
+        });
+        const image = `${name}-sheet.png`;
+        const metadata = {
+            frames,
+            meta: {
+                app: 'DrawingMaster',
+                image,
+                format: 'RGBA8888',
+                size: { w: sheet.width, h: sheet.height },
+                scale: '1',
+                fps: this.animation.fps,
+                loop: this.animation.loop
+            }
+        };
+        try {
+            this.downloadBlob(await this.canvasToBlob(sheet), image);
+            this.downloadBlob(new Blob([JSON.stringify(metadata, null, 2)], { type: 'application/json' }), `${name}-sheet.json`);
+            this.showNotification(`Exported a ${columns} × ${rows} sprite sheet`, 'success');
+        } catch (error) {
+            console.error('Failed to export sprite sheet:', error);
+            this.showNotification('Failed to export sprite sheet', 'error');
+        }
+    }
+
+    /**
+     * Export every frame as its own numbered PNG
+     */
+    async exportFrames() {
+        this.commitTextEdit();
+        const name = this.currentProject.name || 'drawing';
+        const canvases = this.getFrameCanvases(this.getBackgroundColor());
+        try {
+            for (let index = 0; index < canvases.length; index++) {
+                this.downloadBlob(await this.canvasToBlob(canvases[index]), `${name}-${this.formatFrameNumber(index)}.png`);
+                // Browsers drop downloads that start too close together
+                await new Promise(resolve => setTimeout(resolve, 150));
+            }
+            this.showNotification(`Exported ${canvases.length} PNG frame${canvases.length === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            console.error('Failed to export frames:', error);
+            this.showNotification('Failed to export frames', 'error');
+        }
+    }
+
+    // 1-based frame number padded so the files sort in order
+    formatFrameNumber(index) {
+        return String(index + 1).padStart(Math.max(3, String(this.frames.length).length), '0');
+    }
+
+    /**
+     * Add a tool to the app. The tool gets a sidebar button, a command (with
+     * its shortcut) in the keyboard shortcuts and the command palette, its
+     * cursor on the canvas and, if it has options, a Tool Options panel.
+     * Every built-in tool is registered the same way (see
+     * registerBuiltInTools). Scripts loaded after app.js can add theirs once
+     * the app is ready:
+     *
+     *     window.addEventListener('drawingmaster:ready', ({ detail: app }) => {
+     *         app.registerTool({
+     *             id: 'stamp',
+     *             label: 'Stamp',
+     *             icon: '⭐',
+     *             shortcut: 'S',
+     *             options: [{ key: 'scale', label: 'Scale', min: 10, max: 400, value: 100, scale: 100 }],
+     *             onStart(pos, { ctx, settings, color }) {
+     *                 ctx.fillStyle = color;
+     *                 ctx.font = `${48 * settings.scale}px sans-serif`;
+     *                 ctx.fillText('★', pos.x, pos.y);
+     *             }
+     *         });
+     *     });
+     *
+     * Definition fields, all optional except id and label:
+     * - icon: text (an emoji) or an image URL; shortLabel: the button text
+     *   when the label is long; hint: extra tooltip text; shortcut: one key
+     * - group: the sidebar section, 'drawing', 'shape', 'selection',
+     *   'utility' or 'custom' (the default, a More Tools section)
+     * - cursor: a CSS cursor, or a function of the app returning one
+     * - onStart, onMove, onEnd(pos, context): the pointer going down, moving
+     *   and coming up; pos is in document pixels with pressure and tilt.
+     *   context holds the app, the tool, its settings, the active layer and
+     *   its ctx (with the current color, size and opacity set), the event,
+     *   the start point, the color, size and opacity, and a random()
+     *   seeded per action. Handlers should draw synchronously.
+     * - onCancel(context): the action was aborted (a second finger landed)
+     * - onHover(pos, context): the pointer moves without drawing
+     * - onActivate(app), onDeactivate(app): the tool is picked or left
+     * - options: settings shown while the tool is active, sliders like the
+     *   filter parameters ({ key, label, min, max, value, unit, scale }) or
+     *   { type: 'checkbox' | 'color' | 'select', key, label, value, choices }
+     * - paints (default true): the tool draws into the active layer's
+     *   pixels. They are clipped to the selection, rolled back on cancel and
+     *   saved as one undo step named history (default: the label) when the
+     *   action ends. Tools that save their own steps set history to null.
+     * - editsLayer (default true): refuse to start on a locked layer
+     * - snap: snap the pointer to the grid and guides; symmetry: the tool
+     *   draws its own symmetric copies (see isSymmetryActive)
+     * - replay: the same input always draws the same pixels (use
+     *   context.random), so time-lapse recordings and collaboration send the
+     *   input instead of the result. Peers need the same tool registered.
+     */
+    registerTool(definition) {
+        const { id, label } = definition;
+        if (!id || !label) {
+            throw new Error('A tool needs an id and a label');
+        }
+        if (this.tools.has(id)) {
+            throw new Error(`A tool with the id "${id}" is already registered`);
+        }
+        const tool = {
+            icon: '🛠️',
+            shortLabel: null,
+            hint: '',
+            shortcut: null,
+            group: 'custom',
+            cursor: 'crosshair',
+            history: label,
+            paints: true,
+            editsLayer: true,
+            snap: false,
+            symmetry: false,
+            replay: false,
+            options: [],
+            ...definition
+        };
+        const saved = this.loadToolSettings()[id] || {};
+        tool.settings = {};
+        tool.options.forEach(option => {
+            const value = option.scale ? option.value / option.scale : option.value;
+            tool.settings[option.key] = option.key in saved ? saved[option.key] : value;
+        });
+        this.tools.set(id, tool);
+        this.createToolButton(tool);
+        this.registerCommand({
+            id: `tool.${id}`,
+            name: label,
+            category: 'Tools',
+            keys: tool.shortcut ? [tool.shortcut.toUpperCase()] : [],
+            run: () => this.selectTool(id)
+        });
+        return tool;
+    }
+
+    // The built-in tools, in the order their buttons appear
+    registerBuiltInTools() {
+        const phases = (handle) => ({
+            onStart: (pos, { event }) => handle(pos, 'start', event),
+            onMove: (pos, { event }) => handle(pos, 'move', event),
+            onEnd: (pos, { event }) => handle(pos, 'end', event)
+        });
+        const painting = { group: 'drawing', symmetry: true, replay: true };
+        const shape = { group: 'shape', paints: false, snap: true, symmetry: true, replay: true, onCancel: () => { this.draftShape = null; } };
+        const picking = { paints: false, editsLayer: false, history: null };
+        const noHistory = { paints: false, history: null };
+        const drawShape = (type) => phases((pos, phase, event) => this.handleShapeDrawing(type, phase, event));
+        [
+            {
+                id: 'pencil', label: 'Pencil', icon: '✏️', shortcut: 'P', history: 'Pencil stroke', ...painting,
+                ...phases((pos, phase) => this.handleFreeDrawing(pos, phase)),
+                onCancel: () => this.endBufferedStroke()
+            },
+            {
+                id: 'brush', label: 'Brush', icon: '🖌️', shortcut: 'B', history: 'Brush stroke', ...painting,
+                ...phases((pos, phase) => this.handleFreeDrawing(pos, phase)),
+                onCancel: () => this.endBufferedStroke()
+            },
+            {
+                id: 'eraser', label: 'Eraser', icon: '🧹', shortcut: 'E', cursor: 'cell', history: 'Eraser stroke', ...painting,
+                ...phases((pos, phase) => this.handleEraser(pos, phase))
+            },
+            {
+                id: 'select', label: 'Select', icon: '🖱️', shortcut: 'V', group: 'shape', cursor: 'default', ...picking,
+                ...phases((pos, phase, event) => this.handleSelectTool(pos, phase, event)),
+                onHover: (pos, { event }) => {
+                    const guide = this.getGuideAt(event);
+                    if (guide) {
+                        this.canvas.style.cursor = guide.axis === 'x' ? 'ew-resize' : 'ns-resize';
+                    } else {
+                        this.updateSelectCursor(pos);
+                    }
+                }
+            },
+            { id: 'line', label: 'Line', icon: '📏', shortcut: 'L', history: 'Line', ...shape, ...phases((pos, phase, event) => this.handleLineDrawing(pos, phase, event)) },
+            { id: 'rectangle', label: 'Rectangle', icon: '⬛', shortcut: 'R', history: 'Rectangle', ...shape, ...phases((pos, phase, event) => this.handleRectangleDrawing(pos, phase, event)) },
+            { id: 'circle', label: 'Circle', icon: '⭕', shortcut: 'C', history: 'Circle', ...shape, ...phases((pos, phase, event) => this.handleCircleDrawing(pos, phase, event)) },
+            { id: 'ellipse', label: 'Ellipse', icon: '⬭', hint: 'Shift for a circle', history: 'Ellipse', ...shape, ...drawShape('ellipse') },
+            { id: 'rounded-rect', label: 'Rounded Rectangle', shortLabel: 'Rounded', icon: '▢', history: 'Rounded rectangle', ...shape, ...drawShape('rounded-rect') },
+            { id: 'polygon', label: 'Polygon', icon: '⬟', history: 'Polygon', ...shape, ...drawShape('polygon') },
+            { id: 'star', label: 'Star', icon: '⭐', history: 'Star', ...shape, ...drawShape('star') },
+            { id: 'arrow', label: 'Arrow', icon: '➡️', history: 'Arrow', ...shape, ...drawShape('arrow') },
+            {
+                id: 'curve', label: 'Curve', icon: '〰️', hint: 'click to add points, double-click or Enter to finish',
+                group: 'shape', snap: true, symmetry: true, ...noHistory,
+                ...phases((pos, phase, event) => this.handleCurveDrawing(pos, phase, event)),
+                onDeactivate: () => this.finishCurve()
+            },
+            {
+                id: 'rect-select', label: 'Rectangle Select', icon: '⬚', shortcut: 'M', group: 'selection', snap: true, ...picking,
+                ...phases((pos, phase, event) => this.handleSelectionTool(pos, phase, event))
+            },
+            {
+                id: 'ellipse-select', label: 'Ellipse Select', icon: '◌', group: 'selection', snap: true, ...picking,
+                ...phases((pos, phase, event) => this.handleSelectionTool(pos, phase, event))
+            },
+            {
+                id: 'lasso', label: 'Lasso', icon: '➰', shortcut: 'Q', group: 'selection', ...picking,
+                ...phases((pos, phase, event) => this.handleSelectionTool(pos, phase, event))
+            },
+            { id: 'fill', label: 'Fill Bucket', shortLabel: 'Fill', icon: '🪣', shortcut: 'F', group: 'utility', ...noHistory, onStart: (pos) => this.handleFloodFill(pos) },
+            {
+                id: 'gradient', label: 'Gradient', icon: '🌈', hint: 'drag to set the direction', group: 'utility', snap: true, ...noHistory,
+                // Region gradients depend on the pixels they fill
+                replay: () => this.gradientSettings.extent !== 'region',
+                ...phases((pos, phase) => this.handleGradientTool(pos, phase)),
+                onCancel: () => { this.gradientDraft = null; }
+            },
+            { id: 'text', label: 'Text', icon: '📝', shortcut: 'T', group: 'utility', cursor: 'text', ...noHistory, onStart: (pos) => this.handleTextTool(pos) },
+            { id: 'eyedropper', label: 'Color Picker', shortLabel: 'Picker', icon: '💧', shortcut: 'I', group: 'utility', cursor: 'copy', ...picking, onStart: (pos) => this.handleColorPicker(pos) }
+        ].forEach(tool => this.registerTool(tool));
+    }
+
+    getTool(id = this.currentTool) {
+        return this.tools.get(id);
+    }
+
+    isToolReplayable(tool) {
+        return typeof tool.replay === 'function' ? tool.replay.call(tool, this) : !!tool.replay;
+    }
+
+    // Custom pattern tiles only exist here, so those fills travel and are recorded as pixels
+    canReplayFill() {
+        return this.fillSettings.source !== 'pattern' || this.fillSettings.pattern !== 'custom';
+    }
+
+    // What tool handlers get besides the position (see registerTool)
+    getToolContext(tool, event) {
+        const layer = this.getActiveLayer();
+        return {
+            app: this,
+            tool,
+            settings: this.replayToolSettings || tool.settings,
+            layer,
+            ctx: layer.ctx,
+            event,
+            start: { x: this.startX, y: this.startY },
+            color: this.currentColor,
+            size: this.brushSize,
+            opacity: this.getPaintOpacity(),
+            random: this.strokeRandom
+        };
+    }
+
+    // A sidebar button for a tool, in its group's section
+    createToolButton(tool) {
+        const button = document.createElement('button');
+        button.className = 'tool-btn';
+        button.classList.toggle('active', tool.id === this.currentTool);
+        button.dataset.tool = tool.id;
+        button.dataset.command = `tool.${tool.id}`;
+        if (tool.hint) button.dataset.hint = tool.hint;
+
+        const icon = document.createElement('span');
+        icon.className = 'tool-icon';
+        if (/^(data:image\/|https?:\/\/|\.{0,2}\/)|\.(png|svg|gif|jpe?g|webp)$/i.test(tool.icon)) {
+            const image = document.createElement('img');
+            image.src = tool.icon;
+            image.alt = '';
+            icon.appendChild(image);
+        } else {
+            icon.textContent = tool.icon;
+        }
+        const label = document.createElement('span');
+        label.className = 'tool-label';
+        label.textContent = tool.shortLabel || tool.label;
+        button.append(icon, label);
+        button.addEventListener('click', () => this.selectTool(tool.id));
+
+        const grid = document.querySelector(`[data-tool-group="${tool.group}"]`) ||
+            document.querySelector('[data-tool-group="custom"]');
+        grid.appendChild(button);
+        grid.closest('.tool-section').hidden = false;
+    }
+
+    /**
+     * Select a drawing tool
+     */
+    selectTool(id) {
+        const tool = this.getTool(id);
+        if (!tool) return;
+        const previous = this.getTool();
+        this.currentTool = id;
+        if (previous && previous !== tool && previous.onDeactivate) previous.onDeactivate.call(previous, this);
+
+        // Update UI
+        document.querySelectorAll('.tool-btn').forEach(btn => btn.classList.remove('active'));
+        document.querySelector(`[data-tool="${id}"]`).classList.add('active');
+
+        // Update cursor
+        this.updateCanvasCursor();
+
+        // Handles are only shown while the select tool is active
+        this.updateTextPanel();
+        this.updateShapeOptions();
+        this.updateGradientEditor();
+        this.updateToolOptions();
+        this.updatePenOptions();
+        if (tool.onActivate) tool.onActivate.call(tool, this);
+        this.requestRender();
+
+        // Show tool notification
+        this.showNotification(`${tool.label} selected`, 'info');
+    }
+
+    // Tool Options panel: the options of a registered tool, while it is active
+    updateToolOptions() {
+        const panel = document.getElementById('toolOptions');
+        const tool = this.getTool();
+        panel.hidden = !tool.options.length;
+        if (panel.hidden) return;
+        document.getElementById('toolOptionsTitle').textContent = `${tool.label} Options`;
+        const controls = document.getElementById('toolOptionsControls');
+        controls.innerHTML = '';
+        tool.options.forEach(option => {
+            const value = tool.settings[option.key];
+            controls.appendChild(this.createParamControl(option, `toolOption-${option.key}`,
+                option.scale ? value * option.scale : value,
+                newValue => this.setToolSetting(tool.id, option.key, newValue)));
+        });
+    }
+
+    // The pencil lays whole pixels down at full strength, so pressure can't lighten it
+    updatePenOptions() {
+        const pencil = this.currentTool === 'pencil';
+        const toggle = document.getElementById('pressureOpacity');
+        toggle.disabled = pencil;
+        toggle.parentElement.classList.toggle('disabled', pencil);
+        toggle.parentElement.title = pencil ? 'The pencil always draws at full opacity' : '';
+    }
+
+    setToolSetting(id, key, value) {
+        this.getTool(id).settings[key] = value;
+        const saved = this.loadToolSettings();
+        saved[id] = { ...this.getTool(id).settings };
+        localStorage.setItem('drawingMaster.toolSettings', JSON.stringify(saved));
+    }
+
+    loadToolSettings() {
+        try {
+            return JSON.parse(localStorage.getItem('drawingMaster.toolSettings')) || {};
+        } catch (error) {
+            console.warn('Ignoring invalid tool settings:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Select a color and remember it in the recent colors
+     */
+    selectColor(color, alpha = this.colorAlpha) {
+        this.applyColor(color, alpha);
+        this.addRecentColor(this.currentColor, this.colorAlpha);
+    }
+
+    /**
+     * Make a color current without recording it, e.g. while dragging in the
+     * picker. Pass the picker's HSV to keep the hue of grays steady.
+     */
+    applyColor(color, alpha = this.colorAlpha, hsv = null) {
+        this.currentColor = color.toLowerCase();
+        this.colorAlpha = Math.min(1, Math.max(0, alpha));
+        if (hsv) {
+            this.pickerHsv = hsv;
+        } else {
+            const { r, g, b } = this.hexToRgba(this.currentColor);
+            const next = this.rgbToHsv(r, g, b);
+            // Grays and black have no hue or saturation of their own
+            if (next.v === 0 || next.s === 0) {
+                next.h = this.pickerHsv.h;
+                if (next.v === 0) next.s = this.pickerHsv.s;
+            }
+            this.pickerHsv = next;
+        }
+
+        // Update UI
+        document.querySelectorAll('.color-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.color === this.currentColor);
+        });
+        this.updateColorPicker();
+        this.updateCanvasCursor();
+    }
+
+    // Opacity for painting with the current color: brush opacity times color alpha
+    getPaintOpacity() {
+        return this.opacity * this.colorAlpha;
+    }
+
+    /**
+     * Color picker: a hue ring around a saturation/value square, with the
+     * hex, RGB, HSL and alpha fields kept in sync
+     */
+    getColorWheelGeometry() {
+        const canvas = document.getElementById('colorWheel');
+        const size = canvas.width;
+        const outer = size / 2 - 2;
+        const inner = outer - 16;
+        const half = Math.floor(inner / Math.SQRT2) - 4;
+        return { canvas, size, center: size / 2, outer, inner, half };
+    }
+
+    handleColorWheelPointer(e, phase) {
+        const { canvas, center, inner, half } = this.getColorWheelGeometry();
+        const rect = canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * (canvas.width / (rect.width || canvas.width)) - center;
+        const y = (e.clientY - rect.top) * (canvas.height / (rect.height || canvas.height)) - center;
+        if (phase === 'start') {
+            this.colorWheelDrag = Math.hypot(x, y) >= inner - 2 ? 'hue' : 'square';
+            if (canvas.setPointerCapture) canvas.setPointerCapture(e.pointerId);
+        }
+        if (!this.colorWheelDrag) return;
+
+        const hsv = { ...this.pickerHsv };
+        if (this.colorWheelDrag === 'hue') {
+            hsv.h = (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+        } else {
+            hsv.s = Math.min(1, Math.max(0, (x + half) / (half * 2)));
+            hsv.v = Math.min(1, Math.max(0, 1 - (y + half) / (half * 2)));
+        }
+        const { r, g, b } = this.hsvToRgb(hsv.h, hsv.s, hsv.v);
+        this.applyColor(this.rgbaToHex(r, g, b), this.colorAlpha, hsv);
+        if (phase === 'end') {
+            this.colorWheelDrag = null;
+            this.addRecentColor(this.currentColor, this.colorAlpha);
+        }
+    }
+
+    drawColorWheel() {
+        const { canvas, size, center, outer, inner, half } = this.getColorWheelGeometry();
+        const ctx = canvas.getContext('2d');
+        if (!this.colorWheelRing) {
+            // The hue ring never changes, so it is rendered once
+            this.colorWheelRing = ctx.createImageData(size, size);
+            const data = this.colorWheelRing.data;
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    const dx = x + 0.5 - center;
+                    const dy = y + 0.5 - center;
+                    const distance = Math.hypot(dx, dy);
+                    if (distance < inner || distance > outer) continue;
+                    const { r, g, b } = this.hsvToRgb((Math.atan2(dy, dx) * 180 / Math.PI + 360) % 360, 1, 1);
+                    const index = (y * size + x) * 4;
+                    data[index] = r;
+                    data[index + 1] = g;
+                    data[index + 2] = b;
+                    // Anti-alias the ring's edges
+                    data[index + 3] = Math.round(255 * Math.min(1, distance - inner + 0.5, outer - distance + 0.5));
+                }
+            }
+        }
+        ctx.putImageData(this.colorWheelRing, 0, 0);
+
+        const { h, s, v } = this.pickerHsv;
+        const side = half * 2;
+        const square = ctx.createImageData(side, side);
+        for (let y = 0; y < side; y++) {
+            for (let x = 0; x < side; x++) {
+                const { r, g, b } = this.hsvToRgb(h, x / (side - 1), 1 - y / (side - 1));
+                const index = (y * side + x) * 4;
+                square.data[index] = r;
+                square.data[index + 1] = g;
+                square.data[index + 2] = b;
+                square.data[index + 3] = 255;
+            }
+        }
+        ctx.putImageData(square, center - half, center - half);
+
+        // Markers: white rings with a dark outline to show on any color
+        const angle = h * Math.PI / 180;
+        const markers = [
+            [center + Math.cos(angle) * (inner + outer) / 2, center + Math.sin(angle) * (inner + outer) / 2],
+            [center - half + s * side, center - half + (1 - v) * side]
+        ];
+        ctx.lineWidth = 2;
+        markers.forEach(([x, y]) => {
+            ctx.beginPath();
+            ctx.arc(x, y, 5, 0, Math.PI * 2);
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.arc(x, y, 3.5, 0, Math.PI * 2);
+            ctx.strokeStyle = '#ffffff';
+            ctx.stroke();
+        });
+    }
+
+    updateColorPicker() {
+        if (!document.getElementById('colorWheel')) return;
+        this.drawColorWheel();
+        const { r, g, b } = this.hexToRgba(this.currentColor);
+        const hsl = this.rgbToHsl(r, g, b);
+        const alpha = Math.round(this.colorAlpha * 100);
+        const fields = {
+            colorHex: this.currentColor,
+            colorR: r, colorG: g, colorB: b,
+            colorH: hsl.h, colorS: hsl.s, colorL: hsl.l,
+            colorAlpha: alpha
+        };
+        // Leave the field being typed in alone
+        Object.entries(fields).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input !== document.activeElement) input.value = value;
+        });
+        document.getElementById('colorAlphaValue').textContent = alpha;
+        const preview = document.getElementById('colorPreview');
+        preview.style.setProperty('--color', `rgba(${r}, ${g}, ${b}, ${this.colorAlpha})`);
+        document.getElementById('colorAlpha').style.setProperty('--color', `rgb(${r}, ${g}, ${b})`);
+    }
+
+    // Apply the RGB or HSL number fields as they are typed
+    applyColorFields(model) {
+        const read = (id, max) => Math.min(max, Math.max(0, parseInt(document.getElementById(id).value) || 0));
+        const { r, g, b } = model === 'rgb'
+            ? { r: read('colorR', 255), g: read('colorG', 255), b: read('colorB', 255) }
+            : this.hslToRgb(read('colorH', 360), read('colorS', 100), read('colorL', 100));
+        this.applyColor(this.rgbaToHex(r, g, b));
+    }
+
+    // Accepts #rgb and #rrggbb, with or without the #
+    parseHexColor(value) {
+        const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value.trim());
+        if (!match) return null;
+        const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+        return `#${hex.toLowerCase()}`;
+    }
+
+    /**
+     * Recent colors: most recent first, saved to localStorage
+     */
+    addRecentColor(color, alpha) {
+        const recent = this.recentColors.filter(entry => entry.color !== color || entry.alpha !== alpha);
+        recent.unshift({ color, alpha });
+        this.recentColors = recent.slice(0, this.maxRecentColors);
+        localStorage.setItem('drawingMaster.recentColors', JSON.stringify(this.recentColors));
+        this.renderRecentColors();
+    }
+
+    renderRecentColors() {
+        const strip = document.getElementById('recentColors');
+        if (!strip) return;
+        strip.innerHTML = '';
+        this.recentColors.forEach(({ color, alpha }) => {
+            const swatch = document.createElement('button');
+            swatch.className = 'recent-color';
+            const { r, g, b } = this.hexToRgba(color);
+            swatch.style.setProperty('--color', `rgba(${r}, ${g}, ${b}, ${alpha})`);
+            swatch.title = alpha < 1 ? `${color} at ${Math.round(alpha * 100)}%` : color;
+            swatch.addEventListener('click', () => this.selectColor(color, alpha));
+            strip.appendChild(swatch);
+        });
+    }
+
+    /**
+     * Restore recent colors and palettes from localStorage
+     */
+    loadColorSettings() {
+        try {
+            this.recentColors = JSON.parse(localStorage.getItem('drawingMaster.recentColors')) || [];
+            this.palettes = JSON.parse(localStorage.getItem('drawingMaster.palettes')) || [];
+        } catch (error) {
+            console.warn('Ignoring invalid saved colors:', error);
+            this.recentColors = [];
+            this.palettes = [];
+        }
+        const active = localStorage.getItem('drawingMaster.activePalette');
+        this.activePaletteName = this.getPalette(active) ? active : 'Default';
+        this.renderRecentColors();
+        this.renderPalette();
+        this.updateColorPicker();
+    }
+
+    /**
+     * Palettes: the built-in ones plus named palettes saved to localStorage.
+     * Right-click a color in one of your palettes to remove it.
+     */
+    getPalette(name) {
+        return [...this.builtInPalettes, ...this.palettes].find(palette => palette.name === name);
+    }
+
+    // The active palette if it can be edited, otherwise null with a hint
+    getEditablePalette() {
+        const palette = this.palettes.find(p => p.name === this.activePaletteName);
+        if (!palette) this.showNotification('Built-in palettes cannot be changed. Create a new palette first', 'error');
+        return palette || null;
+    }
+
+    savePalettes() {
+        localStorage.setItem('drawingMaster.palettes', JSON.stringify(this.palettes));
+        localStorage.setItem('drawingMaster.activePalette', this.activePaletteName);
+    }
+
+    renderPalette() {
+        const select = document.getElementById('paletteSelect');
+        select.innerHTML = '';
+        const groups = [['Built-in', this.builtInPalettes], ['My Palettes', this.palettes]];
+        groups.forEach(([label, palettes]) => {
+            if (palettes.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            palettes.forEach(palette => group.appendChild(new Option(palette.name, palette.name)));
+            select.appendChild(group);
+        });
+        select.value = this.activePaletteName;
+
+        const grid = document.getElementById('colorPalette');
+        grid.innerHTML = '';
+        const palette = this.getPalette(this.activePaletteName);
+        const editable = this.palettes.includes(palette);
+        palette.colors.forEach((entry, index) => {
+            const swatch = document.createElement('div');
+            swatch.className = 'color-btn';
+            swatch.classList.toggle('active', entry.color === this.currentColor);
+            swatch.style.background = entry.color;
+            swatch.dataset.color = entry.color;
+            swatch.title = entry.name || entry.color;
+            swatch.addEventListener('click', () => this.selectColor(entry.color, entry.alpha ?? 1));
+            if (editable) {
+                swatch.addEventListener('contextmenu', (e) => {
+                    e.preventDefault();
+                    this.removePaletteColor(index);
+                });
+            }
+            grid.appendChild(swatch);
+        });
+    }
+
+    switchPalette(name) {
+        if (!this.getPalette(name)) return;
+        this.activePaletteName = name;
+        this.savePalettes();
+        this.renderPalette();
+    }
+
+    newPalette() {
+        const name = (prompt('Palette name:') || '').trim();
+        if (!name) return;
+        if (this.getPalette(name)) {
+            this.showNotification('A palette with that name already exists', 'error');
+            return;
+        }
+        this.palettes.push({ name, colors: [] });
+        this.switchPalette(name);
+        this.showNotification(`Palette "${name}" created. Add colors with ➕`, 'success');
+    }
+
+    addColorToPalette() {
+        const palette = this.getEditablePalette();
+        if (!palette) return;
+        if (palette.colors.some(entry => entry.color === this.currentColor && (entry.alpha ?? 1) === this.colorAlpha)) {
+            this.showNotification('That color is already in the palette', 'info');
+            return;
+        }
+        const entry = { color: this.currentColor };
+        if (this.colorAlpha < 1) entry.alpha = this.colorAlpha;
+        palette.colors.push(entry);
+        this.savePalettes();
+        this.renderPalette();
+    }
+
+    removePaletteColor(index) {
+        const palette = this.getEditablePalette();
+        if (!palette) return;
+        palette.colors.splice(index, 1);
+        this.savePalettes();
+        this.renderPalette();
+    }
+
+    deletePalette() {
+        const palette = this.getEditablePalette();
+        if (!palette || !confirm(`Delete the palette "${palette.name}"?`)) return;
+        this.palettes.splice(this.palettes.indexOf(palette), 1);
+        this.switchPalette('Default');
+        this.showNotification(`Palette "${palette.name}" deleted`, 'success');
+    }
+
+    /**
+     * Import a GIMP .gpl or JSON palette file as a new palette
+     */
+    async importPalette(file) {
+        try {
+            const text = await file.text();
+            const palette = /^GIMP Palette/.test(text.trim())
+                ? this.parseGimpPalette(text)
+                : this.parseJsonPalette(text);
+            if (!palette.name) palette.name = file.name.replace(/\.[^.]+$/, '');
+            if (palette.colors.length === 0) throw new Error('no colors found');
+
+            // Keep existing palettes: "Name", "Name (2)", ...
+            const base = palette.name;
+            for (let n = 2; this.getPalette(palette.name); n++) {
+                palette.name = `${base} (${n})`;
+            }
+            this.palettes.push(palette);
+            this.switchPalette(palette.name);
+            this.showNotification(`Imported "${palette.name}" with ${palette.colors.length} colors`, 'success');
+        } catch (error) {
+            console.error('Palette import failed:', error);
+            this.showNotification(`Could not import ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    parseGimpPalette(text) {
+        const palette = { name: '', colors: [] };
+        text.split(/\r?\n/).slice(1).forEach(line => {
+            const header = /^Name:\s*(.*)$/.exec(line);
+            if (header) {
+                palette.name = header[1].trim();
+                return;
+            }
+            const match = /^\s*(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})\s*(.*)$/.exec(line);
+            if (!match) return; // Columns:, comments and blank lines
+            const [r, g, b] = match.slice(1, 4).map(value => Math.min(255, parseInt(value)));
+            const entry = { color: this.rgbaToHex(r, g, b) };
+            const name = match[4].trim();
+            if (name && !/^untitled$/i.test(name)) entry.name = name;
+            palette.colors.push(entry);
+        });
+        return palette;
+    }
+
+    // JSON palettes are { name, colors: [{ color, name?, alpha? }] } or a plain array of hex strings
+    parseJsonPalette(text) {
+        const json = JSON.parse(text);
+        const list = Array.isArray(json) ? json : json.colors;
+        if (!Array.isArray(list)) throw new Error('expected a list of colors');
+        const colors = list.map(item => {
+            const color = this.parseHexColor(typeof item === 'string' ? item : String(item.color || ''));
+            if (!color) return null;
+            const entry = { color };
+            if (item.name) entry.name = String(item.name);
+            if (typeof item.alpha === 'number' && item.alpha < 1) entry.alpha = Math.max(0, item.alpha);
+            return entry;
+        }).filter(Boolean);
+        return { name: Array.isArray(json) ? '' : String(json.name || ''), colors };
+    }
+
+    // Download the active palette as GIMP .gpl (no alpha) or JSON
+    exportPalette(format = 'gpl') {
+        const palette = this.getPalette(this.activePaletteName);
+        let text;
+        if (format === 'gpl') {
+            const lines = ['GIMP Palette', `Name: ${palette.name}`, 'Columns: 6', '#'];
+            palette.colors.forEach(entry => {
+                const { r, g, b } = this.hexToRgba(entry.color);
+                lines.push(`${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${entry.name || entry.color}`);
+            });
+            text = lines.join('\n') + '\n';
+        } else {
+            text = JSON.stringify({ name: palette.name, colors: palette.colors }, null, 2);
+        }
+        const url = URL.createObjectURL(new Blob([text], { type: format === 'gpl' ? 'text/plain' : 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${palette.name}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        this.showNotification(`Exported "${palette.name}" as ${format.toUpperCase()}`, 'success');
+    }
+
+    // Update the canvas cursor based on the current tool
+    updateCanvasCursor() {
+        const tool = this.getTool();
+        this.canvas.style.cursor = typeof tool.cursor === 'function' ? tool.cursor.call(tool, this) : tool.cursor;
+    }
+
+    /**
+     * Start recording a pixel change on a layer. Call before drawing into it;
+     * the next saveState() stores only the region that actually changed.
+     */
+    beginPixelEdit(layer = this.getActiveLayer()) {
+        if (this.pendingPixelEdits.some(edit => edit.layer === layer)) return;
+        const backup = document.createElement('canvas');
+        backup.width = layer.canvas.width;
+        backup.height = layer.canvas.height;
+        backup.getContext('2d').drawImage(layer.canvas, 0, 0);
+        this.pendingPixelEdits.push({ layer, backup });
+    }
+
+    // Throw away pending pixel edits without recording them
+    discardPixelEdits() {
+        this.pendingPixelEdits = [];
+    }
+
+    // Put layers with pending pixel edits back as they were, without recording anything
+    revertPixelEdits() {
+        this.pendingPixelEdits.forEach(({ layer, backup }) => {
+            layer.ctx.save();
+            layer.ctx.globalAlpha = 1;
+            layer.ctx.globalCompositeOperation = 'copy';
+            layer.ctx.drawImage(backup, 0, 0);
+            layer.ctx.restore();
+        });
+        this.discardPixelEdits();
+    }
+
+    /**
+     * Compare a layer with its backup and keep the changed region's old pixels
+     */
+    createPixelDiff({ layer, backup }) {
+        const width = layer.canvas.width;
+        const height = layer.canvas.height;
+        if (backup.width !== width || backup.height !== height) return null;
+
+        const before = backup.getContext('2d').getImageData(0, 0, width, height);
+        const after = layer.ctx.getImageData(0, 0, width, height);
+        const a = new Uint32Array(before.data.buffer);
+        const b = new Uint32Array(after.data.buffer);
+
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) {
+                if (a[row + x] !== b[row + x]) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    maxY = y;
+                }
+            }
+        }
+        if (maxX < 0) return null;
+
+        const regionWidth = maxX - minX + 1;
+        const regionHeight = maxY - minY + 1;
+        return {
+            layer,
+            x: minX,
+            y: minY,
+            data: backup.getContext('2d').getImageData(minX, minY, regionWidth, regionHeight)
+        };
+    }
+
+    // Exchange a diff's stored pixels with the layer's current ones (undo <-> redo)
+    swapPixelDiff(diff) {
+        const { width, height } = diff.data;
+        const current = diff.layer.ctx.getImageData(diff.x, diff.y, width, height);
+        diff.layer.ctx.putImageData(diff.data, diff.x, diff.y);
+        diff.data = current;
+        this.forgetRecordedImages([diff.layer]);
+    }
+
+    /**
+     * Capture the layer stack without pixels: size, order, properties and
+     * shapes, plus the guides and symmetry center that transforms move
+     */
+    captureLayerState() {
+        return {
+            width: this.docWidth,
+            height: this.docHeight,
+            background: this.docBackground,
+            frameIndex: this.currentFrameIndex,
+            frames: this.frames.map(frame => ({ ...frame, layers: frame.layers.slice() })),
+            layers: this.layers.slice(),
+            activeLayerId: this.getActiveLayer().id,
+            props: this.layers.map(layer => ({
+                name: layer.name,
+                visible: layer.visible,
+                locked: layer.locked,
+                opacity: layer.opacity,
+                blendMode: layer.blendMode,
+                objects: layer.objects.map(shape => ({ ...shape }))
+            })),
+            guides: this.guides.map(guide => ({ ...guide })),
+            symmetryCenter: this.symmetry.center && { ...this.symmetry.center }
+        };
+    }
+
+    restoreLayerState(state) {
+        const resized = state.width !== this.docWidth || state.height !== this.docHeight;
+        if (resized) this.setDocumentSize(state.width, state.height);
+        this.docBackground = state.background;
+        // Undo and redo go to the frame the step was made on
+        this.frames = state.frames.map(frame => ({ ...frame, layers: frame.layers.slice() }));
+        this.currentFrameIndex = state.frameIndex;
+        this.layers = state.layers.slice();
+        this.getCurrentFrame().layers = this.layers;
+        this.layers.forEach((layer, index) => {
+            const props = state.props[index];
+            layer.name = props.name;
+            layer.visible = props.visible;
+            layer.locked = props.locked;
+            layer.opacity = props.opacity;
+            layer.blendMode = props.blendMode;
+            layer.objects = props.objects.map(shape => ({ ...shape }));
+        });
+        this.guides = state.guides.map(guide => ({ ...guide }));
+        // A new object, so a stashed symmetry (see stashCollabTools) keeps its center
+        this.symmetry = { ...this.symmetry, center: state.symmetryCenter && { ...state.symmetryCenter } };
+        const activeIndex = this.layers.findIndex(l => l.id === state.activeLayerId);
+        this.setActiveLayer(Math.max(0, activeIndex));
+
+        // Keep the selection on the restored copy of the shape, if it still exists
+        const selected = this.selectedShape && this.findShapeById(this.selectedShape.id);
+        this.selectShape(selected ? selected.shape : null);
+        if (resized) {
+            this.clearSelection();
+            this.resetView();
+        }
+        this.invalidateOnionSkins();
+        this.renderTimeline();
+        this.requestRender();
+    }
+
+    // Layer states are equal when frames, order and properties match (the
+    // current frame and active layer are ignored)
+    layerStatesEqual(a, b) {
+        const framesEqual = a.frames.length === b.frames.length && a.frames.every((frame, i) => {
+            const other = b.frames[i];
+            return frame.id === other.id && frame.duration === other.duration &&
+                frame.layers.length === other.layers.length &&
+                frame.layers.every((layer, j) => layer === other.layers[j]);
+        });
+        return a.width === b.width && a.height === b.height && a.background === b.background && framesEqual &&
+            a.layers.length === b.layers.length &&
+            a.layers.every((layer, i) => layer === b.layers[i]) &&
+            JSON.stringify(a.props) === JSON.stringify(b.props) &&
+            JSON.stringify(a.guides) === JSON.stringify(b.guides) &&
+            JSON.stringify(a.symmetryCenter) === JSON.stringify(b.symmetryCenter);
+    }
+
+    /**
+     * Record a named undo step for everything changed since the previous one.
+     * A step keeps the layer state before/after plus the old pixels of
+     * changed regions, so memory grows with what was edited, not canvas size.
+     */
+    saveState(name = 'Edit') {
+        const before = this.committedLayerState;
+        const after = this.captureLayerState();
+        const diffs = this.pendingPixelEdits.map(edit => this.createPixelDiff(edit)).filter(Boolean);
+        this.forgetRecordedImages(this.pendingPixelEdits.map(edit => edit.layer));
+        this.pendingPixelEdits = [];
+        this.committedLayerState = after;
+
+        // In a collaboration session steps become operations (see commitCollabStep);
+        // while joining they stay local, since the welcome replaces or shares them
+        if (this.collab && this.collab.ready) {
+            this.commitCollabStep(name, before, after, diffs);
+            return;
+        }
+        if (!diffs.length && this.layerStatesEqual(before, after)) {
+            return;
+        }
+
+        // Canvases replaced or removed by this step are only kept alive by the history
+        const kept = new Set(after.frames.flatMap(frame => frame.layers));
+        const dropped = before.frames.flatMap(frame => frame.layers).filter(layer => !kept.has(layer));
+        const bytes = diffs.reduce((total, diff) => total + diff.data.data.length, 0) +
+            dropped.reduce((total, layer) => total + layer.canvas.width * layer.canvas.height * 4, 0);
+        // Drop the redo branch first, then trim the oldest steps to the limits
+        this.history = this.history.slice(0, this.historyIndex + 1);
+        this.history.push({ name, before, after, diffs, bytes });
+        while (this.history.length > this.maxHistorySteps ||
+               (this.history.length > 1 && this.getHistoryBytes() > this.maxHistoryBytes)) {
+            this.history.shift();
+        }
+        this.historyIndex = this.history.length - 1;
+        this.markUnsaved();
+        this.renderHistoryPanel();
+        this.invalidateOnionSkins();
+        this.updateFrameThumbnail(this.currentFrameIndex);
+        this.recordDocumentChange();
+    }
+
+    // Guide and symmetry center edits are undo steps of their own. A session
+    // shares neither, so there they only move the start of the next step.
+    saveOverlayState(name) {
+        if (this.collab) {
+            this.committedLayerState = this.captureLayerState();
+            this.markUnsaved();
+            return;
+        }
+        this.saveState(name);
+    }
+
+    getHistoryBytes() {
+        return this.history.reduce((total, step) => total + step.bytes, 0);
+    }
+
+    // Drop all undo steps and start over from the current canvas
+    resetHistory(baseName = 'New drawing') {
+        this.history = [];
+        this.historyIndex = -1;
+        this.historyBaseName = baseName;
+        this.pendingPixelEdits = [];
+        this.committedLayerState = this.captureLayerState();
+        this.renderHistoryPanel();
+    }
+
+    // Undo the last action
+    undo() {
+        this.commitTextEdit();
+        this.cancelFilter();
+        if (this.collab) {
+            this.collabUndo();
+            return;
+        }
+        if (this.isDrawing || this.historyIndex < 0) return;
+        const step = this.history[this.historyIndex];
+        step.diffs.slice().reverse().forEach(diff => this.swapPixelDiff(diff));
+        this.restoreLayerState(step.before);
+        this.committedLayerState = this.captureLayerState();
+        this.historyIndex--;
+        this.markUnsaved();
+        this.renderHistoryPanel();
+        this.recordDocumentChange();
+    }
+
+    // Redo the next action
+    redo() {
+        this.commitTextEdit();
+        this.cancelFilter();
+        if (this.collab) {
+            this.collabRedo();
+            return;
+        }
+        if (this.isDrawing || this.historyIndex >= this.history.length - 1) return;
+        const step = this.history[this.historyIndex + 1];
+        step.diffs.forEach(diff => this.swapPixelDiff(diff));
+        this.restoreLayerState(step.after);
+        this.committedLayerState = this.captureLayerState();
+        this.historyIndex++;
+        this.markUnsaved();
+        this.renderHistoryPanel();
+        this.recordDocumentChange();
+    }
+
+    /**
+     * Undo or redo until the given step is the current one (-1 is the base state)
+     */
+    jumpToHistory(index) {
+        while (this.historyIndex > index) this.undo();
+        while (this.historyIndex < index) this.redo();
+    }
+
+    /**
+     * Rebuild the History panel, oldest step first
+     */
+    renderHistoryPanel() {
+        const list = document.getElementById('historyList');
+        if (!list) return;
+        list.innerHTML = '';
+
+        const addItem = (label, index) => {
+            const item = document.createElement('div');
+            item.className = 'history-item';
+            item.classList.toggle('current', index === this.historyIndex);
+            item.classList.toggle('undone', index > this.historyIndex);
+            item.textContent = label;
+            item.addEventListener('click', () => this.jumpToHistory(index));
+            list.appendChild(item);
+        };
+        addItem(this.historyBaseName, -1);
+        this.history.forEach((step, index) => addItem(step.name, index));
+
+        const current = list.querySelector('.current');
+        if (current && current.scrollIntoView) {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+        const memory = document.getElementById('historyMemory');
+        if (memory) {
+            memory.textContent = this.formatBytes(this.getHistoryBytes());
+        }
+    }
+
+    // Format a byte count for display
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    // Show a notification message
+    showNotification(message, type = 'info') {
+        // Simple notification (can be replaced with a better UI)
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+        notification.textContent = message;
+        document.body.appendChild(notification);
+        setTimeout(() => {
+            notification.remove();
+        }, 2000);
+    }
+
+    // Show loading spinner
+    showLoadingSpinner() {
+        if (this.loadingSpinner) {
+            this.loadingSpinner.style.display = 'block';
+        }
+    }
+
+    // Hide loading spinner
+    hideLoadingSpinner() {
+        if (this.loadingSpinner) {
+            this.loadingSpinner.style.display = 'none';
+        }
+    }
+
+    // Debounce utility
+    debounce(func, wait) {
+        let timeout;
+        return function (...args) {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => func.apply(this, args), wait);
+        };
+    }
+
+    // Handle window resize
+    handleResize() {
+        // Keep the document point at the viewport center in place
+        const oldCenter = { x: this.viewportWidth / 2, y: this.viewportHeight / 2 };
+        this.setupHighDPICanvas();
+        this.panBy(this.viewportWidth / 2 - oldCenter.x, this.viewportHeight / 2 - oldCenter.y);
+    }
+
+    /**
+     * Handle keyboard shortcuts. Keys that depend on what is going on
+     * (Escape, Enter while drawing a curve, holding Space to pan) are handled
+     * here; everything else runs the command bound to the key.
+     */
+    handleKeyboard(e) {
+        if (this.isTypingTarget(e.target)) return;
+        if (this.replaySession) {
+            if (e.key === 'Escape') this.stopReplay();
+            return;
+        }
+
+        if (e.code === 'Space') {
+            // Hold space to pan the view
+            e.preventDefault();
+            if (!this.spacePressed && !this.isDrawing) {
+                this.spacePressed = true;
+                this.canvas.style.cursor = 'grab';
+            }
+            return;
+        }
+
+        if (this.filterSession && e.key === 'Escape') {
+            e.preventDefault();
+            this.cancelFilter();
+            return;
+        }
+        if (this.curveDraft && (e.key === 'Enter' || e.key === 'Escape')) {
+            e.preventDefault();
+            e.key === 'Enter' ? this.finishCurve() : this.cancelCurve();
+            return;
+        }
+        if (e.key === 'Escape') {
+            if (this.selection) {
+                this.clearSelection();
+                return;
+            }
+            if (this.selectedShape) {
+                this.selectShape(null);
+                return;
+            }
+        }
+
+        const combo = this.getKeyCombo(e);
+        const command = combo && this.findCommandForKey(combo);
+        // Ctrl+V is left to the browser, whose paste event can read the system clipboard
+        if (!command || (command.id === 'edit.paste' && combo === 'Ctrl+V')) return;
+        if (command.enabled && !command.enabled()) return;
+        e.preventDefault();
+        this.runCommand(command.id);
+    }
+
+    // Keyboard shortcuts must not fire while the user types in a field
+    isTypingTarget(target) {
+        return target instanceof HTMLElement &&
+            (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+    }
+
+    /**
+     * Commands: every action the keyboard and the command palette can run.
+     * Each has an id, a name, a category, default keys and a run function,
+     * plus an optional enabled check (a disabled command leaves its key to
+     * the browser). The user's bindings replace the defaults per command.
+     */
+    registerCommand({ id, name, category = 'Other', keys = [], run, enabled = null }) {
+        const command = { id, name, category, defaultKeys: keys, run, enabled };
+        this.commands.set(id, command);
+        const custom = this.customKeyBindings[id];
+        this.keyBindings[id] = Array.isArray(custom) ? [...custom] : [...keys];
+        this.updateShortcutTitles(id);
+        return command;
+    }
+
+    // The built-in commands; each tool adds its own (see registerTool)
+    registerCommands() {
+        const hasSelection = () => !!this.selection;
+        [
+            { id: 'edit.undo', name: 'Undo', keys: ['Ctrl+Z'], run: () => this.undo() },
+            { id: 'edit.redo', name: 'Redo', keys: ['Ctrl+Y', 'Ctrl+Shift+Z'], run: () => this.redo() },
+            { id: 'edit.cut', name: 'Cut', keys: ['Ctrl+X'], enabled: hasSelection, run: () => this.cutSelection() },
+            { id: 'edit.copy', name: 'Copy', keys: ['Ctrl+C'], enabled: hasSelection, run: () => this.copySelection() },
+            { id: 'edit.paste', name: 'Paste', keys: ['Ctrl+V'], run: () => this.pasteFromClipboard() },
+            {
+                id: 'edit.delete',
+                name: 'Delete Selection or Shape',
+                keys: ['Delete', 'Backspace'],
+                enabled: () => !!(this.selection || this.selectedShape),
+                run: () => {
+                    const selectionToolActive = this.selectionTools.includes(this.currentTool);
+                    if (this.selection && (selectionToolActive || !this.selectedShape)) {
+                        this.deleteSelection();
+                    } else {
+                        this.deleteSelectedShape();
+                    }
+                }
+            },
+            { id: 'edit.selectAll', name: 'Select All', keys: ['Ctrl+A'], run: () => this.selectAll() },
+            { id: 'edit.deselect', name: 'Deselect', keys: ['Ctrl+D'], run: () => this.clearSelection() },
+            { id: 'edit.clear', name: 'Clear Layer', run: () => this.clearCanvas() }
+        ].forEach(command => this.registerCommand({ category: 'Edit', ...command }));
+
+        [
+            { id: 'file.new', name: 'New Document…', run: () => this.showNewDocumentDialog() },
+            { id: 'file.open', name: 'Open Project…', keys: ['Ctrl+O'], run: () => this.showProjectsModal() },
+            { id: 'file.save', name: 'Save Project', keys: ['Ctrl+S'], run: () => this.saveProject() },
+            { id: 'file.saveVersion', name: 'Save Version', keys: ['Ctrl+Alt+S'], run: () => this.saveVersion('') },
+            { id: 'file.versions', name: 'Versions…', run: () => this.showVersionsDialog() },
+            { id: 'file.export', name: 'Export…', keys: ['Ctrl+Shift+E'], run: () => this.showExportDialog() },
+            { id: 'file.exportAgain', name: 'Export Again', keys: ['Ctrl+Alt+E'], run: () => this.exportAgain() },
+            { id: 'file.exportPng', name: 'Export PNG', run: () => this.exportImage('png') },
+            { id: 'file.exportJpeg', name: 'Export JPG', run: () => this.exportImage('jpeg') },
+            { id: 'file.copyImage', name: 'Copy Image', run: () => this.copyExport() },
+            { id: 'file.print', name: 'Print…', keys: ['Ctrl+P'], run: () => this.printExport() },
+            { id: 'file.collaborate', name: 'Collaborate…', run: () => this.showCollabDialog() }
+        ].forEach(command => this.registerCommand({ category: 'File', ...command }));
+
+        [
+            { id: 'view.zoomIn', name: 'Zoom In', keys: ['Ctrl+=', 'Ctrl++'], run: () => this.zoomIn() },
+            { id: 'view.zoomOut', name: 'Zoom Out', keys: ['Ctrl+-'], run: () => this.zoomOut() },
+            { id: 'view.fit', name: 'Fit to Screen', keys: ['Ctrl+0'], run: () => this.fitToScreen() },
+            { id: 'view.actualSize', name: 'Actual Size', keys: ['Ctrl+1'], run: () => this.zoomToActualSize() },
+            { id: 'view.grid', name: 'Toggle Grid', keys: ["Ctrl+'"], run: () => this.toggleViewSetting('grid', 'Grid') },
+            { id: 'view.rulers', name: 'Toggle Rulers', keys: ['Ctrl+R'], run: () => this.toggleViewSetting('rulers', 'Rulers') },
+            { id: 'view.guides', name: 'Toggle Guides', run: () => this.toggleViewSetting('guides', 'Guides') },
+            { id: 'view.snap', name: 'Toggle Snapping', keys: ['Ctrl+;'], run: () => this.toggleViewSetting('snap', 'Snapping') },
+            { id: 'view.commandPalette', name: 'Command Palette', keys: ['Ctrl+K'], run: () => this.showCommandPalette() },
+            { id: 'view.shortcuts', name: 'Keyboard Shortcuts…', keys: ['Ctrl+/'], run: () => this.showShortcutsDialog() }
+        ].forEach(command => this.registerCommand({ category: 'View', ...command }));
+
+        // [ and ] step the brush size; 1-9 set the opacity in tens and 0 sets 100%
+        this.registerCommand({ id: 'brush.smaller', name: 'Decrease Brush Size', category: 'Brush', keys: ['['], run: () => this.stepBrushSize(-1) });
+        this.registerCommand({ id: 'brush.larger', name: 'Increase Brush Size', category: 'Brush', keys: [']'], run: () => this.stepBrushSize(1) });
+        for (let tens = 1; tens <= 10; tens++) {
+            this.registerCommand({
+                id: `brush.opacity${tens * 10}`,
+                name: `Brush Opacity ${tens * 10}%`,
+                category: 'Brush',
+                keys: [String(tens % 10)],
+                run: () => this.setBrushOpacity(tens / 10)
+            });
+        }
+
+        [
+            { id: 'layer.add', name: 'New Layer', run: () => this.addLayer() },
+            { id: 'layer.duplicate', name: 'Duplicate Layer', keys: ['Ctrl+J'], run: () => this.duplicateLayer() },
+            { id: 'layer.delete', name: 'Delete Layer', run: () => this.deleteLayer() },
+            { id: 'layer.moveUp', name: 'Move Layer Up', run: () => this.moveLayer(1) },
+            { id: 'layer.moveDown', name: 'Move Layer Down', run: () => this.moveLayer(-1) },
+            { id: 'layer.mergeDown', name: 'Merge Down', keys: ['Ctrl+E'], run: () => this.mergeLayerDown() },
+            { id: 'layer.flatten', name: 'Flatten Image', run: () => this.flattenLayers() }
+        ].forEach(command => this.registerCommand({ category: 'Layer', ...command }));
+
+        [
+            { id: 'image.canvasSize', name: 'Canvas Size…', run: () => this.showCanvasSizeDialog() },
+            { id: 'image.imageSize', name: 'Image Size…', run: () => this.showImageSizeDialog() },
+            { id: 'image.background', name: 'Background…', run: () => this.showBackgroundDialog() },
+            { id: 'image.cropToSelection', name: 'Crop to Selection', enabled: hasSelection, run: () => this.cropToSelection() },
+            { id: 'image.cropToContent', name: 'Crop to Content', run: () => this.cropToContent() },
+            { id: 'image.rotateClockwise', name: 'Rotate 90° Clockwise', run: () => this.rotateDocument(90) },
+            { id: 'image.rotateCounterclockwise', name: 'Rotate 90° Counterclockwise', run: () => this.rotateDocument(-90) },
+            { id: 'image.rotate180', name: 'Rotate 180°', run: () => this.rotateDocument(180) },
+            { id: 'image.rotateBy', name: 'Rotate by Angle…', run: () => this.rotateDocumentBy() },
+            { id: 'image.flipHorizontal', name: 'Flip Horizontal', run: () => this.flipDocument('horizontal') },
+            { id: 'image.flipVertical', name: 'Flip Vertical', run: () => this.flipDocument('vertical') }
+        ].forEach(command => this.registerCommand({ category: 'Image', ...command }));
+
+        Object.entries(this.filterDefinitions).forEach(([key, definition]) => {
+            this.registerCommand({
+                id: `filter.${key}`,
+                name: definition.params.length ? `${definition.name}…` : definition.name,
+                category: 'Filters',
+                run: () => this.openFilter(key)
+            });
+        });
+
+        [
+            { id: 'animation.timeline', name: 'Show or Hide Timeline', run: () => this.toggleTimeline() },
+            { id: 'animation.play', name: 'Play or Pause Animation', run: () => this.toggleAnimationPlayback() },
+            { id: 'animation.previous', name: 'Previous Frame', keys: [','], run: () => this.stepFrame(-1) },
+            { id: 'animation.next', name: 'Next Frame', keys: ['.'], run: () => this.stepFrame(1) },
+            { id: 'animation.addFrame', name: 'New Frame', run: () => this.addFrame() },
+            { id: 'animation.duplicateFrame', name: 'Duplicate Frame', run: () => this.duplicateFrame() },
+            { id: 'animation.deleteFrame', name: 'Delete Frame', run: () => this.deleteFrame() },
+            { id: 'recording.toggle', name: 'Start or Stop Recording', run: () => this.toggleRecording() },
+            { id: 'recording.replay', name: 'Replay Recording', run: () => this.playRecording() },
+            { id: 'recording.export', name: 'Export Time-lapse Video', run: () => this.exportTimelapse() }
+        ].forEach(command => this.registerCommand({ category: 'Animation', ...command }));
+    }
+
+    // Run a command by id unless it is unavailable right now
+    runCommand(id) {
+        const command = this.commands.get(id);
+        if (!command || this.replaySession || (command.enabled && !command.enabled())) return false;
+        command.run();
+        return true;
+    }
+
+    /**
+     * Name a key press the way bindings are written: modifiers in the order
+     * Ctrl, Alt, Shift, then the key ("Ctrl+Shift+Z", "[", "Delete"). Cmd
+     * counts as Ctrl. Digits come from the key position so Shift+1 is not
+     * "!", and Shift is left out of other symbols, which already show it
+     * ("Ctrl++" rather than "Ctrl+Shift+=").
+     */
+    getKeyCombo(e) {
+        if (!e.key || ['Control', 'Meta', 'Shift', 'Alt', 'AltGraph', 'CapsLock', 'Dead', 'Unidentified'].includes(e.key)) {
+            return null;
+        }
+        let key = e.key;
+        let shift = e.shiftKey;
+        const digit = /^(?:Digit|Numpad)(\d)$/.exec(e.code || '');
+        if (digit) {
+            key = digit[1];
+        } else if (e.altKey && /^Key[A-Z]$/.test(e.code || '')) {
+            // Alt+letter types a special character on a Mac
+            key = e.code.slice(3);
+        } else if (key === ' ') {
+            key = 'Space';
+        } else if (key.length === 1) {
+            key = key.toUpperCase();
+            if (key === key.toLowerCase()) shift = false;
+        }
+        return [(e.ctrlKey || e.metaKey) && 'Ctrl', e.altKey && 'Alt', shift && 'Shift', key].filter(Boolean).join('+');
+    }
+
+    // The first command bound to a key wins if two share it
+    findCommandForKey(combo) {
+        for (const command of this.commands.values()) {
+            if (this.keyBindings[command.id].includes(combo)) return command;
+        }
+        return null;
+    }
+
+    // Keys bound to more than one command, each with the commands sharing it
+    getShortcutConflicts() {
+        const owners = new Map();
+        this.commands.forEach(command => {
+            this.keyBindings[command.id].forEach(combo => {
+                owners.set(combo, [...(owners.get(combo) || []), command]);
+            });
+        });
+        return new Map([...owners].filter(([, commands]) => commands.length > 1));
+    }
+
+    loadKeyBindings() {
+        try {
+            this.customKeyBindings = JSON.parse(localStorage.getItem('drawingMaster.keyBindings')) || {};
+        } catch (error) {
+            console.warn('Ignoring invalid keyboard shortcuts:', error);
+            this.customKeyBindings = {};
+        }
+    }
+
+    // Only bindings that differ from the defaults are stored
+    setKeyBinding(id, keys) {
+        const command = this.commands.get(id);
+        this.keyBindings[id] = [...keys];
+        if (keys.length === command.defaultKeys.length && keys.every(key => command.defaultKeys.includes(key))) {
+            delete this.customKeyBindings[id];
+        } else {
+            this.customKeyBindings[id] = [...keys];
+        }
+        localStorage.setItem('drawingMaster.keyBindings', JSON.stringify(this.customKeyBindings));
+        this.updateShortcutTitles(id);
+    }
+
+    /**
+     * Add a key to a command. A key another command uses moves over once
+     * the user confirms; keys the app or the browser keep are refused.
+     */
+    assignShortcut(id, combo) {
+        const command = this.commands.get(id);
+        if (this.reservedKeys.includes(combo)) {
+            this.showNotification(`${combo} is reserved and cannot be used as a shortcut`, 'warning');
+            return false;
+        }
+        if (this.keyBindings[id].includes(combo)) return true;
+        const owner = this.findCommandForKey(combo);
+        if (owner) {
+            if (!confirm(`${combo} is already the shortcut for "${owner.name}". Use it for "${command.name}" instead?`)) {
+                return false;
+            }
+            this.setKeyBinding(owner.id, this.keyBindings[owner.id].filter(key => key !== combo));
+        }
+        this.setKeyBinding(id, [...this.keyBindings[id], combo]);
+        return true;
+    }
+
+    removeShortcut(id, combo) {
+        this.setKeyBinding(id, this.keyBindings[id].filter(key => key !== combo));
+        this.renderShortcutsList();
+    }
+
+    resetShortcut(id) {
+        this.setKeyBinding(id, this.commands.get(id).defaultKeys);
+        this.renderShortcutsList();
+    }
+
+    resetAllShortcuts() {
+        if (!confirm('Reset all keyboard shortcuts to their defaults?')) return;
+        this.customKeyBindings = {};
+        localStorage.removeItem('drawingMaster.keyBindings');
+        this.commands.forEach(command => {
+            this.keyBindings[command.id] = [...command.defaultKeys];
+        });
+        this.updateShortcutTitles();
+        this.renderShortcutsList();
+    }
+
+    // Buttons tied to a command show its current keys in their tooltip
+    updateShortcutTitles(id = null) {
+        document.querySelectorAll(id ? `[data-command="${id}"]` : '[data-command]').forEach(element => {
+            const command = this.commands.get(element.dataset.command);
+            if (!command) return;
+            const notes = [this.keyBindings[command.id].join(' / '), element.dataset.hint].filter(Boolean);
+            element.title = notes.length ? `${command.name} (${notes.join('; ')})` : command.name;
+        });
+    }
+
+    // [ and ] step by 1px up to 10px and by 5px above
+    stepBrushSize(direction) {
+        const input = document.getElementById('brushSize');
+        const step = (direction > 0 ? this.brushSize >= 10 : this.brushSize > 10) ? 5 : 1;
+        const size = direction > 0
+            ? Math.floor(this.brushSize / step) * step + step
+            : Math.ceil(this.brushSize / step) * step - step;
+        this.brushSize = Math.min(parseInt(input.max), Math.max(parseInt(input.min), size));
+        this.updateBrushControls();
+        this.showNotification(`Brush size ${this.brushSize}px`, 'info');
+    }
+
+    setBrushOpacity(opacity) {
+        this.opacity = opacity;
+        this.updateBrushControls();
+        this.showNotification(`Brush opacity ${Math.round(opacity * 100)}%`, 'info');
+    }
+
+    /**
+     * Keyboard Shortcuts dialog: every command with its keys, grouped by
+     * category. + records a new key, × removes one and ↺ restores the
+     * defaults; keys shared by two commands are flagged.
+     */
+    showShortcutsDialog() {
+        document.getElementById('shortcutsFilter').value = '';
+        this.renderShortcutsList();
+        this.showDialog('shortcutsModal');
+    }
+
+    renderShortcutsList() {
+        this.shortcutRecording = null;
+        const list = document.getElementById('shortcutsList');
+        const filter = document.getElementById('shortcutsFilter').value.trim();
+        const conflicts = this.getShortcutConflicts();
+        const categories = new Map();
+        this.commands.forEach(command => {
+            const keys = this.keyBindings[command.id];
+            if (filter && !this.fuzzyMatch(filter, `${command.category} ${command.name}`) &&
+                !keys.some(key => key.toLowerCase() === filter.toLowerCase())) {
+                return;
+            }
+            categories.set(command.category, [...(categories.get(command.category) || []), command]);
+        });
+
+        list.innerHTML = '';
+        categories.forEach((commands, category) => {
+            const heading = document.createElement('h4');
+            heading.className = 'shortcuts-heading';
+            heading.textContent = category;
+            list.appendChild(heading);
+            commands.forEach(command => list.appendChild(this.createShortcutRow(command, conflicts)));
+        });
+        if (!categories.size) {
+            const empty = document.createElement('p');
+            empty.className = 'dialog-note';
+            empty.textContent = 'No commands match.';
+            list.appendChild(empty);
+        }
+    }
+
+    createShortcutRow(command, conflicts) {
+        const row = document.createElement('div');
+        row.className = 'shortcut-row';
+        const name = document.createElement('span');
+        name.className = 'shortcut-name';
+        name.textContent = command.name;
+        row.appendChild(name);
+
+        const keys = document.createElement('div');
+        keys.className = 'shortcut-keys';
+        this.keyBindings[command.id].forEach(combo => {
+            const key = document.createElement('span');
+            key.className = 'shortcut-key';
+            key.textContent = combo;
+            const others = (conflicts.get(combo) || []).filter(other => other !== command);
+            if (others.length) {
+                key.classList.add('conflict');
+                key.title = `Also the shortcut for ${others.map(other => `"${other.name}"`).join(', ')}`;
+            }
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'shortcut-remove';
+            remove.textContent = '×';
+            remove.title = `Remove ${combo}`;
+            remove.addEventListener('click', () => this.removeShortcut(command.id, combo));
+            key.appendChild(remove);
+            keys.appendChild(key);
+        });
+        const add = document.createElement('button');
+        add.type = 'button';
+        add.className = 'shortcut-add';
+        add.textContent = '+';
+        add.title = 'Add a shortcut';
+        add.addEventListener('click', () => {
+            this.renderShortcutsList();
+            // The list was rebuilt, so find this command's button again
+            const button = document.querySelector(`#shortcutsList [data-record="${command.id}"]`);
+            this.shortcutRecording = { id: command.id };
+            button.textContent = 'Press a key…';
+            button.classList.add('recording');
+        });
+        add.dataset.record = command.id;
+        keys.appendChild(add);
+        if (this.customKeyBindings[command.id]) {
+            const reset = document.createElement('button');
+            reset.type = 'button';
+            reset.className = 'shortcut-reset';
+            reset.textContent = '↺';
+            reset.title = `Reset to ${command.defaultKeys.join(' / ') || 'no shortcut'}`;
+            reset.addEventListener('click', () => this.resetShortcut(command.id));
+            keys.appendChild(reset);
+        }
+        row.appendChild(keys);
+        return row;
+    }
+
+    // Capture-phase keydown: the next key press becomes the shortcut, Escape cancels
+    recordShortcutKey(e) {
+        const recording = this.shortcutRecording;
+        if (!recording) return;
+        if (document.getElementById('shortcutsModal').style.display !== 'block') {
+            this.shortcutRecording = null;
+            return;
+        }
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        if (e.key === 'Escape') {
+            this.renderShortcutsList();
+            return;
+        }
+        const combo = this.getKeyCombo(e);
+        if (!combo) return;
+        this.shortcutRecording = null;
+        this.assignShortcut(recording.id, combo);
+        this.renderShortcutsList();
+    }
+
+    /**
+     * Fuzzy match for the command palette and the shortcuts filter: the
+     * query's letters must appear in order. Word starts and runs of adjacent
+     * letters score higher, skipped letters lower. Returns the score and the
+     * matched positions, or null.
+     */
+    fuzzyMatch(query, text) {
+        const lower = text.toLowerCase();
+        const positions = [];
+        let score = 0;
+        let from = 0;
+        for (const char of query.toLowerCase()) {
+            if (char === ' ') continue;
+            const index = lower.indexOf(char, from);
+            if (index < 0) return null;
+            if (index === 0 || /[\s\-_/(]/.test(text[index - 1])) score += 8;
+            if (positions.length && index === positions[positions.length - 1] + 1) score += 5;
+            score += 1 - Math.min(index - from, 10) * 0.1;
+            positions.push(index);
+            from = index + 1;
+        }
+        return { score, positions };
+    }
+
+    /**
+     * Command palette (Ctrl+K): type to fuzzy-search every command by name
+     * (or category), arrows pick, Enter runs. With nothing typed it lists
+     * the recently run commands first.
+     */
+    showCommandPalette() {
+        if (this.replaySession) return;
+        this.closeHeaderMenus();
+        this.commandPalette = { query: '', results: [], active: 0 };
+        const input = document.getElementById('commandPaletteInput');
+        input.value = '';
+        document.getElementById('commandPalette').hidden = false;
+        this.renderCommandPalette();
+        input.focus();
+    }
+
+    hideCommandPalette() {
+        document.getElementById('commandPalette').hidden = true;
+        document.getElementById('commandPaletteInput').blur();
+    }
+
+    renderCommandPalette() {
+        const palette = this.commandPalette;
+        const commands = [...this.commands.values()];
+        if (palette.query.trim()) {
+            palette.results = commands.map((command, order) => {
+                const match = this.fuzzyMatch(palette.query, command.name);
+                if (match) return { command, order, ...match };
+                // Matching the category too ("image rot") ranks below name matches
+                const loose = this.fuzzyMatch(palette.query, `${command.category} ${command.name}`);
+                return loose && { command, order, score: loose.score - 10, positions: [] };
+            }).filter(Boolean).sort((a, b) => b.score - a.score || a.order - b.order);
+        } else {
+            const recent = this.recentCommands.map(id => this.commands.get(id)).filter(Boolean);
+            palette.results = [...recent, ...commands.filter(command => !recent.includes(command))]
+                .map(command => ({ command, positions: [] }));
+        }
+
+        const list = document.getElementById('commandPaletteList');
+        list.innerHTML = '';
+        palette.results.forEach(({ command, positions }, index) => {
+            const item = document.createElement('li');
+            item.className = 'command-palette-item';
+            item.setAttribute('role', 'option');
+            if (command.enabled && !command.enabled()) {
+                item.classList.add('disabled');
+                item.title = 'Not available right now';
+            }
+            const name = document.createElement('span');
+            name.className = 'command-palette-name';
+            [...command.name].forEach((char, position) => {
+                if (positions.includes(position)) {
+                    const mark = document.createElement('mark');
+                    mark.textContent = char;
+                    name.appendChild(mark);
+                } else {
+                    name.appendChild(document.createTextNode(char));
+                }
+            });
+            const category = document.createElement('span');
+            category.className = 'command-palette-category';
+            category.textContent = command.category;
+            const keys = document.createElement('span');
+            keys.className = 'command-palette-keys';
+            this.keyBindings[command.id].forEach(combo => {
+                const key = document.createElement('kbd');
+                key.textContent = combo;
+                keys.appendChild(key);
+            });
+            item.append(name, category, keys);
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.runPaletteCommand(index);
+            });
+            list.appendChild(item);
+        });
+        if (!palette.results.length) {
+            const empty = document.createElement('li');
+            empty.className = 'command-palette-empty';
+            empty.textContent = 'No matching commands';
+            list.appendChild(empty);
+        }
+        this.highlightPaletteItem();
+    }
+
+    highlightPaletteItem() {
+        const items = document.querySelectorAll('#commandPaletteList .command-palette-item');
+        items.forEach((item, index) => {
+            item.classList.toggle('active', index === this.commandPalette.active);
+            item.setAttribute('aria-selected', index === this.commandPalette.active);
+        });
+        const active = items[this.commandPalette.active];
+        if (active && active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+    }
+
+    handleCommandPaletteKey(e) {
+        const palette = this.commandPalette;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const count = palette.results.length;
+            if (!count) return;
+            palette.active = (palette.active + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+            this.highlightPaletteItem();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.runPaletteCommand(palette.active);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.hideCommandPalette();
+        }
+    }
+
+    runPaletteCommand(index) {
+        const result = this.commandPalette.results[index];
+        if (!result) return;
+        const { command } = result;
+        if (command.enabled && !command.enabled()) return;
+        this.hideCommandPalette();
+        this.recentCommands = [command.id, ...this.recentCommands.filter(id => id !== command.id)].slice(0, 5);
+        this.runCommand(command.id);
+    }
+
+    /**
+     * Save the current canvas as a project in IndexedDB
+     */
+    async saveProject() {
+        try {
+            const now = new Date();
+            if (!this.currentProject.id) {
+                this.currentProject.id = this.generateId();
+                this.currentProject.created = now;
+            }
+            this.currentProject.modified = now;
+
+            const [documentData, thumbnail] = await Promise.all([
+                this.serializeDocument(),
+                this.createThumbnail()
+            ]);
+            await this.projectStore.save({
+                id: this.currentProject.id,
+                name: this.currentProject.name,
+                created: this.currentProject.created,
+                modified: this.currentProject.modified,
+                width: this.docWidth,
+                height: this.docHeight,
+                thumbnail
+            }, documentData);
+
+            this.currentProject.saved = true;
+            this.dirty = false;
+            this.discardAutosave();
+            this.updateProjectInfo();
+            this.loadProjectsCount();
+            this.showNotification(`"${this.currentProject.name}" saved`, 'success');
+        } catch (error) {
+            console.error('Failed to save project:', error);
+            this.showNotification('Failed to save project', 'error');
+        }
+    }
+
+    /**
+     * Open a stored project and replace the current canvas with it
+     */
+    async openProject(id) {
+        if (this.isBlockedInSession('Opening a project')) return;
+        if (this.hasUnsavedChanges() &&
+            !confirm('Discard unsaved changes to the current drawing?')) {
+            return;
+        }
+        try {
+            this.showLoadingSpinner();
+            const { meta, documentData } = await this.projectStore.load(id);
+            await this.loadDocument(documentData);
+            this.resetHistory('Open project');
+            this.stopRecording();
+            this.recording = documentData.recording || null;
+            this.updateRecordingInfo();
+
+            this.currentProject = {
+                id: meta.id,
+                name: meta.name,
+                created: new Date(meta.created),
+                modified: new Date(meta.modified),
+                saved: true
+            };
+            this.dirty = false;
+            this.discardAutosave();
+            this.updateProjectInfo();
+            this.hideProjectsModal();
+            this.showNotification(`Opened "${meta.name}"`, 'success');
+        } catch (error) {
+            console.error('Failed to open project:', error);
+            this.showNotification('Failed to open project', 'error');
+        } finally {
+            this.hideLoadingSpinner();
+        }
+    }
+
+    /**
+     * Rename a stored project (and the open one if it is the same)
+     */
+    async renameProject(id, name) {
+        name = name.trim();
+        if (!name) return;
+        try {
+            await this.projectStore.rename(id, name);
+            if (this.currentProject.id === id) {
+                this.currentProject.name = name;
+                this.updateProjectInfo();
+            }
+            this.showNotification(`Renamed to "${name}"`, 'success');
+        } catch (error) {
+            console.error('Failed to rename project:', error);
+            this.showNotification('Failed to rename project', 'error');
+        }
+        this.renderProjectsGrid();
+    }
+
+    // Rename the open project from the header title
+    renameCurrentProject(name) {
+        name = name.trim();
+        if (!name || name === this.currentProject.name) {
+            this.updateProjectInfo();
+            return;
+        }
+        if (this.currentProject.id) {
+            this.renameProject(this.currentProject.id, name);
+        } else {
+            this.currentProject.name = name;
+            this.updateProjectInfo();
+        }
+    }
+
+    /**
+     * Delete a stored project after confirmation
+     */
+    async deleteProject(id, name) {
+        if (!confirm(`Delete "${name}"? This cannot be undone.`)) return;
+        try {
+            await this.projectStore.delete(id);
+            if (this.currentProject.id === id) {
+                // Keep the drawing, but it no longer has a stored copy
+                this.currentProject.id = null;
+                this.markUnsaved();
+            }
+            this.showNotification(`Deleted "${name}"`, 'info');
+        } catch (error) {
+            console.error('Failed to delete project:', error);
+            this.showNotification('Failed to delete project', 'error');
+        }
+        this.renderProjectsGrid();
+        this.loadProjectsCount();
+    }
+
+    /**
+     * Autosave: every change (see markUnsaved) schedules a write of the whole
+     * drawing to IndexedDB, where the projects live too - layer images are
+     * far too big for localStorage. Writes wait until changes pause for
+     * autosaveDelay, but never longer than autosaveMaxWait.
+     */
+    scheduleAutosave() {
+        // A replay draws into a stand-in document; the live one is unchanged
+        if (this.replaySession) return;
+        const autosave = this.autosave;
+        const now = Date.now();
+        if (!autosave.pendingSince) autosave.pendingSince = now;
+        clearTimeout(autosave.timer);
+        const delay = Math.min(this.autosaveDelay, autosave.pendingSince + this.autosaveMaxWait - now);
+        autosave.timer = setTimeout(() => this.autosaveNow(), Math.max(0, delay));
+    }
+
+    /**
+     * Write any pending autosave right away. Mid-stroke, during a replay or
+     * while the previous write is still going, it tries again a second later.
+     */
+    async autosaveNow() {
+        const autosave = this.autosave;
+        clearTimeout(autosave.timer);
+        autosave.timer = null;
+        if (!autosave.pendingSince) return;
+        if (this.isDrawing || this.replaySession || autosave.saving) {
+            autosave.timer = setTimeout(() => this.autosaveNow(), 1000);
+            return;
+        }
+        autosave.pendingSince = 0;
+        autosave.saving = true;
+        const generation = autosave.generation;
+        try {
+            const project = { ...this.currentProject };
+            // The time-lapse recording is stored next to the document and only
+            // re-encoded when events were added or it was replaced
+            const recording = { recording: this.recording, events: this.recording ? this.recording.events.length : 0 };
+            const saved = autosave.savedRecording;
+            const recordingChanged = !saved || saved.recording !== recording.recording || saved.events !== recording.events;
+            const [documentData, thumbnail, recordingData] = await Promise.all([
+                this.serializeDocument({ includeRecording: false }),
+                this.createThumbnail(),
+                recordingChanged ? this.serializeRecording() : undefined
+            ]);
+            // Saved or discarded in the meantime (see discardAutosave)
+            if (generation !== autosave.generation) return;
+            const savedAt = new Date();
+            await this.projectStore.saveAutosave({
+                id: autosave.id,
+                project: { id: project.id, name: project.name, created: project.created },
+                savedAt,
+                thumbnail,
+                document: documentData
+            }, recordingData);
+            if (generation === autosave.generation) {
+                autosave.savedAt = savedAt;
+                if (recordingChanged) autosave.savedRecording = recording;
+                this.updateProjectInfo();
+            }
+        } catch (error) {
+            console.error('Autosave failed:', error);
+        } finally {
+            autosave.saving = false;
+        }
+    }
+
+    // Forget the autosaved copy once the drawing is saved or deliberately dropped
+    discardAutosave() {
+        const autosave = this.autosave;
+        clearTimeout(autosave.timer);
+        autosave.timer = null;
+        autosave.pendingSince = 0;
+        autosave.savedAt = null;
+        autosave.savedRecording = null;
+        // A write already under way stores nothing; one already stored is
+        // deleted after it, as transactions on a store run in order
+        autosave.generation++;
+        this.projectStore.deleteAutosave(autosave.id).catch(error => {
+            console.warn('Could not remove the autosave:', error);
+        });
+    }
+
+    /**
+     * At startup, offer the most recent drawing a closed session autosaved
+     * but never saved. Closing the prompt without choosing keeps it for
+     * next time.
+     */
+    async offerRecovery() {
+        let drafts;
+        let live;
+        try {
+            [drafts, live] = await Promise.all([this.projectStore.listAutosaves(), this.getLiveAutosaveIds()]);
+        } catch (error) {
+            console.warn('Could not look for unsaved drawings:', error);
+            return;
+        }
+        // Drafts of sessions still open in other tabs belong to them
+        const draft = drafts.find(entry => entry.id !== this.autosave.id && !live.has(entry.id));
+        if (!draft) return;
+        this.autosave.recovery = draft;
+        document.getElementById('recoveryPreview').src = draft.thumbnail;
+        document.getElementById('recoveryInfo').textContent =
+            `"${draft.project.name}" has changes from ${this.formatDate(draft.savedAt)} that were never saved.`;
+        this.showDialog('recoveryModal');
+    }
+
+    /**
+     * Hold a lock named after this session's autosave for as long as the
+     * page is open, so other tabs can tell its draft is not abandoned
+     */
+    holdAutosaveLock() {
+        if (!navigator.locks) return;
+        navigator.locks.request(`drawingMaster.autosave.${this.autosave.id}`, () => new Promise(() => {}))
+            .catch(error => console.warn('Could not lock the autosave:', error));
+    }
+
+    // Autosave ids of the sessions open right now; without the Web Locks API
+    // every other draft counts as abandoned
+    async getLiveAutosaveIds() {
+        if (!navigator.locks || !navigator.locks.query) return new Set();
+        const prefix = 'drawingMaster.autosave.';
+        const { held = [] } = await navigator.locks.query();
+        return new Set(held.filter(lock => lock.name.startsWith(prefix)).map(lock => lock.name.slice(prefix.length)));
+    }
+
+    async recoverDrawing() {
+        const draft = this.autosave.recovery;
+        if (!draft || this.isBlockedInSession('Recovering a drawing')) return;
+        if (this.hasUnsavedChanges() && !confirm('Replace the current drawing with the recovered one?')) {
+            return;
+        }
+        this.autosave.recovery = null;
+        this.hideDialogs();
+        try {
+            this.showLoadingSpinner();
+            // Autosaves from before recordings were stored apart keep it in the document
+            const recording = draft.document.recording || await this.projectStore.loadAutosaveRecording(draft.id);
+            await this.loadDocument(draft.document);
+            this.resetHistory('Recovered drawing');
+            this.stopRecording();
+            this.recording = recording;
+            this.updateRecordingInfo();
+            this.currentProject = {
+                id: draft.project.id,
+                name: draft.project.name,
+                created: new Date(draft.project.created),
+                modified: new Date(draft.savedAt),
+                saved: false
+            };
+            this.updateProjectInfo();
+            // This session keeps it from now on, under its own record
+            this.markUnsaved();
+            await this.projectStore.deleteAutosave(draft.id);
+            this.showNotification(`Recovered "${draft.project.name}" - save it to keep it`, 'success');
+        } catch (error) {
+            console.error('Failed to recover drawing:', error);
+            this.showNotification('Failed to recover the drawing', 'error');
+        } finally {
+            this.hideLoadingSpinner();
+        }
+    }
+
+    async discardRecovery() {
+        const draft = this.autosave.recovery;
+        if (!draft) return;
+        this.autosave.recovery = null;
+        this.hideDialogs();
+        try {
+            await this.projectStore.deleteAutosave(draft.id);
+            this.showNotification('Unsaved drawing discarded', 'info');
+        } catch (error) {
+            console.error('Failed to discard the unsaved drawing:', error);
+        }
+    }
+
+    /**
+     * Versions: named snapshots of a saved project that can be previewed
+     * and restored later. A drawing that was never saved is saved first.
+     */
+    showVersionsDialog() {
+        document.getElementById('versionName').value = '';
+        this.versionPreview = null;
+        this.showDialog('versionsModal');
+        this.renderVersionsList();
+    }
+
+    async saveVersion(name = document.getElementById('versionName').value) {
+        if (this.isDrawing) return;
+        this.commitTextEdit();
+        if (!this.currentProject.id) {
+            await this.saveProject();
+            if (!this.currentProject.id) return;
+        }
+        try {
+            const projectId = this.currentProject.id;
+            const count = (await this.projectStore.listVersions(projectId)).length;
+            name = name.trim() || `Version ${count + 1}`;
+            const [documentData, preview] = await Promise.all([
+                this.serializeDocument(),
+                this.createThumbnail(480)
+            ]);
+            const version = {
+                id: this.generateId(),
+                projectId,
+                name,
+                created: new Date(),
+                width: this.docWidth,
+                height: this.docHeight,
+                preview
+            };
+            await this.projectStore.saveVersion(version, documentData);
+            document.getElementById('versionName').value = '';
+            this.versionPreview = version;
+            this.showNotification(`Version "${name}" saved`, 'success');
+        } catch (error) {
+            console.error('Failed to save version:', error);
+            this.showNotification('Failed to save the version', 'error');
+        }
+        this.renderVersionsList();
+    }
+
+    /**
+     * Fill the Versions dialog: the list on one side, the selected version's
+     * preview with Restore and Delete on the other
+     */
+    async renderVersionsList() {
+        const list = document.getElementById('versionsList');
+        const projectId = this.currentProject.id;
+        document.getElementById('versionsTitle').textContent = `Versions of "${this.currentProject.name}"`;
+        let versions = [];
+        if (projectId) {
+            try {
+                versions = await this.projectStore.listVersions(projectId);
+            } catch (error) {
+                console.error('Failed to load versions:', error);
+                this.showNotification('Failed to load versions', 'error');
+            }
+        }
+        list.innerHTML = '';
+        if (!versions.some(version => this.versionPreview && version.id === this.versionPreview.id)) {
+            this.versionPreview = versions[0] || null;
+        }
+        if (!versions.length) {
+            const empty = document.createElement('li');
+            empty.className = 'versions-empty';
+            empty.textContent = projectId
+                ? 'No versions yet. Name the drawing as it is now and save a version to come back to it later.'
+                : 'Saving a version saves the project first.';
+            list.appendChild(empty);
+        }
+        versions.forEach(version => {
+            const item = document.createElement('li');
+            item.className = 'version-item';
+            item.classList.toggle('active', version.id === this.versionPreview.id);
+            const name = document.createElement('span');
+            name.className = 'version-name';
+            name.textContent = version.name;
+            const date = document.createElement('span');
+            date.className = 'version-date';
+            date.textContent = this.formatDate(version.created);
+            item.title = new Date(version.created).toLocaleString();
+            item.appendChild(name);
+            item.appendChild(date);
+            item.addEventListener('click', () => {
+                this.versionPreview = version;
+                this.renderVersionsList();
+            });
+            list.appendChild(item);
+        });
+
+        const preview = this.versionPreview;
+        document.getElementById('versionPreview').hidden = !preview;
+        if (preview) {
+            document.getElementById('versionPreviewImage').src = preview.preview;
+            document.getElementById('versionPreviewInfo').textContent =
+                `${preview.width} × ${preview.height}px · ${new Date(preview.created).toLocaleString()}`;
+        }
+    }
+
+    /**
+     * Replace the drawing with the previewed version. The project keeps its
+     * name and stays unsaved until it is saved again.
+     */
+    async restoreVersion(version = this.versionPreview) {
+        if (!version || this.isDrawing || this.isBlockedInSession('Restoring a version')) return;
+        const warning = this.hasUnsavedChanges() ? ' Unsaved changes will be lost.' : '';
+        if (!confirm(`Restore "${version.name}"?${warning}`)) return;
+        try {
+            this.showLoadingSpinner();
+            const documentData = await this.projectStore.loadVersion(version.id);
+            this.commitTextEdit();
+            this.cancelFilter();
+            this.cancelCurve();
+            await this.loadDocument(documentData);
+            this.resetHistory(`Restored "${version.name}"`);
+            this.stopRecording();
+            this.recording = documentData.recording || null;
+            this.updateRecordingInfo();
+            this.markUnsaved();
+            this.hideDialogs();
+            this.showNotification(`Restored "${version.name}"`, 'success');
+        } catch (error) {
+            console.error('Failed to restore version:', error);
+            this.showNotification('Failed to restore the version', 'error');
+        } finally {
+            this.hideLoadingSpinner();
+        }
+    }
+
+    async deleteVersion(version = this.versionPreview) {
+        if (!version || !confirm(`Delete the version "${version.name}"? This cannot be undone.`)) return;
+        try {
+            await this.projectStore.deleteVersion(version.id);
+            this.versionPreview = null;
+            this.showNotification(`Deleted "${version.name}"`, 'info');
+        } catch (error) {
+            console.error('Failed to delete version:', error);
+            this.showNotification('Failed to delete the version', 'error');
+        }
+        this.renderVersionsList();
+    }
+
+    /**
+     * Time-lapse recording. Paint and shape strokes are logged from
+     * executeToolAction with the tool settings and timed pointer samples,
+     * fills as the click and settings; every other change to the document
+     * (filters, layers, undo, text...) is logged as a serialized snapshot
+     * the replay can jump to, which only stores the layers that changed.
+     */
+    toggleRecording() {
+        this.recorder.active ? this.stopRecording() : this.startRecording();
+    }
+
+    startRecording() {
+        if (this.recorder.active || this.replaySession) return;
+        if (!this.recording) {
+            this.recording = { version: 2, width: this.docWidth, height: this.docHeight, duration: 0, nextImageId: 0, start: null, events: [] };
+            this.recording.start = this.serializeRecordedDocument();
+        } else {
+            // The document may have changed while the recorder was off
+            this.recordSnapshot();
+        }
+        this.recorder.active = true;
+        this.recorder.startedAt = performance.now() - this.recording.duration;
+        this.updateRecordingInfo();
+        this.showNotification('Recording started', 'info');
+    }
+
+    stopRecording() {
+        if (!this.recorder.active) return;
+        this.flushRecordedChange();
+        this.recording.duration = this.getRecordingTime();
+        this.recorder.active = false;
+        this.recorder.stroke = null;
+        this.recorder.fill = null;
+        this.updateRecordingInfo();
+    }
+
+    discardRecording() {
+        if (!this.recording || !confirm('Discard the time-lapse recording of this drawing?')) return;
+        this.stopRecording();
+        this.recording = null;
+        this.markUnsaved();
+        this.updateRecordingInfo();
+    }
+
+    getRecordingTime() {
+        return Math.round(performance.now() - this.recorder.startedAt);
+    }
+
+    // Log tool actions from executeToolAction; only strokes that replay
+    // deterministically are kept as strokes and fills as the click that
+    // made them, the rest arrive as snapshots
+    recordToolAction(pos, phase, event) {
+        const sample = this.getToolSample(pos, event, this.getRecordingTime());
+        if (phase === 'start') {
+            const tool = this.getTool();
+            this.recorder.fill = null;
+            if (tool.id === 'fill' && !this.fillInProgress && this.canReplayFill()) {
+                // Logged when the fill saves its step (see recordDocumentChange)
+                this.flushRecordedChange();
+                this.recorder.fill = {
+                    type: 'fill',
+                    frame: this.currentFrameIndex,
+                    layer: this.activeLayerIndex,
+                    x: Math.floor(pos.x),
+                    y: Math.floor(pos.y),
+                    selection: this.selection ? JSON.parse(JSON.stringify(this.selection)) : null,
+                    settings: this.getStrokeSettings()
+                };
+                return;
+            }
+            if (!this.isToolReplayable(tool)) return;
+            this.flushRecordedChange();
+            this.recorder.stroke = {
+                type: 'stroke',
+                t: sample.t,
+                tool: this.currentTool,
+                frame: this.currentFrameIndex,
+                layer: this.activeLayerIndex,
+                seed: this.strokeSeed,
+                selection: this.selection ? JSON.parse(JSON.stringify(this.selection)) : null,
+                settings: this.getStrokeSettings(),
+                samples: []
+            };
+        }
+        if (this.recorder.stroke) this.recorder.stroke.samples.push(sample);
+    }
+
+    // One input sample of a tool action, as stored in recordings and operations
+    getToolSample(pos, event, t) {
+        return {
+            t,
+            x: Math.round(pos.x * 100) / 100,
+            y: Math.round(pos.y * 100) / 100,
+            pressure: pos.pressure,
+            tilt: pos.tilt,
+            pointerType: pos.pointerType,
+            shiftKey: !!(event && event.shiftKey),
+            altKey: !!(event && event.altKey)
+        };
+    }
+
+    // Everything the tools read while drawing, copied so it can be stored
+    getStrokeSettings() {
+        return {
+            color: this.currentColor,
+            alpha: this.colorAlpha,
+            size: this.brushSize,
+            opacity: this.opacity,
+            brush: { ...this.brushSettings },
+            pen: { ...this.penSettings },
+            shape: { ...this.shapeSettings },
+            gradient: JSON.parse(JSON.stringify(this.gradientSettings)),
+            fill: { ...this.fillSettings },
+            symmetry: { ...this.symmetry, center: this.getSymmetryCenter() },
+            tool: { ...this.getTool().settings }
+        };
+    }
+
+    applyStrokeSettings(settings) {
+        this.currentColor = settings.color;
+        this.colorAlpha = settings.alpha;
+        this.brushSize = settings.size;
+        this.opacity = settings.opacity;
+        this.brushSettings = { ...settings.brush };
+        this.penSettings = { ...settings.pen };
+        this.shapeSettings = { ...settings.shape };
+        this.gradientSettings = JSON.parse(JSON.stringify(settings.gradient));
+        // Recordings made before fills were stored keep the current fill settings
+        if (settings.fill) this.fillSettings = { ...settings.fill };
+        this.symmetry = { ...settings.symmetry };
+    }
+
+    // Called once the stroke's history step is saved
+    endRecordedStroke() {
+        const stroke = this.recorder.stroke;
+        if (!stroke) return;
+        this.recorder.stroke = null;
+        this.recording.events.push(stroke);
+        this.recording.duration = this.getRecordingTime();
+        this.updateRecordingInfo();
+    }
+
+    /**
+     * Note a document change that is not a recorded stroke. A fill that is
+     * still running is the change its click was waiting for; other changes
+     * are coalesced (undoing ten steps makes one snapshot) and flushed
+     * before the next stroke starts.
+     */
+    recordDocumentChange() {
+        if (!this.recorder.active) return;
+        const fill = this.recorder.fill;
+        this.recorder.fill = null;
+        if (fill && this.fillInProgress) {
+            this.recording.events.push({ ...fill, t: this.getRecordingTime() });
+            this.recording.duration = this.getRecordingTime();
+            this.updateRecordingInfo();
+            return;
+        }
+        if (this.recorder.stroke || this.recorder.changeTimer) return;
+        this.recorder.changeTimer = setTimeout(() => this.flushRecordedChange(), 0);
+    }
+
+    flushRecordedChange() {
+        if (!this.recorder.changeTimer) return;
+        clearTimeout(this.recorder.changeTimer);
+        this.recorder.changeTimer = null;
+        this.recordSnapshot();
+    }
+
+    recordSnapshot() {
+        const event = { type: 'snapshot', t: this.getRecordingTime(), document: null };
+        event.pending = this.serializeRecordedDocument().then(documentData => {
+            event.document = documentData;
+            delete event.pending;
+        });
+        this.recording.events.push(event);
+        this.updateRecordingInfo();
+    }
+
+    /**
+     * The document for a recording snapshot. Layers whose pixels have not
+     * changed since an earlier snapshot store that image's id instead of
+     * another copy of it (see resolveRecordedImages).
+     */
+    serializeRecordedDocument() {
+        const recorder = this.recorder;
+        const recording = this.recording;
+        if (recorder.imagesOf !== recording) {
+            recorder.images = new WeakMap();
+            recorder.imagesOf = recording;
+        }
+        return this.serializeDocument({
+            includeRecording: false,
+            layerImage: async layer => {
+                const known = recorder.images.get(layer);
+                if (known !== undefined) return { image: null, imageId: known };
+                // Claimed before encoding: every layer is looked at before the first await
+                const imageId = recording.nextImageId || 0;
+                recording.nextImageId = imageId + 1;
+                recorder.images.set(layer, imageId);
+                return { image: await this.canvasToBlob(layer.canvas), imageId };
+            }
+        });
+    }
+
+    // Layers whose pixels changed need a new image in the next snapshot
+    forgetRecordedImages(layers) {
+        layers.forEach(layer => this.recorder.images.delete(layer));
+    }
+
+    /**
+     * Fill in the layers of a recorded document that point at an earlier
+     * snapshot's image; images is shared along the whole recording
+     */
+    resolveRecordedImages(documentData, images) {
+        if (!documentData.frames) return documentData;
+        return {
+            ...documentData,
+            frames: documentData.frames.map(frame => ({
+                ...frame,
+                layers: frame.layers.map(layer => {
+                    if (layer.image) {
+                        if (layer.imageId !== undefined) images.set(layer.imageId, layer.image);
+                        return layer;
+                    }
+                    return { ...layer, image: images.get(layer.imageId) };
+                })
+            }))
+        };
+    }
+
+    /**
+     * The recording as a plain, storable record once all snapshots are encoded
+     */
+    async serializeRecording() {
+        const recording = this.recording;
+        if (!recording) return null;
+        if (this.recorder.active) recording.duration = this.getRecordingTime();
+        recording.start = await recording.start;
+        await Promise.all(recording.events.map(event => event.pending));
+        return {
+            version: recording.version,
+            width: recording.width,
+            height: recording.height,
+            duration: recording.duration,
+            nextImageId: recording.nextImageId || 0,
+            start: recording.start,
+            events: recording.events.map(event => ({ ...event }))
+        };
+    }
+
+    updateRecordingInfo() {
+        const info = document.getElementById('recordingInfo');
+        const button = document.getElementById('recordButton');
+        if (!info || !button) return;
+        const active = this.recorder.active;
+        button.innerHTML = active ? '<span>⏹</span> Stop' : '<span>⏺</span> Record';
+        button.classList.toggle('recording', active);
+        if (!this.recording) {
+            info.textContent = 'Not recording';
+            return;
+        }
+        const strokes = this.recording.events.filter(event => event.type !== 'snapshot').length;
+        const duration = active ? this.getRecordingTime() : this.recording.duration;
+        const seconds = Math.floor(duration / 1000);
+        const time = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        info.textContent = `${active ? '● Recording · ' : ''}${strokes} stroke${strokes === 1 ? '' : 's'} · ${time}`;
+    }
+
+    /**
+     * Replay the recording as a time-lapse. The live document is set aside,
+     * the recording is re-drawn with the real tools from its starting point,
+     * and the live document comes back when the replay ends or is stopped.
+     * onFrame is called whenever the replay has drawn something new.
+     */
+    async playRecording(onFrame = null) {
+        if (this.replaySession || this.isDrawing || this.isBlockedInSession('Time-lapse replay')) return false;
+        if (!this.recording || !this.recording.events.length) {
+            this.showNotification('Record some drawing first', 'info');
+            return false;
+        }
+        this.stopRecording();
+        this.stopAnimation();
+        this.commitTextEdit();
+        this.cancelFilter();
+        this.cancelCurve();
+        const recording = await this.serializeRecording();
+        const images = new Map();
+        const stash = this.stashDocument();
+        const session = { stopped: false, debt: 0, onFrame };
+        this.replaySession = session;
+        document.body.classList.add('replaying');
+        document.getElementById('replayBar').hidden = false;
+        this.updateReplayProgress(0);
+        try {
+            await this.loadReplaySnapshot(this.resolveRecordedImages(recording.start, images));
+            let clock = 0;
+            for (let i = 0; i < recording.events.length && !session.stopped; i++) {
+                const event = recording.events[i];
+                // Long pauses between actions are cut short
+                await this.waitForReplay(Math.min(event.t - clock, this.replayMaxPause));
+                clock = event.t;
+                if (event.type === 'snapshot') {
+                    await this.loadReplaySnapshot(this.resolveRecordedImages(event.document, images));
+                } else if (event.type === 'fill') {
+                    this.replayFill(event);
+                } else {
+                    clock = await this.replayStroke(event, clock);
+                }
+                this.updateReplayProgress((i + 1) / recording.events.length);
+            }
+            if (onFrame && !session.stopped) {
+                // Hold the finished drawing for a moment
+                this.renderCanvas();
+                onFrame();
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+            return !session.stopped;
+        } catch (error) {
+            console.error('Replay failed:', error);
+            this.showNotification('Replay failed', 'error');
+            return false;
+        } finally {
+            this.replaySession = null;
+            this.restoreDocument(stash);
+            document.body.classList.remove('replaying');
+            document.getElementById('replayBar').hidden = true;
+        }
+    }
+
+    stopReplay() {
+        if (this.replaySession) this.replaySession.stopped = true;
+    }
+
+    /**
+     * Wait out a stretch of recording time at the replay speed. Short waits
+     * add up first, so fast replays are not held back by timer resolution.
+     */
+    async waitForReplay(ms) {
+        const session = this.replaySession;
+        if (session.stopped) return;
+        session.debt += Math.max(0, ms) / this.replaySpeed;
+        if (session.debt < 16) return;
+        const wait = session.debt;
+        session.debt = 0;
+        this.renderCanvas();
+        if (session.onFrame) session.onFrame();
+        await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    async loadReplaySnapshot(documentData) {
+        await this.loadDocument(documentData);
+        this.selectShape(null);
+        this.renderCanvas();
+        if (this.replaySession.onFrame) this.replaySession.onFrame();
+    }
+
+    /**
+     * Re-draw one recorded stroke at recording speed. Returns the recording
+     * time it ended at.
+     */
+    async replayStroke(stroke, clock) {
+        this.showFrame(Math.min(stroke.frame || 0, this.frames.length - 1));
+        this.setActiveLayer(Math.min(stroke.layer, this.layers.length - 1));
+        await this.drawRecordedStroke(stroke, async sample => {
+            await this.waitForReplay(sample.t - clock);
+            clock = sample.t;
+        });
+        this.selectShape(null);
+        this.selection = null;
+        return clock;
+    }
+
+    replayFill(fill) {
+        this.showFrame(Math.min(fill.frame || 0, this.frames.length - 1));
+        this.setActiveLayer(Math.min(fill.layer, this.layers.length - 1));
+        this.applyRecordedFill(fill, this.getActiveLayer());
+        this.saveState('Fill');
+        this.selection = null;
+    }
+
+    /**
+     * Draw a recorded stroke on the active layer through the normal tool
+     * code with the tool, settings, selection and seed it was made with.
+     * beforeSample, if given, is awaited before each sample after the first;
+     * without it the stroke is drawn in one go.
+     */
+    async drawRecordedStroke(stroke, beforeSample = null) {
+        if (!this.tools.has(stroke.tool)) {
+            console.warn(`Skipping a stroke made with the unknown tool "${stroke.tool}"`);
+            return;
+        }
+        this.currentTool = stroke.tool;
+        this.applyStrokeSettings(stroke.settings);
+        this.replayToolSettings = stroke.settings.tool || null;
+        this.selection = stroke.selection;
+
+        const samples = stroke.samples;
+        this.isDrawing = true;
+        try {
+            this.beginToolAction(samples[0], samples[0], stroke.seed);
+            for (let i = 1; i < samples.length; i++) {
+                const sample = samples[i];
+                if (beforeSample) await beforeSample(sample);
+                if (i === samples.length - 1) break;
+                this.endX = sample.x;
+                this.endY = sample.y;
+                this.executeToolAction(sample, 'move', sample);
+            }
+            const last = samples[samples.length - 1];
+            this.isDrawing = false;
+            this.endX = last.x;
+            this.endY = last.y;
+            this.finishToolAction(last, last);
+        } finally {
+            // A tool that throws must not leave the app mid-stroke
+            this.isDrawing = false;
+            this.activeStroke = null;
+            this.endSelectionClip();
+            this.replayToolSettings = null;
+        }
+    }
+
+    // Everything a replay changes, so the live document can be put back
+    stashDocument() {
+        const keys = [
+            'layers', 'frames', 'currentFrameIndex', 'animation', 'activeLayerIndex', 'layerCounter', 'docWidth', 'docHeight', 'docDpi', 'docBackground', 'guides',
+            'dirty', 'history', 'historyIndex', 'historyBaseName', 'committedLayerState', 'pendingPixelEdits',
+            'selection', 'selectedShape', 'currentTool', 'currentColor', 'colorAlpha', 'brushSize', 'opacity',
+            'brushSettings', 'penSettings', 'shapeSettings', 'gradientSettings', 'fillSettings', 'symmetry'
+        ];
+        const stash = {};
+        keys.forEach(key => { stash[key] = this[key]; });
+        stash.view = { ...this.view };
+        stash.project = { ...this.currentProject };
+        return stash;
+    }
+
+    restoreDocument(stash) {
+        const { view, project, selection, selectedShape, activeLayerIndex, ...state } = stash;
+        Object.assign(this, state);
+        this.view = view;
+        this.currentProject = project;
+        this.setDocumentSize(this.docWidth, this.docHeight);
+        this.setActiveLayer(activeLayerIndex);
+        selection ? this.setSelection(selection) : this.clearSelection();
+        this.selectShape(selectedShape);
+        this.draftShape = null;
+        this.invalidateOnionSkins();
+        this.updateAnimationControls();
+        this.renderTimeline();
+        this.updateZoomDisplay();
+        this.updateProjectInfo();
+        this.renderHistoryPanel();
+        this.requestRender();
+    }
+
+    updateReplayProgress(fraction) {
+        document.getElementById('replayProgress').style.width = `${Math.round(fraction * 100)}%`;
+    }
+
+    /**
+     * Export the time-lapse as a WebM video by capturing a canvas the replay
+     * draws the flattened document into
+     */
+    async exportTimelapse() {
+        if (this.isBlockedInSession('Time-lapse export')) return;
+        if (!this.recording || !this.recording.events.length) {
+            this.showNotification('Record some drawing first', 'info');
+            return;
+        }
+        const frame = document.createElement('canvas');
+        if (typeof MediaRecorder === 'undefined' || !frame.captureStream) {
+            this.showNotification('Video export is not supported in this browser', 'error');
+            return;
+        }
+        // Video encoders want even dimensions
+        const scale = Math.min(1, 1920 / Math.max(this.recording.width, this.recording.height));
+        frame.width = Math.max(2, Math.round(this.recording.width * scale / 2) * 2);
+        frame.height = Math.max(2, Math.round(this.recording.height * scale / 2) * 2);
+        const frameCtx = frame.getContext('2d');
+        const drawFrame = () => {
+            const image = this.getFlattenedCanvas(this.getExportBackground());
+            const fit = Math.min(frame.width / image.width, frame.height / image.height);
+            frameCtx.fillStyle = '#ffffff';
+            frameCtx.fillRect(0, 0, frame.width, frame.height);
+            frameCtx.drawImage(image, (frame.width - image.width * fit) / 2, (frame.height - image.height * fit) / 2,
+                image.width * fit, image.height * fit);
+        };
+
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        const stream = frame.captureStream(30);
+        const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        const chunks = [];
+        recorder.ondataavailable = e => {
+            if (e.data.size) chunks.push(e.data);
+        };
+        const finished = new Promise(resolve => { recorder.onstop = resolve; });
+        recorder.start(1000);
+        const completed = await this.playRecording(drawFrame);
+        recorder.stop();
+        await finished;
+        stream.getTracks().forEach(track => track.stop());
+        if (!completed) {
+            this.showNotification('Video export cancelled', 'info');
+            return;
+        }
+        this.downloadBlob(new Blob(chunks, { type: 'video/webm' }), `${this.currentProject.name || 'drawing'}-timelapse.webm`);
+        this.showNotification('Time-lapse exported as WebM', 'success');
+    }
+
+    // Save a Blob through a temporary download link
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Collaboration. Everyone in a room sends their edits through the relay
+     * (server/relay.js) as operations; the relay numbers them and sends each
+     * one to the whole room, so every copy applies the same operations in
+     * the same order. Our own edits show at once and stay pending until the
+     * relay echoes them back; a remote operation that arrives first is
+     * slotted in before them by rolling the pending ones back and applying
+     * them again on top.
+     *
+     * An operation is one undo step: { type: 'edit', id, author, name,
+     * changes }. Strokes and fills travel as the input that made them and
+     * are re-drawn with the same tools, shapes and text as object changes,
+     * layer edits by layer id and anything else as the changed pixels.
+     * Undo and redo are operations too ({ type: 'undo' | 'redo', target }):
+     * people undo only their own steps, and every copy rebuilds the drawing
+     * from its base without the undone ones. Steps more than
+     * collabUndoWindow operations old are folded into the base.
+     */
+    showCollabDialog() {
+        const settings = this.collabSettings;
+        document.getElementById('collabUrl').value = settings.url || this.getDefaultRelayUrl();
+        document.getElementById('collabRoom').value = settings.room;
+        document.getElementById('collabName').value = settings.name;
+        document.getElementById('collabColor').value = settings.color;
+        this.updateCollabStatus();
+        this.showDialog('collabModal');
+    }
+
+    // The relay also serves the app, so a page loaded from it connects back to it
+    getDefaultRelayUrl() {
+        if (location.protocol === 'http:' || location.protocol === 'https:') {
+            return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}`;
+        }
+        return 'ws://localhost:8080';
+    }
+
+    loadCollabSettings() {
+        try {
+            Object.assign(this.collabSettings, JSON.parse(localStorage.getItem('drawingMaster.collab')) || {});
+        } catch (error) {
+            console.warn('Ignoring invalid collaboration settings:', error);
+        }
+    }
+
+    // Join from the dialog, remembering its settings for next time
+    submitCollabDialog() {
+        const settings = {
+            url: document.getElementById('collabUrl').value.trim(),
+            room: document.getElementById('collabRoom').value.trim() || 'drawing',
+            name: document.getElementById('collabName').value.trim() || 'Guest',
+            color: document.getElementById('collabColor').value
+        };
+        if (!/^wss?:\/\//i.test(settings.url)) {
+            this.showNotification('The server address starts with ws:// or wss://', 'error');
+            return;
+        }
+        this.collabSettings = settings;
+        localStorage.setItem('drawingMaster.collab', JSON.stringify(settings));
+        this.hideDialogs();
+        this.joinSession(settings);
+    }
+
+    /**
+     * Connect to a room. The first person in shares their drawing; anyone
+     * joining later gets the room's current drawing in place of theirs.
+     */
+    joinSession({ url, room, name, color }) {
+        if (this.collab || this.replaySession) return;
+        if (this.hasUnsavedChanges() &&
+            !confirm('If the room already has a drawing, it replaces this one and unsaved changes are lost. Join anyway?')) {
+            return;
+        }
+        this.stopAnimation();
+        this.commitTextEdit();
+        this.cancelFilter();
+        this.finishCurve();
+        let socket;
+        try {
+            socket = new WebSocket(`${url.replace(/\/+$/, '')}/${encodeURIComponent(room)}`);
+        } catch (error) {
+            this.showNotification('Invalid server address', 'error');
+            return;
+        }
+        const collab = {
+            socket,
+            room,
+            user: { id: this.generateId(), name, color },
+            ready: false,
+            // clientId -> { id, name, color, cursor }
+            peers: new Map(),
+            // Number of the last operation applied
+            seq: 0,
+            // Frames the log is replayed onto (see captureCollabBase)
+            base: null,
+            baseSeq: 0,
+            // Confirmed edits after the base ({ seq, op, undone }) and our
+            // unconfirmed ones ({ op, revert })
+            log: [],
+            pending: [],
+            // Decoded images of pixel changes
+            images: new WeakMap(),
+            // Our edits with an undo or redo on the way, and what we can redo
+            requested: new Set(),
+            redoStack: [],
+            applying: null,
+            queue: Promise.resolve(),
+            cursor: null,
+            cursorTimer: null,
+            cursorSentAt: 0
+        };
+        this.collab = collab;
+        socket.onopen = () => this.sendCollab({ type: 'hello', name, color });
+        socket.onmessage = e => this.handleCollabMessage(collab, e.data);
+        socket.onclose = () => {
+            if (this.collab !== collab) return;
+            this.leaveSession(collab.ready ? 'Disconnected from the session' : 'Could not connect to the collaboration server', 'error');
+        };
+        this.updateCollabStatus();
+        this.showNotification(`Connecting to room "${room}"…`, 'info');
+    }
+
+    /**
+     * Leave the session; the drawing stays as it is, with a fresh history
+     */
+    leaveSession(message = 'You left the session', type = 'info') {
+        const collab = this.collab;
+        if (!collab) return;
+        this.collab = null;
+        clearTimeout(collab.cursorTimer);
+        collab.socket.onclose = null;
+        collab.socket.close();
+        // Until the welcome replaced the document the local history still applies
+        if (collab.ready) this.resetHistory('Collaboration session');
+        this.updateCollabStatus();
+        this.requestRender();
+        this.showNotification(message, type);
+    }
+
+    sendCollab(message) {
+        const socket = this.collab && this.collab.socket;
+        if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+    }
+
+    // Whole-document and frame changes cannot be merged with other people's edits
+    isBlockedInSession(action) {
+        if (!this.collab) return false;
+        this.showNotification(`${action} is not available while collaborating`, 'info');
+        return true;
+    }
+
+    handleCollabMessage(collab, data) {
+        if (this.collab !== collab) return;
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.warn('Ignoring invalid collaboration message:', error);
+            return;
+        }
+        switch (message.type) {
+            case 'cursor': {
+                const peer = collab.peers.get(message.clientId);
+                if (peer) {
+                    peer.cursor = message.x === null ? null : { x: message.x, y: message.y };
+                    this.requestRender();
+                }
+                return;
+            }
+            case 'peer-joined':
+                collab.peers.set(message.peer.id, { ...message.peer, cursor: null });
+                this.updateCollabStatus();
+                this.showNotification(`${message.peer.name} joined`, 'info');
+                return;
+            case 'peer-left': {
+                const peer = collab.peers.get(message.clientId);
+                collab.peers.delete(message.clientId);
+                this.updateCollabStatus();
+                this.requestRender();
+                if (peer) this.showNotification(`${peer.name} left`, 'info');
+                return;
+            }
+        }
+        // Everything else changes the drawing, strictly in the order it arrives
+        collab.queue = collab.queue
+            .then(() => this.collab === collab && this.processCollabMessage(message))
+            .catch(error => {
+                console.error('Collaboration failed:', error);
+                if (this.collab === collab) this.leaveSession('Left the session after an error', 'error');
+            });
+    }
+
+    async processCollabMessage(message) {
+        switch (message.type) {
+            case 'welcome':
+                await this.startCollabSession(message);
+                break;
+            case 'op':
+                await this.receiveCollabOperation(message);
+                break;
+            case 'request-snapshot':
+                if (this.collab.base) this.sendCollab({ type: 'snapshot', ...this.serializeCollabBase() });
+                break;
+        }
+    }
+
+    /**
+     * Set up from the relay's welcome: load the room's drawing (or share
+     * ours if the room is new) and catch up on the operations since
+     */
+    async startCollabSession({ clientId, peers, snapshot, ops }) {
+        const collab = this.collab;
+        collab.clientId = clientId;
+        peers.forEach(peer => collab.peers.set(peer.id, { ...peer, cursor: null }));
+        if (snapshot) {
+            await this.loadDocument(this.documentFromTransfer(snapshot.document));
+            if (this.collab !== collab) {
+                // Left while loading: the old history no longer matches the drawing
+                this.resetHistory('Collaboration session');
+                return;
+            }
+            collab.seq = snapshot.seq;
+            // The shared drawing is not one of our saved projects
+            this.currentProject = { id: null, name: collab.room, created: new Date(), modified: new Date(), saved: false };
+            this.updateProjectInfo();
+        }
+        this.resetHistory('Collaboration session');
+        collab.base = this.captureCollabBase();
+        collab.baseSeq = collab.seq;
+        collab.ready = true;
+        if (!snapshot) this.sendCollab({ type: 'snapshot', ...this.serializeCollabBase() });
+        for (const entry of ops) await this.receiveCollabOperation(entry);
+        this.updateCollabStatus();
+        const others = collab.peers.size;
+        this.showNotification(others
+            ? `Joined "${collab.room}" with ${others} other${others === 1 ? '' : 's'}`
+            : `Started room "${collab.room}"; others can join it now`, 'success');
+    }
+
+    async receiveCollabOperation({ seq, op }) {
+        const collab = this.collab;
+        if (seq <= collab.seq) return;
+        if (op.type === 'edit') {
+            const own = collab.pending[0];
+            if (own && own.op.id === op.id) {
+                // One of ours coming back: already applied, now confirmed
+                collab.pending.shift();
+                op = own.op;
+            } else {
+                await this.prepareCollabOperation(op);
+                if (!await this.waitForCollabIdle(collab)) return;
+                await this.applyRemoteOperation(op);
+            }
+            collab.seq = seq;
+            collab.log.push({ seq, op, undone: false });
+        } else {
+            if (!await this.waitForCollabIdle(collab)) return;
+            collab.seq = seq;
+            await this.applyCollabUndo(seq, op);
+        }
+        // Fold old steps into the base now and then
+        if (collab.log.length > this.collabUndoWindow * 2 && await this.waitForCollabIdle(collab)) {
+            await this.rebuildCollabDocument();
+        }
+        this.updateCollabStatus();
+    }
+
+    // Decode the images of pixel changes before the operation is applied
+    async prepareCollabOperation(op) {
+        const images = this.collab.images;
+        await Promise.all(op.changes.filter(change => change.kind === 'pixels').map(async change => {
+            images.set(change, await createImageBitmap(this.dataURLToBlob(change.image)));
+        }));
+    }
+
+    /**
+     * Remote changes wait until our own tool action is finished. Applying
+     * them never waits on anything else, so no input can slip in between.
+     */
+    async waitForCollabIdle(collab) {
+        while (this.collab === collab && (this.isDrawing || this.fillInProgress || this.textEdit || this.filterSession)) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        return this.collab === collab;
+    }
+
+    // Apply someone else's operation underneath our pending ones
+    async applyRemoteOperation(op) {
+        const { pending } = this.collab;
+        if (!pending.length) {
+            await this.applyCollabOperation(op);
+            return;
+        }
+        const tools = this.stashCollabTools();
+        pending.slice().reverse().forEach(({ revert }) => {
+            revert.diffs.slice().reverse().forEach(diff => this.swapPixelDiff(diff));
+            this.restoreLayerState(revert.before);
+        });
+        this.committedLayerState = this.captureLayerState();
+        await this.applyCollabOperation(op);
+        for (const step of pending) step.revert = await this.applyCollabOperation(step.op);
+        this.restoreCollabTools(tools);
+        this.committedLayerState = this.captureLayerState();
+    }
+
+    /**
+     * Apply an operation's changes and return what rolls it back: the
+     * layer state before it and the old pixels of what it changed
+     */
+    async applyCollabOperation(op) {
+        const collab = this.collab;
+        const tools = this.stashCollabTools();
+        const revert = { before: this.committedLayerState, diffs: [] };
+        collab.applying = revert;
+        try {
+            for (const change of op.changes) await this.applyCollabChange(change);
+        } finally {
+            this.restoreCollabTools(tools);
+            // Collects the changed pixels into revert (see commitCollabStep)
+            this.saveState(op.name);
+            collab.applying = null;
+        }
+        this.markUnsaved();
+        this.invalidateOnionSkins();
+        this.renderTimeline();
+        this.recordDocumentChange();
+        this.requestRender();
+        return revert;
+    }
+
+    // Apply one change; changes to layers that no longer exist are dropped
+    async applyCollabChange(change) {
+        if (change.kind === 'layer-add') {
+            this.addCollabLayer(change);
+            return;
+        }
+        if (change.kind === 'layer-order') {
+            const frame = this.frames.find(item => item.id === change.frameId);
+            if (frame) this.reorderById(frame.layers, change.order);
+            return;
+        }
+        const layer = this.focusCollabLayer(change.layerId);
+        if (!layer) return;
+        switch (change.kind) {
+            case 'layer-remove':
+                // Every frame keeps at least one layer
+                if (this.layers.length > 1) {
+                    this.layers.splice(this.activeLayerIndex, 1);
+                    this.activeLayerIndex = Math.min(this.activeLayerIndex, this.layers.length - 1);
+                    this.ctx = this.getActiveLayer().ctx;
+                }
+                break;
+            case 'layer-update':
+                ['name', 'visible', 'locked', 'opacity', 'blendMode'].forEach(key => {
+                    if (key in change.props) layer[key] = change.props[key];
+                });
+                break;
+            case 'objects':
+                this.applyObjectChanges(layer, change);
+                break;
+            case 'pixels': {
+                const ctx = layer.ctx;
+                this.beginPixelEdit(layer);
+                ctx.save();
+                ctx.setTransform(1, 0, 0, 1, 0, 0);
+                ctx.globalAlpha = 1;
+                ctx.globalCompositeOperation = 'source-over';
+                ctx.clearRect(change.x, change.y, change.width, change.height);
+                ctx.drawImage(this.collab.images.get(change), change.x, change.y);
+                ctx.restore();
+                break;
+            }
+            case 'stroke':
+                await this.drawRecordedStroke(change);
+                break;
+            case 'fill':
+                this.applyRecordedFill(change, layer);
+                break;
+        }
+    }
+
+    // Make the layer with this id the tools' target, on whichever frame has it
+    focusCollabLayer(layerId) {
+        const frameIndex = this.frames.findIndex(frame => frame.layers.some(layer => layer.id === layerId));
+        if (frameIndex < 0) return null;
+        if (frameIndex !== this.currentFrameIndex) this.switchToFrame(frameIndex);
+        this.activeLayerIndex = this.layers.findIndex(layer => layer.id === layerId);
+        this.ctx = this.getActiveLayer().ctx;
+        return this.getActiveLayer();
+    }
+
+    // A new layer goes above the one it was added over, or on top if that is gone
+    addCollabLayer({ frameId, afterId, layer: entry }) {
+        const frame = this.frames.find(item => item.id === frameId);
+        if (!frame || this.frames.some(item => item.layers.some(layer => layer.id === entry.id))) return;
+        const layer = this.createLayer(entry.name);
+        layer.id = entry.id;
+        layer.visible = entry.visible;
+        layer.locked = entry.locked;
+        layer.opacity = entry.opacity;
+        layer.blendMode = entry.blendMode;
+        layer.objects = entry.objects.map(shape => ({ ...shape }));
+        const below = frame.layers.findIndex(item => item.id === afterId);
+        frame.layers.splice(afterId === null ? 0 : below >= 0 ? below + 1 : frame.layers.length, 0, layer);
+    }
+
+    applyObjectChanges(layer, { changes, order }) {
+        changes.forEach(change => {
+            const index = layer.objects.findIndex(shape => shape.id === change.id);
+            if (change.type === 'add') {
+                if (index >= 0) return;
+                const below = layer.objects.findIndex(shape => shape.id === change.afterId);
+                layer.objects.splice(change.afterId === null ? 0 : below >= 0 ? below + 1 : layer.objects.length, 0, { ...change.shape });
+            } else if (index >= 0) {
+                // Edits to a shape someone else has deleted are dropped
+                if (change.type === 'update') {
+                    layer.objects[index] = { ...change.shape };
+                } else {
+                    layer.objects.splice(index, 1);
+                }
+            }
+        });
+        if (order) this.reorderById(layer.objects, order);
+    }
+
+    // Put the items named in order into that order, within the slots they
+    // already hold; items it does not name (added meanwhile) stay put
+    reorderById(items, order) {
+        const rank = new Map(order.map((id, index) => [id, index]));
+        const slots = [];
+        items.forEach((item, index) => {
+            if (rank.has(item.id)) slots.push(index);
+        });
+        const sorted = slots.map(index => items[index]).sort((a, b) => rank.get(a.id) - rank.get(b.id));
+        slots.forEach((slot, index) => {
+            items[slot] = sorted[index];
+        });
+    }
+
+    // Recorded and shared fills run again on this copy's pixels, like a click with the fill bucket
+    applyRecordedFill({ x, y, settings, selection }, layer) {
+        this.currentTool = 'fill';
+        this.applyStrokeSettings(settings);
+        this.selection = selection;
+        const paint = this.getFillPaint();
+        if (!paint) return;
+        const sample = this.getLayerRenderCanvas(layer).getContext('2d')
+            .getImageData(0, 0, this.docWidth, this.docHeight);
+        const mask = computeFillMask(sample.data, sample.width, sample.height, x, y, { ...this.fillSettings });
+        this.beginPixelEdit(layer);
+        this.applyFillMask(layer, mask, sample.width, sample.height, paint, this.getPaintOpacity());
+    }
+
+    // The tool state an operation borrows while it is applied
+    stashCollabTools() {
+        return {
+            frameId: this.getCurrentFrame().id,
+            layerId: this.getActiveLayer().id,
+            shapeId: this.selectedShape ? this.selectedShape.id : null,
+            selection: this.selection,
+            settings: {
+                currentTool: this.currentTool,
+                currentColor: this.currentColor,
+                colorAlpha: this.colorAlpha,
+                brushSize: this.brushSize,
+                opacity: this.opacity,
+                brushSettings: this.brushSettings,
+                penSettings: this.penSettings,
+                shapeSettings: this.shapeSettings,
+                gradientSettings: this.gradientSettings,
+                fillSettings: this.fillSettings,
+                symmetry: this.symmetry,
+                guides: this.guides
+            }
+        };
+    }
+
+    restoreCollabTools({ frameId, layerId, shapeId, selection, settings }) {
+        const frameIndex = this.frames.findIndex(frame => frame.id === frameId);
+        if (frameIndex >= 0 && frameIndex !== this.currentFrameIndex) this.switchToFrame(frameIndex);
+        const layerIndex = this.layers.findIndex(layer => layer.id === layerId);
+        this.setActiveLayer(layerIndex >= 0 ? layerIndex : Math.min(this.activeLayerIndex, this.layers.length - 1));
+        Object.assign(this, settings);
+        this.selection = selection;
+        const selected = shapeId && this.findShapeById(shapeId);
+        this.selectShape(selected ? selected.shape : null);
+    }
+
+    /**
+     * Note the input of a stroke or fill while it happens, so the step it
+     * ends in can travel as that input instead of pixels
+     */
+    captureCollabAction(pos, phase, event) {
+        const tool = this.getTool();
+        if (phase === 'start') {
+            const input = {
+                layerId: this.getActiveLayer().id,
+                selection: this.selection ? JSON.parse(JSON.stringify(this.selection)) : null,
+                settings: this.getStrokeSettings()
+            };
+            this.collabAction = null;
+            // Shapes travel as the objects they make. The stroke is named like the
+            // step it ends in: the tool's history name, or its label for tools
+            // that save their own step (Gradient)
+            if (this.isToolReplayable(tool) && !this.shapeTools.includes(tool.id)) {
+                this.collabAction = { kind: 'stroke', name: tool.history || tool.label, tool: tool.id, seed: this.strokeSeed, ...input, samples: [] };
+            } else if (tool.id === 'fill' && this.canReplayFill()) {
+                this.collabAction = { kind: 'fill', name: 'Fill', x: Math.floor(pos.x), y: Math.floor(pos.y), ...input };
+            }
+        }
+        if (this.collabAction && this.collabAction.kind === 'stroke') {
+            this.collabAction.samples.push(this.getToolSample(pos, event, 0));
+        }
+    }
+
+    /**
+     * saveState in a session. Our steps are sent as operations and kept
+     * pending until the relay confirms them; while an operation is being
+     * applied, the pixels it changes are collected for rolling it back.
+     */
+    commitCollabStep(name, before, after, diffs) {
+        const collab = this.collab;
+        if (collab.applying) {
+            collab.applying.diffs.push(...diffs);
+            return;
+        }
+        const action = this.collabAction;
+        this.collabAction = null;
+        if (!diffs.length && this.layerStatesEqual(before, after)) return;
+        this.markUnsaved();
+        this.invalidateOnionSkins();
+        this.updateFrameThumbnail(this.currentFrameIndex);
+        this.recordDocumentChange();
+
+        const op = {
+            type: 'edit',
+            id: this.generateId(),
+            author: collab.user.id,
+            name,
+            changes: this.describeCollabChanges(name, before, after, diffs, action)
+        };
+        collab.pending.push({ op, revert: { before, diffs } });
+        collab.redoStack = [];
+        this.sendCollab({ type: 'op', op });
+    }
+
+    /**
+     * Describe a step as operation changes by comparing the layer states
+     * before and after it
+     */
+    describeCollabChanges(name, before, after, diffs, action) {
+        const changes = [];
+        const beforeLayers = new Set(before.frames.flatMap(frame => frame.layers));
+        const afterLayers = new Set(after.frames.flatMap(frame => frame.layers));
+
+        // New layers arrive whole, pixels included
+        after.frames.forEach(frame => {
+            frame.layers.forEach((layer, index) => {
+                if (beforeLayers.has(layer)) return;
+                changes.push({
+                    kind: 'layer-add',
+                    frameId: frame.id,
+                    afterId: index ? frame.layers[index - 1].id : null,
+                    layer: {
+                        id: layer.id,
+                        name: layer.name,
+                        visible: layer.visible,
+                        locked: layer.locked,
+                        opacity: layer.opacity,
+                        blendMode: layer.blendMode,
+                        objects: layer.objects.map(shape => ({ ...shape }))
+                    }
+                });
+                changes.push(this.describePixelChange(layer, { x: 0, y: 0, width: layer.canvas.width, height: layer.canvas.height }));
+            });
+        });
+
+        // Properties and shapes of layers that stay
+        before.layers.forEach((layer, index) => {
+            const afterIndex = after.layers.indexOf(layer);
+            if (afterIndex < 0) return;
+            const old = before.props[index];
+            const now = after.props[afterIndex];
+            const props = {};
+            ['name', 'visible', 'locked', 'opacity', 'blendMode'].forEach(key => {
+                if (old[key] !== now[key]) props[key] = now[key];
+            });
+            if (Object.keys(props).length) changes.push({ kind: 'layer-update', layerId: layer.id, props });
+            const objects = this.describeObjectChanges(old.objects, now.objects);
+            if (objects) changes.push({ kind: 'objects', layerId: layer.id, ...objects });
+        });
+
+        // Pixels: as the stroke or fill that painted them when that is all there is
+        const painted = diffs.filter(diff => beforeLayers.has(diff.layer) && afterLayers.has(diff.layer));
+        if (action && action.name === name && painted.length && painted.every(diff => diff.layer.id === action.layerId)) {
+            const { name: actionName, ...change } = action;
+            changes.push(change);
+        } else {
+            painted.forEach(diff => changes.push(this.describePixelChange(diff.layer,
+                { x: diff.x, y: diff.y, width: diff.data.width, height: diff.data.height })));
+        }
+
+        // Layer order, then removed layers
+        after.frames.forEach(frame => {
+            const previous = before.frames.find(item => item.id === frame.id);
+            if (!previous) return;
+            const kept = frame.layers.filter(layer => previous.layers.includes(layer));
+            const old = previous.layers.filter(layer => frame.layers.includes(layer));
+            if (kept.some((layer, index) => layer !== old[index])) {
+                changes.push({ kind: 'layer-order', frameId: frame.id, order: kept.map(layer => layer.id) });
+            }
+        });
+        beforeLayers.forEach(layer => {
+            if (!afterLayers.has(layer)) changes.push({ kind: 'layer-remove', layerId: layer.id });
+        });
+        return changes;
+    }
+
+    // Shapes added, edited and removed on one layer, plus any new stacking order
+    describeObjectChanges(before, after) {
+        const old = new Map(before.map(shape => [shape.id, shape]));
+        const ids = new Set(after.map(shape => shape.id));
+        const changes = [];
+        before.forEach(shape => {
+            if (!ids.has(shape.id)) changes.push({ type: 'remove', id: shape.id });
+        });
+        after.forEach((shape, index) => {
+            const previous = old.get(shape.id);
+            if (!previous) {
+                changes.push({ type: 'add', id: shape.id, afterId: index ? after[index - 1].id : null, shape: { ...shape } });
+            } else if (JSON.stringify(previous) !== JSON.stringify(shape)) {
+                changes.push({ type: 'update', id: shape.id, shape: { ...shape } });
+            }
+        });
+        const kept = after.filter(shape => old.has(shape.id)).map(shape => shape.id);
+        const order = before.filter(shape => ids.has(shape.id)).map(shape => shape.id);
+        const reordered = kept.some((id, index) => id !== order[index]);
+        return changes.length || reordered ? { changes, order: reordered ? kept : null } : null;
+    }
+
+    // A region of a layer as it is now, sent as a PNG
+    describePixelChange(layer, { x, y, width, height }) {
+        const region = document.createElement('canvas');
+        region.width = width;
+        region.height = height;
+        region.getContext('2d').drawImage(layer.canvas, x, y, width, height, 0, 0, width, height);
+        const change = { kind: 'pixels', layerId: layer.id, x, y, width, height, image: region.toDataURL('image/png') };
+        this.collab.images.set(change, region);
+        return change;
+    }
+
+    // Undo or redo one of its author's steps, if it is still within the window
+    async applyCollabUndo(seq, op) {
+        const collab = this.collab;
+        collab.requested.delete(op.target);
+        const entry = collab.log.find(item => item.op.id === op.target);
+        if (!entry || entry.op.author !== op.author || entry.seq <= seq - this.collabUndoWindow) return;
+        const undone = op.type === 'undo';
+        if (entry.undone === undone) return;
+        entry.undone = undone;
+        await this.rebuildCollabDocument();
+    }
+
+    /**
+     * Undo in a session: our own latest step, whatever others did since
+     */
+    collabUndo() {
+        const collab = this.collab;
+        if (!collab.ready || this.isDrawing) return;
+        const oldest = collab.seq + 1 - this.collabUndoWindow;
+        const steps = [
+            ...collab.log.filter(entry => !entry.undone && entry.seq > oldest).map(entry => entry.op),
+            ...collab.pending.map(step => step.op)
+        ].filter(op => op.author === collab.user.id && !collab.requested.has(op.id));
+        const target = steps.pop();
+        if (!target) {
+            this.showNotification('Nothing of yours left to undo', 'info');
+            return;
+        }
+        collab.requested.add(target.id);
+        collab.redoStack.push(target.id);
+        this.sendCollab({ type: 'op', op: { type: 'undo', id: this.generateId(), author: collab.user.id, target: target.id } });
+    }
+
+    collabRedo() {
+        const collab = this.collab;
+        if (!collab.ready || this.isDrawing || !collab.redoStack.length) return;
+        const target = collab.redoStack.pop();
+        collab.requested.add(target);
+        this.sendCollab({ type: 'op', op: { type: 'redo', id: this.generateId(), author: collab.user.id, target } });
+    }
+
+    /**
+     * Rebuild the drawing from the base: every confirmed step that is not
+     * undone, then our pending ones. Steps that have left the undo window
+     * are folded into a new base on the way.
+     */
+    async rebuildCollabDocument() {
+        const collab = this.collab;
+        const tools = this.stashCollabTools();
+        this.frames = collab.base.map(frame => ({
+            id: frame.id,
+            duration: frame.duration,
+            activeLayerIndex: 0,
+            layers: frame.layers.map(layer => this.copyCollabLayer(layer))
+        }));
+        this.currentFrameIndex = Math.max(0, this.frames.findIndex(frame => frame.id === tools.frameId));
+        this.layers = this.getCurrentFrame().layers;
+        this.setActiveLayer(0);
+        this.pendingPixelEdits = [];
+        this.committedLayerState = this.captureLayerState();
+
+        const replay = async entries => {
+            for (const entry of entries) {
+                if (!entry.undone) await this.applyCollabOperation(entry.op);
+            }
+        };
+        const folded = collab.log.filter(entry => entry.seq <= collab.seq - this.collabUndoWindow);
+        await replay(folded);
+        if (folded.length) {
+            collab.base = this.captureCollabBase();
+            collab.baseSeq = folded[folded.length - 1].seq;
+            collab.log = collab.log.slice(folded.length);
+        }
+        await replay(collab.log);
+        for (const step of collab.pending) step.revert = await this.applyCollabOperation(step.op);
+
+        this.restoreCollabTools(tools);
+        this.committedLayerState = this.captureLayerState();
+        this.invalidateOnionSkins();
+        this.renderTimeline();
+        this.requestRender();
+    }
+
+    // A copy of every frame's layers to rebuild from
+    captureCollabBase() {
+        return this.frames.map(frame => ({
+            id: frame.id,
+            duration: frame.duration,
+            layers: frame.layers.map(layer => this.copyCollabLayer(layer))
+        }));
+    }
+
+    // A detached copy of a layer with the same id, pixels, properties and shapes
+    copyCollabLayer(source) {
+        const layer = this.createLayer(source.name);
+        // Copies do not count towards new layer names
+        this.layerCounter--;
+        layer.id = source.id;
+        layer.visible = source.visible;
+        layer.locked = source.locked;
+        layer.opacity = source.opacity;
+        layer.blendMode = source.blendMode;
+        layer.objects = source.objects.map(shape => ({ ...shape }));
+        layer.ctx.drawImage(source.canvas, 0, 0);
+        return layer;
+    }
+
+    // The base as a document the relay can give to people joining later
+    serializeCollabBase() {
+        const collab = this.collab;
+        return {
+            seq: collab.baseSeq,
+            document: {
+                version: 3,
+                width: this.docWidth,
+                height: this.docHeight,
+                dpi: this.docDpi,
+                background: this.docBackground,
+                guides: this.guides.map(guide => ({ ...guide })),
+                animation: { ...this.animation },
+                currentFrame: 0,
+                frames: collab.base.map(frame => ({
+                    id: frame.id,
+                    duration: frame.duration,
+                    activeLayerIndex: 0,
+                    layers: frame.layers.map(layer => ({
+                        id: layer.id,
+                        name: layer.name,
+                        visible: layer.visible,
+                        locked: layer.locked,
+                        opacity: layer.opacity,
+                        blendMode: layer.blendMode,
+                        objects: layer.objects.map(shape => ({ ...shape })),
+                        image: layer.canvas.toDataURL('image/png')
+                    }))
+                }))
+            }
+        };
+    }
+
+    // Documents travel as JSON with layer images as data URLs; loadDocument wants Blobs
+    documentFromTransfer(documentData) {
+        return {
+            ...documentData,
+            frames: documentData.frames.map(frame => ({
+                ...frame,
+                layers: frame.layers.map(layer => ({ ...layer, image: this.dataURLToBlob(layer.image) }))
+            }))
+        };
+    }
+
+    dataURLToBlob(dataURL) {
+        const [header, data] = dataURL.split(',');
+        const binary = atob(data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: header.slice(5).split(';')[0] });
+    }
+
+    // Our pointer for the others, at most every 50ms (null once it leaves the canvas)
+    sendCollabCursor(pos) {
+        const collab = this.collab;
+        if (!collab.ready) return;
+        collab.cursor = pos && { x: Math.round(pos.x), y: Math.round(pos.y) };
+        if (collab.cursorTimer) return;
+        const delay = Math.max(0, collab.cursorSentAt + 50 - performance.now());
+        collab.cursorTimer = setTimeout(() => {
+            collab.cursorTimer = null;
+            collab.cursorSentAt = performance.now();
+            const cursor = collab.cursor;
+            if (this.collab === collab) this.sendCollab({ type: 'cursor', x: cursor ? cursor.x : null, y: cursor ? cursor.y : null });
+        }, delay);
+    }
+
+    // Other people's pointers with name tags, in screen pixels
+    drawRemoteCursors(ctx) {
+        if (!this.collab) return;
+        const { zoom, panX, panY } = this.view;
+        ctx.save();
+        ctx.font = '600 11px sans-serif';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 1.5;
+        this.collab.peers.forEach(peer => {
+            if (!peer.cursor) return;
+            const x = Math.round(peer.cursor.x * zoom + panX);
+            const y = Math.round(peer.cursor.y * zoom + panY);
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.lineTo(x, y + 16);
+            ctx.lineTo(x + 4.5, y + 12);
+            ctx.lineTo(x + 11, y + 12);
+            ctx.closePath();
+            ctx.fillStyle = peer.color;
+            ctx.strokeStyle = '#ffffff';
+            ctx.stroke();
+            ctx.fill();
+            const width = ctx.measureText(peer.name).width + 10;
+            ctx.fillRect(x + 8, y + 16, width, 18);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(peer.name, x + 13, y + 25);
+        });
+        ctx.restore();
+    }
+
+    // Header button, dialog state and the list of people in the room
+    updateCollabStatus() {
+        const button = document.getElementById('collabButton');
+        if (!button) return;
+        const collab = this.collab;
+        const live = !!(collab && collab.ready);
+        button.classList.toggle('live', live);
+        button.innerHTML = `<span>👥</span> ${!collab ? 'Collaborate' : live ? `Live · ${collab.peers.size + 1}` : 'Connecting…'}`;
+        button.title = live ? `In room "${collab.room}"` : 'Draw together with others';
+
+        ['collabUrl', 'collabRoom', 'collabName', 'collabColor'].forEach(id => {
+            document.getElementById(id).disabled = !!collab;
+        });
+        document.getElementById('collabJoin').hidden = !!collab;
+        document.getElementById('collabLeave').hidden = !collab;
+        const list = document.getElementById('collabPeers');
+        list.innerHTML = '';
+        list.hidden = !live;
+        if (!live) return;
+        [{ ...collab.user, you: true }, ...collab.peers.values()].forEach(person => {
+            const item = document.createElement('li');
+            const swatch = document.createElement('span');
+            swatch.className = 'collab-swatch';
+            swatch.style.background = person.color;
+            item.appendChild(swatch);
+            item.appendChild(document.createTextNode(person.you ? `${person.name} (you)` : person.name));
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Serialize the drawing into a storable document record
+     */
+    async serializeDocument({ includeRecording = true, layerImage = null } = {}) {
+        const serializeLayer = async layer => ({
+            id: layer.id,
+            name: layer.name,
+            visible: layer.visible,
+            locked: layer.locked,
+            opacity: layer.opacity,
+            blendMode: layer.blendMode,
+            objects: layer.objects.map(shape => ({ ...shape })),
+            ...(layerImage ? await layerImage(layer) : { image: await this.canvasToBlob(layer.canvas) })
+        });
+        const frames = await Promise.all(this.frames.map(async (frame, index) => ({
+            id: frame.id,
+            duration: frame.duration,
+            activeLayerIndex: index === this.currentFrameIndex ? this.activeLayerIndex : frame.activeLayerIndex,
+            layers: await Promise.all(frame.layers.map(serializeLayer))
+        })));
+        return {
+            version: 3,
+            width: this.docWidth,
+            height: this.docHeight,
+            dpi: this.docDpi,
+            background: this.docBackground,
+            guides: this.guides.map(guide => ({ ...guide })),
+            animation: { ...this.animation },
+            currentFrame: this.currentFrameIndex,
+            frames,
+            ...(includeRecording && this.recording ? { recording: await this.serializeRecording() } : {})
+        };
+    }
+
+    /**
+     * Restore the drawing from a stored document record
+     */
+    async loadDocument(documentData) {
+        // Version 1 documents stored a single flattened image, version 2 a
+        // single stack of layers
+        let frames = documentData.frames;
+        if (!(documentData.version >= 3)) {
+            const layers = documentData.version >= 2
+                ? documentData.layers
+                : [{ name: 'Background', visible: true, locked: false, opacity: 1, image: documentData.image }];
+            frames = [{ duration: null, activeLayerIndex: documentData.activeLayerIndex || 0, layers }];
+        }
+
+        const bitmaps = await Promise.all(frames.map(frame =>
+            Promise.all(frame.layers.map(entry => createImageBitmap(entry.image)))));
+        this.stopAnimation();
+        this.docDpi = documentData.dpi || 72;
+        this.docBackground = documentData.background || '#ffffff';
+        this.guides = (documentData.guides || []).map(guide => ({ ...guide }));
+        this.symmetry.center = null;
+        this.animation = { fps: 12, loop: true, ...documentData.animation };
+        this.setDocumentSize(documentData.width || bitmaps[0][0].width, documentData.height || bitmaps[0][0].height);
+        this.layerCounter = 0;
+        this.frames = frames.map((entry, frameIndex) => {
+            const layers = entry.layers.map((layerEntry, index) => {
+                const layer = this.createLayer(layerEntry.name);
+                // Ids are kept so collaboration operations find their layers
+                if (layerEntry.id) layer.id = layerEntry.id;
+                layer.visible = layerEntry.visible;
+                layer.locked = layerEntry.locked;
+                layer.opacity = layerEntry.opacity;
+                // Documents from before layer blend modes have none
+                layer.blendMode = layerEntry.blendMode || 'source-over';
+                layer.objects = (layerEntry.objects || []).map(shape => ({ ...shape }));
+                layer.ctx.drawImage(bitmaps[frameIndex][index], 0, 0);
+                bitmaps[frameIndex][index].close();
+                return layer;
+            });
+            const frame = this.createFrame(layers);
+            if (entry.id) frame.id = entry.id;
+            frame.duration = entry.duration || null;
+            frame.activeLayerIndex = Math.min(entry.activeLayerIndex || 0, layers.length - 1);
+            return frame;
+        });
+        this.currentFrameIndex = Math.min(documentData.currentFrame || 0, this.frames.length - 1);
+        this.layers = this.getCurrentFrame().layers;
+        this.setActiveLayer(this.getCurrentFrame().activeLayerIndex);
+        this.selectShape(null);
+        this.clearSelection();
+        this.resetView();
+        this.invalidateOnionSkins();
+        this.updateAnimationControls();
+        this.renderTimeline();
+        if (this.frames.length > 1 && !this.replaySession) this.toggleTimeline(true);
+    }
+
+    // Render a small PNG preview of the canvas for the gallery
+    createThumbnail(maxSize = 240) {
+        const scale = Math.min(1, maxSize / Math.max(this.docWidth, this.docHeight));
+        const thumb = document.createElement('canvas');
+        thumb.width = Math.max(1, Math.round(this.docWidth * scale));
+        thumb.height = Math.max(1, Math.round(this.docHeight * scale));
+        const thumbCtx = thumb.getContext('2d');
+        thumbCtx.imageSmoothingQuality = 'high';
+        thumbCtx.drawImage(this.getFlattenedCanvas(this.getBackgroundColor()), 0, 0, thumb.width, thumb.height);
+        return thumb.toDataURL('image/png');
+    }
+
+    // Promise wrapper around canvas.toBlob
+    canvasToBlob(canvas, type = 'image/png', quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                blob ? resolve(blob) : reject(new Error('Canvas could not be encoded'));
+            }, type, quality);
+        });
+    }
+
+    // Generate a unique id for new projects
+    generateId() {
+        if (window.crypto && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return Date.now().toString(36) + Math.random().toString(36).slice(2);
+    }
+
+    // Mark the drawing as changed since the last save
+    markUnsaved() {
+        this.dirty = true;
+        if (this.currentProject.saved) {
+            this.currentProject.saved = false;
+            this.updateProjectInfo();
+        }
+        this.scheduleAutosave();
+    }
+
+    // Changes since the last save that closing the tab would lose
+    hasUnsavedChanges() {
+        return !this.currentProject.saved && (this.dirty || !!this.collab);
+    }
+
+    // Update the header title and save status
+    updateProjectInfo() {
+        if (this.canvasTitle) {
+            this.canvasTitle.textContent = this.currentProject.name;
+        }
+        if (this.lastSavedDisplay) {
+            let status = 'Not saved';
+            if (this.currentProject.saved) {
+                status = `Saved ${this.formatDate(this.currentProject.modified)}`;
+            } else if (this.currentProject.id) {
+                status = 'Unsaved changes';
+            }
+            if (!this.currentProject.saved && this.autosave.savedAt) {
+                status += ` · autosaved ${this.formatDate(this.autosave.savedAt)}`;
+            }
+            this.lastSavedDisplay.textContent = status;
+            this.lastSavedDisplay.classList.toggle('unsaved', !this.currentProject.saved);
+        }
+        document.title = `${this.currentProject.saved ? '' : '• '}${this.currentProject.name} - DrawingMaster`;
+    }
+
+    // Format a date for display in the UI
+    formatDate(date) {
+        const d = new Date(date);
+        const isToday = d.toDateString() === new Date().toDateString();
+        return isToday
+            ? d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+            : d.toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    // Show projects modal
+    showProjectsModal() {
+        const modal = document.getElementById('projectsModal');
+        if (modal) {
+            modal.style.display = 'block';
+            this.renderProjectsGrid();
+        }
+    }
+
+    // Hide projects modal
+    hideProjectsModal() {
+        const modal = document.getElementById('projectsModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Fill the gallery grid with the stored projects
+     */
+    async renderProjectsGrid() {
+        const grid = document.getElementById('projectsGrid');
+        if (!grid) return;
+
+        let projects = [];
+        try {
+            projects = await this.projectStore.list();
+        } catch (error) {
+            console.error('Failed to load projects:', error);
+            this.showNotification('Failed to load projects', 'error');
+        }
+
+        grid.innerHTML = '';
+        if (projects.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'projects-empty';
+            empty.textContent = 'No saved projects yet. Press Ctrl+S to save your drawing.';
+            grid.appendChild(empty);
+            return;
+        }
+
+        projects.forEach(project => grid.appendChild(this.createProjectItem(project)));
+    }
+
+    // Build a gallery card for a stored project
+    createProjectItem(project) {
+        const item = document.createElement('div');
+        item.className = 'project-item';
+        item.classList.toggle('current', project.id === this.currentProject.id);
+        item.title = 'Open project';
+
+        const thumbnail = document.createElement('div');
+        thumbnail.className = 'project-thumbnail';
+        const img = document.createElement('img');
+        img.src = project.thumbnail;
+        img.alt = project.name;
+        thumbnail.appendChild(img);
+
+        const name = document.createElement('div');
+        name.className = 'project-name';
+        name.textContent = project.name;
+
+        const date = document.createElement('div');
+        date.className = 'project-date';
+        date.textContent = `Modified ${this.formatDate(project.modified)}`;
+
+        const actions = document.createElement('div');
+        actions.className = 'project-actions';
+        const renameBtn = document.createElement('button');
+        renameBtn.className = 'project-action-btn';
+        renameBtn.textContent = 'Rename';
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'project-action-btn delete';
+        deleteBtn.textContent = 'Delete';
+        actions.append(renameBtn, deleteBtn);
+
+        item.append(thumbnail, name, date, actions);
+
+        item.addEventListener('click', () => this.openProject(project.id));
+        deleteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.deleteProject(project.id, project.name);
+        });
+        renameBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.startProjectRename(name, project);
+        });
+
+        return item;
+    }
+
+    // Swap a project name label for an inline input
+    startProjectRename(nameElement, project) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'project-name-input';
+        input.value = project.name;
+        nameElement.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            if (commit && input.value.trim() && input.value.trim() !== project.name) {
+                this.renameProject(project.id, input.value);
+            } else {
+                input.replaceWith(nameElement);
+            }
+        };
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('blur', () => finish(true));
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+    }
+
+    // Show the number of stored projects on the gallery button
+    async loadProjectsCount() {
+        const badge = document.getElementById('projectsCount');
+        if (!badge) return;
+        try {
+            const count = await this.projectStore.count();
+            badge.textContent = count > 0 ? count : '';
+        } catch (error) {
+            console.error('Failed to count projects:', error);
+            badge.textContent = '';
+        }
+    }
+}
+
+/**
+ * Find the pixels a fill covers, as a Uint8Array of coverage (0-255) per pixel.
+ *
+ * Contiguous mode walks horizontal spans from the start pixel (scanline fill);
+ * global mode takes every matching pixel. A pixel matches when each RGBA
+ * channel is within `tolerance` of the start pixel; fully transparent pixels
+ * match each other whatever their color. `expand` grows the region by whole
+ * pixels to cover anti-aliased edges and `feather` softens its border.
+ *
+ * Kept free of outside references: its source also runs in the fill worker.
+ */
+function computeFillMask(data, width, height, startX, startY, { tolerance = 0, contiguous = true, expand = 0, feather = 0 } = {}) {
+    const size = width * height;
+    let mask = new Uint8Array(size);
+    const start = (startY * width + startX) * 4;
+    const [tr, tg, tb, ta] = [data[start], data[start + 1], data[start + 2], data[start + 3]];
+    const matches = (i) => {
+        const o = i * 4;
+        if (ta === 0 && data[o + 3] === 0) return true;
+        return Math.abs(data[o] - tr) <= tolerance && Math.abs(data[o + 1] - tg) <= tolerance &&
+            Math.abs(data[o + 2] - tb) <= tolerance && Math.abs(data[o + 3] - ta) <= tolerance;
+    };
+
+    if (!contiguous) {
+        for (let i = 0; i < size; i++) {
+            if (matches(i)) mask[i] = 255;
+        }
+    } else {
+        const stack = [startX, startY];
+        while (stack.length > 0) {
+            const y = stack.pop();
+            let x = stack.pop();
+            let i = y * width + x;
+            if (mask[i] || !matches(i)) continue;
+            // Back up to the start of the span, then fill it left to right,
+            // queueing one seed for each run of matching pixels above and below
+            while (x > 0 && !mask[i - 1] && matches(i - 1)) {
+                x--;
+                i--;
+            }
+            let seededAbove = false;
+            let seededBelow = false;
+            while (x < width && !mask[i] && matches(i)) {
+                mask[i] = 255;
+                if (y > 0) {
+                    const open = !mask[i - width] && matches(i - width);
+                    if (open && !seededAbove) stack.push(x, y - 1);
+                    seededAbove = open;
+                }
+                if (y < height - 1) {
+                    const open = !mask[i + width] && matches(i + width);
+                    if (open && !seededBelow) stack.push(x, y + 1);
+                    seededBelow = open;
+                }
+                x++;
+                i++;
+            }
+        }
+    }
+
+    // Separable passes over rows then columns: max for expand, mean for feather
+    const pass = (source, radius, reduce) => {
+        const rows = new Uint8Array(size);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                rows[y * width + x] = reduce(source, y * width, 1, x, width, radius);
+            }
+        }
+        const result = new Uint8Array(size);
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < height; y++) {
+                result[y * width + x] = reduce(rows, x, width, y, height, radius);
+            }
+        }
+        return result;
+    };
+    const max = (line, offset, stride, at, length, radius) => {
+        let value = 0;
+        for (let k = Math.max(0, at - radius); k <= Math.min(length - 1, at + radius); k++) {
+            value = Math.max(value, line[offset + k * stride]);
+        }
+        return value;
+    };
+    const mean = (line, offset, stride, at, length, radius) => {
+        let sum = 0;
+        for (let k = at - radius; k <= at + radius; k++) {
+            sum += line[offset + Math.min(length - 1, Math.max(0, k)) * stride];
+        }
+        return Math.round(sum / (radius * 2 + 1));
+    };
+    if (expand > 0) mask = pass(mask, expand, max);
+    if (feather > 0) {
+        // Two box blurs approximate a gaussian falloff
+        mask = pass(pass(mask, feather, mean), feather, mean);
+    }
+    return mask;
+}
+
+/**
+ * Run an image filter over RGBA pixels and return the result as a new
+ * Uint8ClampedArray of the same size. Color adjustments leave alpha alone;
+ * blurs and pixelate work on premultiplied color so transparent pixels don't
+ * bleed dark fringes. `params` holds the filter's slider values.
+ *
+ * Kept free of outside references: its source also runs in the filter worker.
+ */
+function applyImageFilter(data, width, height, filter, params = {}) {
+    const out = new Uint8ClampedArray(data);
+    const clamp = (value) => Math.min(255, Math.max(0, value));
+
+    // Per-channel lookup tables for the simple tone adjustments
+    const mapChannels = (fn) => {
+        const table = new Uint8ClampedArray(256);
+        for (let i = 0; i < 256; i++) table[i] = fn(i);
+        for (let i = 0; i < out.length; i += 4) {
+            out[i] = table[out[i]];
+            out[i + 1] = table[out[i + 1]];
+            out[i + 2] = table[out[i + 2]];
+        }
+    };
+
+    // 3×3 convolution on color, reading the source so results don't feed back
+    const convolve = (kernel) => {
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let r = 0, g = 0, b = 0;
+                for (let ky = -1; ky <= 1; ky++) {
+                    const sy = Math.min(height - 1, Math.max(0, y + ky));
+                    for (let kx = -1; kx <= 1; kx++) {
+                        const sx = Math.min(width - 1, Math.max(0, x + kx));
+                        const weight = kernel[(ky + 1) * 3 + kx + 1];
+                        const index = (sy * width + sx) * 4;
+                        r += data[index] * weight;
+                        g += data[index + 1] * weight;
+                        b += data[index + 2] * weight;
+                    }
+                }
+                const index = (y * width + x) * 4;
+                out[index] = r;
+                out[index + 1] = g;
+                out[index + 2] = b;
+            }
+        }
+    };
+
+    switch (filter) {
+        case 'brightness-contrast': {
+            const brightness = (params.brightness || 0) * 2.55;
+            const contrast = (params.contrast || 0) * 2.55;
+            const factor = (259 * (contrast + 255)) / (255 * (259 - contrast));
+            mapChannels(c => factor * (c - 128) + 128 + brightness);
+            break;
+        }
+        case 'hue-saturation': {
+            const hueShift = (params.hue || 0) / 360;
+            const saturation = 1 + (params.saturation || 0) / 100;
+            const lightness = (params.lightness || 0) / 100;
+            const hueToChannel = (p, q, t) => {
+                if (t < 0) t += 1;
+                if (t > 1) t -= 1;
+                if (t < 1 / 6) return p + (q - p) * 6 * t;
+                if (t < 1 / 2) return q;
+                if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+                return p;
+            };
+            for (let i = 0; i < out.length; i += 4) {
+                const r = out[i] / 255, g = out[i + 1] / 255, b = out[i + 2] / 255;
+                const max = Math.max(r, g, b), min = Math.min(r, g, b);
+                let h = 0, s = 0, l = (max + min) / 2;
+                if (max !== min) {
+                    const d = max - min;
+                    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+                    if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+                    else if (max === g) h = (b - r) / d + 2;
+                    else h = (r - g) / d + 4;
+                    h /= 6;
+                }
+                h = (h + hueShift + 1) % 1;
+                s = Math.min(1, s * saturation);
+                l = lightness > 0 ? l + (1 - l) * lightness : l * (1 + lightness);
+                if (s === 0) {
+                    out[i] = out[i + 1] = out[i + 2] = l * 255;
+                } else {
+                    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+                    const p = 2 * l - q;
+                    out[i] = hueToChannel(p, q, h + 1 / 3) * 255;
+                    out[i + 1] = hueToChannel(p, q, h) * 255;
+                    out[i + 2] = hueToChannel(p, q, h - 1 / 3) * 255;
+                }
+            }
+            break;
+        }
+        case 'levels': {
+            const inBlack = params.inputBlack || 0;
+            const inWhite = Math.max(inBlack + 1, params.inputWhite ?? 255);
+            const gamma = params.gamma || 1;
+            const outBlack = params.outputBlack || 0;
+            const outWhite = params.outputWhite ?? 255;
+            mapChannels(c => {
+                const t = Math.min(1, Math.max(0, (c - inBlack) / (inWhite - inBlack)));
+                return outBlack + Math.pow(t, 1 / gamma) * (outWhite - outBlack);
+            });
+            break;
+        }
+        case 'invert':
+            mapChannels(c => 255 - c);
+            break;
+        case 'grayscale':
+            for (let i = 0; i < out.length; i += 4) {
+                out[i] = out[i + 1] = out[i + 2] = 0.299 * out[i] + 0.587 * out[i + 1] + 0.114 * out[i + 2];
+            }
+            break;
+        case 'sepia': {
+            const amount = (params.amount ?? 100) / 100;
+            for (let i = 0; i < out.length; i += 4) {
+                const r = out[i], g = out[i + 1], b = out[i + 2];
+                out[i] = r + (clamp(0.393 * r + 0.769 * g + 0.189 * b) - r) * amount;
+                out[i + 1] = g + (clamp(0.349 * r + 0.686 * g + 0.168 * b) - g) * amount;
+                out[i + 2] = b + (clamp(0.272 * r + 0.534 * g + 0.131 * b) - b) * amount;
+            }
+            break;
+        }
+        case 'posterize': {
+            const steps = Math.max(2, params.levels || 4) - 1;
+            mapChannels(c => Math.round(Math.round((c / 255) * steps) / steps * 255));
+            break;
+        }
+        case 'threshold': {
+            const level = params.level ?? 128;
+            for (let i = 0; i < out.length; i += 4) {
+                const luminance = 0.299 * out[i] + 0.587 * out[i + 1] + 0.114 * out[i + 2];
+                out[i] = out[i + 1] = out[i + 2] = luminance >= level ? 255 : 0;
+            }
+            break;
+        }
+        case 'gaussian-blur': {
+            // Three box blurs in each direction approximate a Gaussian, in
+            // time that doesn't grow with the radius. Works on premultiplied color.
+            const sigma = Math.max(0.8, (params.radius || 1) / 2);
+            let lower = Math.floor(Math.sqrt(4 * sigma * sigma + 1));
+            if (lower % 2 === 0) lower--;
+            const lowerCount = Math.round((12 * sigma * sigma - 3 * lower * lower - 12 * lower - 9) / (-4 * lower - 4));
+            const radii = [0, 1, 2].map(i => ((i < lowerCount ? lower : lower + 2) - 1) / 2);
+
+            const size = width * height;
+            let source = new Float32Array(size * 4);
+            let target = new Float32Array(size * 4);
+            for (let i = 0; i < size * 4; i += 4) {
+                const alpha = data[i + 3] / 255;
+                source[i] = data[i] * alpha;
+                source[i + 1] = data[i + 1] * alpha;
+                source[i + 2] = data[i + 2] * alpha;
+                source[i + 3] = data[i + 3];
+            }
+            const boxPass = (radius, horizontal) => {
+                const lines = horizontal ? height : width;
+                const length = horizontal ? width : height;
+                const step = horizontal ? 4 : width * 4;
+                const scale = 1 / (radius * 2 + 1);
+                const last = length - 1;
+                for (let line = 0; line < lines; line++) {
+                    const start = horizontal ? line * width * 4 : line * 4;
+                    for (let c = 0; c < 4; c++) {
+                        const base = start + c;
+                        // Running sum over the window, with edge pixels repeated
+                        let sum = (radius + 1) * source[base];
+                        for (let k = 1; k <= radius; k++) sum += source[base + Math.min(k, last) * step];
+                        for (let i = 0; i < length; i++) {
+                            target[base + i * step] = sum * scale;
+                            sum += source[base + Math.min(i + radius + 1, last) * step]
+                                - source[base + Math.max(i - radius, 0) * step];
+                        }
+                    }
+                }
+                [source, target] = [target, source];
+            };
+            radii.forEach(radius => {
+                boxPass(radius, true);
+                boxPass(radius, false);
+            });
+            for (let i = 0; i < size * 4; i += 4) {
+                const alpha = source[i + 3] / 255;
+                out[i] = alpha ? source[i] / alpha : 0;
+                out[i + 1] = alpha ? source[i + 1] / alpha : 0;
+                out[i + 2] = alpha ? source[i + 2] / alpha : 0;
+                out[i + 3] = source[i + 3];
+            }
+            break;
+        }
+        case 'sharpen': {
+            const amount = (params.amount ?? 50) / 100;
+            convolve([0, -amount, 0, -amount, 1 + 4 * amount, -amount, 0, -amount, 0]);
+            break;
+        }
+        case 'pixelate': {
+            const cell = Math.max(1, params.size || 8);
+            for (let top = 0; top < height; top += cell) {
+                for (let left = 0; left < width; left += cell) {
+                    const bottom = Math.min(height, top + cell);
+                    const right = Math.min(width, left + cell);
+                    let r = 0, g = 0, b = 0, a = 0;
+                    for (let y = top; y < bottom; y++) {
+                        for (let x = left; x < right; x++) {
+                            const index = (y * width + x) * 4;
+                            r += data[index] * data[index + 3];
+                            g += data[index + 1] * data[index + 3];
+                            b += data[index + 2] * data[index + 3];
+                            a += data[index + 3];
+                        }
+                    }
+                    const count = (bottom - top) * (right - left);
+                    for (let y = top; y < bottom; y++) {
+                        for (let x = left; x < right; x++) {
+                            const index = (y * width + x) * 4;
+                            out[index] = a ? r / a : 0;
+                            out[index + 1] = a ? g / a : 0;
+                            out[index + 2] = a ? b / a : 0;
+                            out[index + 3] = a / count;
+                        }
+                    }
+                }
+            }
+            break;
+        }
+        case 'noise': {
+            // Seeded so the preview and the applied result match
+            let seed = (params.seed || 1) >>> 0;
+            const random = () => {
+                seed = (seed + 0x6D2B79F5) >>> 0;
+                let t = seed;
+                t = Math.imul(t ^ (t >>> 15), t | 1);
+                t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+                return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+            };
+            const amount = (params.amount ?? 20) * 2.55;
+            for (let i = 0; i < out.length; i += 4) {
+                if (params.monochrome) {
+                    const offset = (random() * 2 - 1) * amount;
+                    out[i] += offset;
+                    out[i + 1] += offset;
+                    out[i + 2] += offset;
+                } else {
+                    out[i] += (random() * 2 - 1) * amount;
+                    out[i + 1] += (random() * 2 - 1) * amount;
+                    out[i + 2] += (random() * 2 - 1) * amount;
+                }
+            }
+            break;
+        }
+        case 'edge-detect': {
+            // Sobel gradient magnitude of the luminance: light edges on black
+            const luminance = new Float32Array(width * height);
+            for (let i = 0; i < luminance.length; i++) {
+                luminance[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+            }
+            const at = (x, y) => luminance[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const gx = at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1)
+                        - at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1);
+                    const gy = at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1)
+                        - at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1);
+                    const index = (y * width + x) * 4;
+                    out[index] = out[index + 1] = out[index + 2] = Math.hypot(gx, gy) * (params.strength ?? 100) / 100;
+                }
+            }
+            break;
+        }
+    }
+    return out;
+}
+
+/**
+ * Encode RGBA frames (each a width × height pixel array) as an animated GIF
+ * and return its bytes as a Uint8Array.
+ *
+ * All frames share one palette of up to 255 colors, found by median cut over
+ * a 5-bit-per-channel histogram of every frame; each palette entry is the
+ * exact average of the colors it stands for, so flat artwork with few
+ * colors keeps them unchanged. Index 255 is kept for pixels that are less
+ * than half opaque. `delays` are in milliseconds; `loop` repeats forever.
+ *
+ * Kept free of outside references: its source also runs in the GIF worker.
+ */
+function encodeGif(frames, width, height, { delays = [], loop = true } = {}) {
+    const transparentIndex = 255;
+    const keyOf = (data, o) => (data[o] >> 3) << 10 | (data[o + 1] >> 3) << 5 | data[o + 2] >> 3;
+    const counts = new Float64Array(32768);
+    const sums = new Float64Array(32768 * 3);
+    let transparent = false;
+    frames.forEach(data => {
+        for (let o = 0; o < data.length; o += 4) {
+            if (data[o + 3] < 128) {
+                transparent = true;
+                continue;
+            }
+            const key = keyOf(data, o);
+            counts[key]++;
+            sums[key * 3] += data[o];
+            sums[key * 3 + 1] += data[o + 1];
+            sums[key * 3 + 2] += data[o + 2];
+        }
+    });
+
+    // Median cut: split the box with the widest channel range at the median
+    // of its pixel count until there are enough boxes
+    const channel = (key, c) => (key >> (10 - c * 5)) & 31;
+    const keys = [];
+    for (let key = 0; key < 32768; key++) {
+        if (counts[key]) keys.push(key);
+    }
+    const boxes = keys.length ? [keys] : [];
+    while (boxes.length < transparentIndex) {
+        let best = -1;
+        let bestRange = 0;
+        let bestChannel = 0;
+        boxes.forEach((box, index) => {
+            if (box.length < 2) return;
+            for (let c = 0; c < 3; c++) {
+                let min = 31;
+                let max = 0;
+                box.forEach(key => {
+                    const value = channel(key, c);
+                    if (value < min) min = value;
+                    if (value > max) max = value;
+                });
+                if (max - min > bestRange) {
+                    best = index;
+                    bestRange = max - min;
+                    bestChannel = c;
+                }
+            }
+        });
+        if (best < 0) break;
+        const box = boxes[best].sort((a, b) => channel(a, bestChannel) - channel(b, bestChannel));
+        const total = box.reduce((sum, key) => sum + counts[key], 0);
+        let below = 0;
+        let split = 0;
+        while (split < box.length - 1 && below + counts[box[split]] <= total / 2) {
+            below += counts[box[split++]];
+        }
+        split = Math.max(1, split);
+        boxes.splice(best, 1, box.slice(0, split), box.slice(split));
+    }
+
+    const palette = new Uint8Array(256 * 3);
+    const lookup = new Uint8Array(32768);
+    boxes.forEach((box, index) => {
+        let n = 0;
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        box.forEach(key => {
+            n += counts[key];
+            r += sums[key * 3];
+            g += sums[key * 3 + 1];
+            b += sums[key * 3 + 2];
+            lookup[key] = index;
+        });
+        palette[index * 3] = Math.round(r / n);
+        palette[index * 3 + 1] = Math.round(g / n);
+        palette[index * 3 + 2] = Math.round(b / n);
+    });
+
+    // Output grows as needed
+    let bytes = new Uint8Array(1 << 16);
+    let length = 0;
+    const writeByte = (value) => {
+        if (length === bytes.length) {
+            const grown = new Uint8Array(bytes.length * 2);
+            grown.set(bytes);
+            bytes = grown;
+        }
+        bytes[length++] = value;
+    };
+    const writeShort = (value) => {
+        writeByte(value & 255);
+        writeByte((value >> 8) & 255);
+    };
+    const writeString = (text) => {
+        for (let i = 0; i < text.length; i++) writeByte(text.charCodeAt(i));
+    };
+
+    // Header and logical screen with a 256-entry global color table
+    writeString('GIF89a');
+    writeShort(width);
+    writeShort(height);
+    writeByte(0xf7);
+    writeByte(0);
+    writeByte(0);
+    palette.forEach(writeByte);
+    if (loop) {
+        // NETSCAPE2.0 application extension: loop forever
+        writeByte(0x21);
+        writeByte(0xff);
+        writeByte(11);
+        writeString('NETSCAPE2.0');
+        writeByte(3);
+        writeByte(1);
+        writeShort(0);
+        writeByte(0);
+    }
+
+    const indices = new Uint8Array(width * height);
+    const block = new Uint8Array(255);
+    frames.forEach((data, frameIndex) => {
+        for (let i = 0, o = 0; i < indices.length; i++, o += 4) {
+            indices[i] = data[o + 3] < 128 ? transparentIndex : lookup[keyOf(data, o)];
+        }
+
+        // Graphic control: delay in 1/100 s, and with transparency each
+        // frame is cleared before the next so old pixels don't show through
+        writeByte(0x21);
+        writeByte(0xf9);
+        writeByte(4);
+        writeByte(transparent ? (2 << 2) | 1 : 0);
+        writeShort(Math.max(2, Math.round((delays[frameIndex] || 100) / 10)));
+        writeByte(transparentIndex);
+        writeByte(0);
+
+        // Image descriptor covering the whole screen, no local color table
+        writeByte(0x2c);
+        writeShort(0);
+        writeShort(0);
+        writeShort(width);
+        writeShort(height);
+        writeByte(0);
+
+        // LZW-compressed indices in sub-blocks of up to 255 bytes
+        writeByte(8);
+        let blockLength = 0;
+        const flushBlock = () => {
+            writeByte(blockLength);
+            for (let i = 0; i < blockLength; i++) writeByte(block[i]);
+            blockLength = 0;
+        };
+        let bits = 0;
+        let bitCount = 0;
+        let codeSize = 9;
+        const emit = (code) => {
+            bits |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                block[blockLength++] = bits & 255;
+                if (blockLength === 255) flushBlock();
+                bits >>= 8;
+                bitCount -= 8;
+            }
+        };
+        const clearCode = 256;
+        const endCode = 257;
+        const dictionary = new Map();
+        let nextCode = endCode + 1;
+        emit(clearCode);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const index = indices[i];
+            const key = prefix << 8 | index;
+            const code = dictionary.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+            emit(prefix);
+            if (nextCode === 4096) {
+                // The table is full: start a new one
+                emit(clearCode);
+                dictionary.clear();
+                nextCode = endCode + 1;
+                codeSize = 9;
+            } else {
+                if (nextCode >= 1 << codeSize) codeSize++;
+                dictionary.set(key, nextCode++);
+            }
+            prefix = index;
+        }
+        emit(prefix);
+        emit(endCode);
+        if (bitCount > 0) {
+            block[blockLength++] = bits & 255;
+            if (blockLength === 255) flushBlock();
+        }
+        if (blockLength > 0) flushBlock();
+        writeByte(0);
+    });
+
+    writeByte(0x3b);
+    return bytes.slice(0, length);
+}
+
+/**
+ * ProjectStore - IndexedDB persistence for saved projects
+ *
+ * Metadata (name, dates, thumbnail) and the document data live in separate
+ * object stores so the gallery can be listed without loading every canvas.
+ * Named versions of a project are kept the same way, and autosaves (one
+ * record per app session, document included, its time-lapse recording in a
+ * store of its own) wait until the drawing is saved, discarded or recovered.
+ */
+class ProjectStore {
+    constructor(dbName = 'DrawingMaster', version = 3) {
+        this.dbName = dbName;
+        this.version = version;
+        this.dbPromise = null;
+    }
+
+    // Open (and upgrade if needed) the database
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                const request = indexedDB.open(this.dbName, this.version);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('projects')) {
+                        db.createObjectStore('projects', { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains('documents')) {
+                        db.createObjectStore('documents', { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains('versions')) {
+                        db.createObjectStore('versions', { keyPath: 'id' }).createIndex('projectId', 'projectId');
+                    }
+                    if (!db.objectStoreNames.contains('versionDocuments')) {
+                        db.createObjectStore('versionDocuments', { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains('autosaves')) {
+                        db.createObjectStore('autosaves', { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains('autosaveRecordings')) {
+                        db.createObjectStore('autosaveRecordings', { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run a callback inside a transaction and resolve when it completes
+    async transaction(storeNames, mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+            const stores = [].concat(storeNames).map(name => tx.objectStore(name));
+            const request = callback(...stores);
+            if (request) {
+                request.onsuccess = () => { result = request.result; };
+            }
+        });
+    }
+
+    // List project metadata, most recently modified first
+    async list() {
+        const projects = await this.transaction('projects', 'readonly', store => store.getAll());
+        return projects.sort((a, b) => new Date(b.modified) - new Date(a.modified));
+    }
+
+    count() {
+        return this.transaction('projects', 'readonly', store => store.count());
+    }
+
+    save(meta, documentData) {
+        return this.transaction(['projects', 'documents'], 'readwrite', (projects, documents) => {
+            projects.put(meta);
+            documents.put({ ...documentData, id: meta.id });
+        });
+    }
+
+    async load(id) {
+        let meta;
+        let documentData;
+        await this.transaction(['projects', 'documents'], 'readonly', (projects, documents) => {
+            projects.get(id).onsuccess = (e) => { meta = e.target.result; };
+            documents.get(id).onsuccess = (e) => { documentData = e.target.result; };
+        });
+        if (!meta || !documentData) {
+            throw new Error(`Project ${id} not found`);
+        }
+        return { meta, documentData };
+    }
+
+    rename(id, name) {
+        return this.transaction('projects', 'readwrite', store => {
+            store.get(id).onsuccess = (e) => {
+                const meta = e.target.result;
+                if (meta) {
+                    store.put({ ...meta, name });
+                }
+            };
+        });
+    }
+
+    // Delete a project along with its versions
+    delete(id) {
+        return this.transaction(['projects', 'documents', 'versions', 'versionDocuments'], 'readwrite', (projects, documents, versions, versionDocuments) => {
+            projects.delete(id);
+            documents.delete(id);
+            versions.index('projectId').getAllKeys(id).onsuccess = (e) => {
+                e.target.result.forEach(key => {
+                    versions.delete(key);
+                    versionDocuments.delete(key);
+                });
+            };
+        });
+    }
+
+    saveVersion(meta, documentData) {
+        return this.transaction(['versions', 'versionDocuments'], 'readwrite', (versions, versionDocuments) => {
+            versions.put(meta);
+            versionDocuments.put({ ...documentData, id: meta.id });
+        });
+    }
+
+    // A project's versions, newest first
+    async listVersions(projectId) {
+        const versions = await this.transaction('versions', 'readonly', store => store.index('projectId').getAll(projectId));
+        return versions.sort((a, b) => new Date(b.created) - new Date(a.created));
+    }
+
+    async loadVersion(id) {
+        const documentData = await this.transaction('versionDocuments', 'readonly', store => store.get(id));
+        if (!documentData) {
+            throw new Error(`Version ${id} not found`);
+        }
+        return documentData;
+    }
+
+    deleteVersion(id) {
+        return this.transaction(['versions', 'versionDocuments'], 'readwrite', (versions, versionDocuments) => {
+            versions.delete(id);
+            versionDocuments.delete(id);
+        });
+    }
+
+    // The recording is left as it is when undefined and removed when null
+    saveAutosave(record, recording) {
+        return this.transaction(['autosaves', 'autosaveRecordings'], 'readwrite', (autosaves, recordings) => {
+            autosaves.put(record);
+            if (recording) recordings.put({ id: record.id, recording });
+            else if (recording === null) recordings.delete(record.id);
+        });
+    }
+
+    async loadAutosaveRecording(id) {
+        const entry = await this.transaction('autosaveRecordings', 'readonly', store => store.get(id));
+        return entry ? entry.recording : null;
+    }
+
+    // Autosaved drawings, most recent first
+    async listAutosaves() {
+        const autosaves = await this.transaction('autosaves', 'readonly', store => store.getAll());
+        return autosaves.sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
+    }
+
+    deleteAutosave(id) {
+        return this.transaction(['autosaves', 'autosaveRecordings'], 'readwrite', (autosaves, recordings) => {
+            autosaves.delete(id);
+            recordings.delete(id);
+        });
     }
 }
 
 // Initialize DrawingMaster when DOM is ready
 window.addEventListener('DOMContentLoaded', () => {
     window.drawingApp = new DrawingMaster();
+    // Scripts that add tools wait for this (see registerTool)
+    window.dispatchEvent(new CustomEvent('drawingmaster:ready', { detail: window.drawingApp }));
 });
\ No newline at end of file
@@ -0,0 +1,365 @@
+/**
+ * DrawingMaster collaboration relay - a small reference server for the
+ * Collaborate dialog. It has no dependencies: run it with
+ *
+ *     node server/relay.js            (PORT=9000 node server/relay.js)
+ *
+ * and open http://localhost:8080/ (the app is served from the repository
+ * root) or point the dialog at ws://localhost:8080.
+ *
+ * Each WebSocket connects to /<room>. The relay does not understand
+ * drawings: it numbers every operation it receives, sends it to everyone
+ * in the room (the sender included) and keeps the room's latest document
+ * snapshot plus the operations after it, so people who join later start
+ * from the current state. Rooms live in memory and end with their last
+ * client.
+ *
+ * Messages are JSON text frames:
+ *   client -> relay  hello { name, color }, op { op }, cursor { x, y },
+ *                    snapshot { seq, document }
+ *   relay -> client  welcome { clientId, peers, snapshot, ops },
+ *                    op { seq, clientId, op }, cursor { clientId, x, y },
+ *                    peer-joined { peer }, peer-left { clientId },
+ *                    request-snapshot
+ */
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8080;
+const ROOT = path.resolve(__dirname, '..');
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 64 * 1024 * 1024;
+// Ask for a fresh snapshot once this many operations pile up after the last one
+const SNAPSHOT_INTERVAL = 400;
+const PING_INTERVAL = 30000;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+const rooms = new Map();
+let nextClientId = 1;
+
+/**
+ * One WebSocket connection (RFC 6455, text frames only)
+ */
+class Connection {
+    constructor(socket, onMessage, onClose) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+        this.alive = true;
+
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('close', () => this.finish());
+        socket.on('error', () => this.finish());
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        while (!this.closed) {
+            const frame = this.parseFrame();
+            if (!frame) break;
+            this.handleFrame(frame);
+        }
+    }
+
+    // Take one complete frame off the buffer, or null if more data is needed
+    parseFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (!masked) {
+            this.close(1002, 'Client frames must be masked');
+            return null;
+        }
+        if (length > MAX_MESSAGE_BYTES) {
+            this.close(1009, 'Message too big');
+            return null;
+        }
+        if (buffer.length < offset + 4 + length) return null;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i & 3];
+        }
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case 0x0: // continuation
+            case 0x1: // text
+            case 0x2: { // binary
+                this.fragments.push(payload);
+                const size = this.fragments.reduce((total, part) => total + part.length, 0);
+                if (size > MAX_MESSAGE_BYTES) {
+                    this.close(1009, 'Message too big');
+                    return;
+                }
+                if (!fin) return;
+                const message = Buffer.concat(this.fragments).toString('utf8');
+                this.fragments = [];
+                this.onMessage(message);
+                break;
+            }
+            case 0x8: // close
+                this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+                break;
+            case 0x9: // ping
+                this.sendFrame(0xa, payload);
+                break;
+            case 0xa: // pong
+                this.alive = true;
+                break;
+            default:
+                this.close(1002, 'Unknown opcode');
+        }
+    }
+
+    sendFrame(opcode, payload) {
+        if (this.closed) return;
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    send(message) {
+        this.sendFrame(0x1, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+
+    ping() {
+        if (!this.alive) {
+            this.socket.destroy();
+            return;
+        }
+        this.alive = false;
+        this.sendFrame(0x9, Buffer.alloc(0));
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(0x8, payload);
+        this.finish();
+        this.socket.end();
+    }
+
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        this.onClose();
+    }
+}
+
+/**
+ * Rooms: the clients in them, the latest snapshot and the operations since.
+ * The first client into an empty room shares its drawing as the snapshot;
+ * anyone arriving before it does waits for it.
+ */
+function getRoom(name) {
+    if (!rooms.has(name)) {
+        rooms.set(name, { name, clients: new Map(), waiting: [], host: null, snapshot: null, ops: [], seq: 0, snapshotRequestedAt: 0 });
+    }
+    return rooms.get(name);
+}
+
+function describeClient(client) {
+    return { id: client.id, name: client.name, color: client.color };
+}
+
+function broadcast(room, message, except = null) {
+    room.clients.forEach(client => {
+        if (client !== except) client.connection.send(message);
+    });
+}
+
+function welcome(room, client) {
+    const peers = [...room.clients.values()].map(describeClient);
+    room.clients.set(client.id, client);
+    client.connection.send({
+        type: 'welcome',
+        clientId: client.id,
+        peers,
+        snapshot: room.snapshot,
+        ops: room.ops
+    });
+    broadcast(room, { type: 'peer-joined', peer: describeClient(client) }, client);
+}
+
+function join(room, client) {
+    if (room.snapshot) {
+        welcome(room, client);
+    } else if (room.host) {
+        room.waiting.push(client);
+    } else {
+        // The first one in: its drawing becomes the room's document
+        room.host = client;
+        welcome(room, client);
+    }
+}
+
+function handleMessage(room, client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        client.connection.close(1003, 'Invalid JSON');
+        return;
+    }
+    if (message.type === 'hello') {
+        if (client.joined) return;
+        client.joined = true;
+        client.name = String(message.name || 'Guest').slice(0, 40);
+        client.color = /^#[0-9a-f]{6}$/i.test(message.color) ? message.color : '#3498db';
+        join(room, client);
+        return;
+    }
+    if (!room.clients.has(client.id)) return;
+
+    switch (message.type) {
+        case 'op': {
+            room.seq++;
+            const entry = { type: 'op', seq: room.seq, clientId: client.id, op: message.op };
+            room.ops.push(entry);
+            broadcast(room, entry);
+            if (room.ops.length >= SNAPSHOT_INTERVAL && room.seq - room.snapshotRequestedAt >= SNAPSHOT_INTERVAL) {
+                room.snapshotRequestedAt = room.seq;
+                // The longest-connected client answers for the room
+                room.clients.values().next().value.connection.send({ type: 'request-snapshot' });
+            }
+            break;
+        }
+        case 'snapshot': {
+            const seq = Number(message.seq) || 0;
+            if (room.snapshot && seq < room.snapshot.seq) break;
+            room.snapshot = { seq, document: message.document };
+            room.ops = room.ops.filter(entry => entry.seq > seq);
+            room.host = null;
+            room.waiting.splice(0).forEach(waiting => welcome(room, waiting));
+            break;
+        }
+        case 'cursor':
+            broadcast(room, { type: 'cursor', clientId: client.id, x: message.x, y: message.y }, client);
+            break;
+    }
+}
+
+function leave(room, client) {
+    room.waiting = room.waiting.filter(waiting => waiting !== client);
+    if (room.clients.delete(client.id)) {
+        broadcast(room, { type: 'peer-left', clientId: client.id });
+    }
+    if (room.host === client) {
+        // The host left before sharing its drawing; the next one in shares theirs
+        room.host = null;
+        const next = room.waiting.shift();
+        if (next) join(room, next);
+    }
+    if (!room.clients.size && !room.waiting.length) rooms.delete(room.name);
+}
+
+function handleUpgrade(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if ((request.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    let roomName = 'default';
+    try {
+        roomName = decodeURIComponent(new URL(request.url, 'http://localhost').pathname.slice(1)) || 'default';
+    } catch (error) {
+        // Keep the default room for malformed paths
+    }
+    const room = getRoom(roomName);
+    const client = { id: nextClientId++, name: 'Guest', color: '#3498db', joined: false, connection: null };
+    client.connection = new Connection(socket,
+        text => handleMessage(room, client, text),
+        () => leave(room, client));
+}
+
+// Serve the app itself so the relay is all that is needed to try it
+function handleRequest(request, response) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        response.writeHead(400).end();
+        return;
+    }
+    const file = path.resolve(ROOT, `.${pathname.endsWith('/') ? `${pathname}index.html` : pathname}`);
+    if (!file.startsWith(ROOT + path.sep) || file.includes(`${path.sep}.`)) {
+        response.writeHead(403).end();
+        return;
+    }
+    fs.readFile(file, (error, data) => {
+        if (error) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+        response.end(data);
+    });
+}
+
+const server = http.createServer(handleRequest);
+server.on('upgrade', handleUpgrade);
+setInterval(() => {
+    rooms.forEach(room => {
+        room.clients.forEach(client => client.connection.ping());
+        room.waiting.forEach(client => client.connection.ping());
+    });
+}, PING_INTERVAL).unref();
+server.listen(PORT, () => {
+    console.log(`DrawingMaster relay listening on http://localhost:${PORT}/ (ws://localhost:${PORT}/<room>)`);
+});